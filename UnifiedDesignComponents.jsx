@@ -1,4 +1,5 @@
-import React, { memo } from 'react';
+import React, { memo, useState, useRef, useMemo, useEffect, useCallback, useLayoutEffect, useContext, createContext } from 'react';
+import { createPortal } from 'react-dom';
 import PropTypes from 'prop-types';
 import {
   PlusIcon,
@@ -15,8 +16,9 @@ import {
   ChevronDownIcon
 } from '../icons/SVGIcons';
 
-// Theme constants
-const theme = {
+// Theme constants (light palette – the default when no ThemeProvider is mounted)
+const lightTheme = {
+  mode: 'light',
   colors: {
     primary: '#667eea',
     secondary: '#764ba2',
@@ -25,9 +27,33 @@ const theme = {
     warning: '#F59E0B',
     info: '#3B82F6',
     light: '#F3F4F6',
-    dark: '#1F2937'
+    dark: '#1F2937',
+    neutral: '#6B7280',
+    background: '#F9FAFB',
+    surface: '#FFFFFF',
+    surfaceAlt: '#F9FAFB',
+    hover: '#F3F4F6',
+    border: '#E5E7EB',
+    inputBorder: '#D1D5DB',
+    text: '#1F2937',
+    textStrong: '#374151',
+    textMuted: '#6B7280',
+    textSubtle: '#9CA3AF',
+    onPrimary: '#FFFFFF',
+    tooltip: '#1F2937',
+    onTooltip: '#FFFFFF',
+    overlay: 'rgba(0, 0, 0, 0.5)'
+  },
+  // Soft background/foreground pairs used by badges, toasts and icon buttons
+  tones: {
+    success: { background: '#D1FAE5', color: '#065F46' },
+    danger: { background: '#FEE2E2', color: '#991B1B' },
+    warning: { background: '#FEF3C7', color: '#92400E' },
+    info: { background: '#DBEAFE', color: '#1E40AF' },
+    neutral: { background: '#F3F4F6', color: '#374151' }
   },
   spacing: {
+    xsmall: '4px',
     small: '8px',
     medium: '16px',
     large: '24px'
@@ -35,29 +61,832 @@ const theme = {
   borderRadius: {
     small: '4px',
     medium: '8px',
-    large: '12px'
+    large: '12px',
+    pill: '20px'
+  },
+  typography: {
+    fontFamily: 'inherit',
+    fontSize: {
+      xsmall: '10px',
+      small: '12px',
+      medium: '14px',
+      large: '16px',
+      xlarge: '18px',
+      xxlarge: '20px',
+      display: '24px',
+      heading: '28px'
+    },
+    fontWeight: {
+      medium: 500,
+      semibold: 600,
+      bold: 700
+    }
+  },
+  shadows: {
+    small: '0 1px 3px rgba(0, 0, 0, 0.1)',
+    medium: '0 4px 6px rgba(0, 0, 0, 0.1)'
+  }
+};
+
+// Dark palette – only the tokens that differ from the light theme
+const darkTheme = {
+  mode: 'dark',
+  colors: {
+    light: '#374151',
+    dark: '#F9FAFB',
+    neutral: '#9CA3AF',
+    background: '#111827',
+    surface: '#1F2937',
+    surfaceAlt: '#18212F',
+    hover: '#374151',
+    border: '#374151',
+    inputBorder: '#4B5563',
+    text: '#F9FAFB',
+    textStrong: '#E5E7EB',
+    textMuted: '#9CA3AF',
+    textSubtle: '#6B7280',
+    tooltip: '#E5E7EB',
+    onTooltip: '#111827',
+    overlay: 'rgba(0, 0, 0, 0.7)'
+  },
+  tones: {
+    success: { background: '#064E3B', color: '#A7F3D0' },
+    danger: { background: '#7F1D1D', color: '#FECACA' },
+    warning: { background: '#78350F', color: '#FDE68A' },
+    info: { background: '#1E3A8A', color: '#BFDBFE' },
+    neutral: { background: '#374151', color: '#E5E7EB' }
+  },
+  shadows: {
+    small: '0 1px 3px rgba(0, 0, 0, 0.4)',
+    medium: '0 4px 6px rgba(0, 0, 0, 0.4)'
+  }
+};
+
+const isPlainObject = (value) =>
+  value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const mergeTokens = (base, overrides) => {
+  if (!isPlainObject(overrides)) return base;
+  return Object.keys(overrides).reduce((merged, key) => {
+    merged[key] = isPlainObject(base[key]) && isPlainObject(overrides[key])
+      ? mergeTokens(base[key], overrides[key])
+      : overrides[key];
+    return merged;
+  }, { ...base });
+};
+
+/**
+ * Build a complete token set for a mode, with optional tenant overrides on top
+ * @param {object} overrides - Partial tokens (e.g. { colors: { primary: '#0F766E' } })
+ * @param {string} mode - Palette mode (light, dark)
+ */
+export const createTheme = (overrides, mode = 'light') => {
+  const base = mode === 'dark' ? mergeTokens(lightTheme, darkTheme) : lightTheme;
+  return mergeTokens(base, overrides);
+};
+
+// Brand gradient follows the (possibly overridden) primary/secondary colors
+const brandGradient = (theme) =>
+  `linear-gradient(135deg, ${theme.colors.primary}, ${theme.colors.secondary})`;
+
+const ThemeContext = createContext(lightTheme);
+
+/**
+ * Read the active design tokens
+ * @returns {object} Theme tokens (colors, tones, spacing, borderRadius, typography, shadows)
+ */
+export const useTheme = () => useContext(ThemeContext);
+
+/**
+ * Theme Provider Component
+ * Changing `mode` or `theme` re-renders the kit with the new tokens – no reload needed.
+ * @param {string} mode - Palette mode (light, dark)
+ * @param {object} theme - Tenant token overrides merged over the palette
+ * @param {ReactNode} children - Child components
+ */
+export const ThemeProvider = ({ mode = 'light', theme: overrides, children }) => {
+  const value = useMemo(() => createTheme(overrides, mode), [overrides, mode]);
+  return <ThemeContext.Provider value={value}>{children}</ThemeContext.Provider>;
+};
+
+ThemeProvider.propTypes = {
+  mode: PropTypes.oneOf(['light', 'dark']),
+  theme: PropTypes.object,
+  children: PropTypes.node
+};
+
+// Built-in strings, keyed by message id; `{name}` placeholders are filled by t(key, params)
+export const messages = {
+  en: {
+    'controls.search': 'Search',
+    'controls.searchPlaceholder': 'Search...',
+    'controls.addItem': 'Add Item',
+    'controls.bulkActions': 'Bulk actions',
+    'controls.selectedCount': '{count} selected',
+    'controls.clearSelection': 'Clear selection',
+    'controls.clearSearch': 'Clear search',
+    'controls.recentSearches': 'Recent searches',
+    'controls.clearHistory': 'Clear recent searches',
+    'filter.label': 'Filters',
+    'filter.add': 'Add filter',
+    'filter.edit': 'Edit filter',
+    'filter.remove': 'Remove filter {filter}',
+    'filter.clearAll': 'Clear filters',
+    'filter.field': 'Field',
+    'filter.operator': 'Condition',
+    'filter.value': 'Value',
+    'filter.min': 'From',
+    'filter.max': 'To',
+    'filter.apply': 'Apply',
+    'filter.cancel': 'Cancel',
+    'filter.op.contains': 'contains',
+    'filter.op.equals': 'is',
+    'filter.op.startsWith': 'starts with',
+    'filter.op.isEmpty': 'is empty',
+    'filter.op.isNotEmpty': 'is not empty',
+    'filter.op.eq': '=',
+    'filter.op.neq': '≠',
+    'filter.op.gt': '>',
+    'filter.op.gte': '≥',
+    'filter.op.lt': '<',
+    'filter.op.lte': '≤',
+    'filter.op.between': 'between',
+    'filter.op.anyOf': 'is any of',
+    'filter.op.noneOf': 'is none of',
+    'filter.op.on': 'is on',
+    'filter.op.before': 'is before',
+    'filter.op.after': 'is after',
+    'filter.op.inRange': 'is in range',
+    'filter.op.isTrue': 'is yes',
+    'filter.op.isFalse': 'is no',
+    'views.label': 'Views',
+    'views.saved': 'Saved views',
+    'views.none': 'No saved views yet',
+    'views.name': 'View name',
+    'views.save': 'Save view',
+    'views.savedAs': 'Saved view "{name}"',
+    'views.applied': 'Applied view "{name}"',
+    'views.delete': 'Delete view {name}',
+    'views.copyLink': 'Copy link to this view',
+    'views.linkCopied': 'Link copied',
+    'table.empty': 'No records found',
+    'table.rowsPerPage': 'Rows per page',
+    'table.range': '{first}–{last} of {total}',
+    'table.pageOf': 'Page {page} of {pageCount}',
+    'table.previousPage': 'Previous page',
+    'table.nextPage': 'Next page',
+    'table.selectRow': 'Select row',
+    'table.selectPage': 'Select all rows on this page',
+    'table.allRowsSelected': 'All {count} rows are selected.',
+    'table.pageRowsSelected': 'All {count} rows on this page are selected.',
+    'table.selectAllMatching': 'Select all {count} matching rows',
+    'table.clearSelection': 'Clear selection',
+    'table.saving': 'Saving…',
+    'table.saveFailed': 'Could not save this change',
+    'table.invalidNumber': 'Enter a number',
+    'export.label': 'Export',
+    'export.csv': 'CSV (.csv)',
+    'export.xlsx': 'Excel (.xlsx)',
+    'export.print': 'Print / PDF',
+    'export.selectedOnly': 'Selected rows only',
+    'export.visibleOnly': 'Visible columns only',
+    'columns.label': 'Columns',
+    'columns.pin': 'Pin {name}',
+    'columns.unpinned': 'Not pinned',
+    'columns.pinStart': 'Pin to start',
+    'columns.pinEnd': 'Pin to end',
+    'columns.moveEarlier': 'Move {name} earlier',
+    'columns.moveLater': 'Move {name} later',
+    'columns.resize': 'Resize {name}',
+    'columns.reset': 'Reset columns',
+    'import.title': 'Import from spreadsheet',
+    'import.step.file': 'Choose file',
+    'import.step.map': 'Match columns',
+    'import.step.review': 'Review',
+    'import.step.done': 'Done',
+    'import.drop': 'Drop a CSV or Excel file here, or click to choose one',
+    'import.formats': '.csv or .xlsx; the first row must hold the column names',
+    'import.reading': 'Reading file…',
+    'import.unreadable': 'This file could not be read. Save it as CSV (UTF-8) or .xlsx and try again.',
+    'import.noRows': 'The file has no data rows.',
+    'import.found': '{count} rows found in {file}. Choose the column for each field.',
+    'import.skipField': '— Not in file —',
+    'import.column': 'Column {number}',
+    'import.mapRequired': 'Choose a column for: {fields}',
+    'import.back': 'Back',
+    'import.next': 'Next',
+    'import.row': 'Row',
+    'import.rowErrors': '{count} errors',
+    'import.choose': 'Choose…',
+    'import.reviewSummary': '{valid} rows ready, {invalid} with errors',
+    'import.errorsOnly': 'Show only rows with errors',
+    'import.fixHint': 'Click a cell to fix it. Rows that still have errors are skipped.',
+    'import.invalidDate': '{label} must be a date (YYYY-MM-DD)',
+    'import.invalidOption': '{label} is not one of the allowed values',
+    'import.submit': 'Import {count} rows',
+    'import.result': '{imported} imported, {skipped} skipped',
+    'import.failed': 'Import failed',
+    'import.done': 'Done',
+    'actions.view': 'View',
+    'actions.edit': 'Edit',
+    'actions.delete': 'Delete',
+    'actions.confirmDeleteTitle': 'Delete this item?',
+    'actions.confirmDeleteMessage': 'This action cannot be undone.',
+    'modal.close': 'Close modal',
+    'form.save': 'Save',
+    'form.cancel': 'Cancel',
+    'form.processing': 'Processing...',
+    'form.selectPlaceholder': 'Select...',
+    'form.submitFailed': 'The form could not be submitted',
+    'validation.required': 'This field is required',
+    'validation.email': 'Enter a valid email address',
+    'validation.phone': 'Enter a valid phone number',
+    'validation.numeric': 'Must be a number',
+    'validation.min': 'Must be at least {min}',
+    'validation.max': 'Must be at most {max}',
+    'validation.minLength': 'Must be at least {length} characters',
+    'validation.maxLength': 'Must be at most {length} characters',
+    'validation.pattern': 'Invalid format',
+    'validation.notBefore': 'Must not be before the start',
+    'validation.dateRange': 'End date must be on or after the start date',
+    'validation.overlappingWindows': 'Time windows overlap',
+    'validation.failed': 'Validation failed',
+    'schema.required': '{label} is required',
+    'schema.numeric': '{label} must be a number',
+    'schema.min': '{label} must be at least {min}',
+    'schema.max': '{label} must be at most {max}',
+    'schema.minDate': '{label} must be on or after {min}',
+    'schema.maxDate': '{label} must be on or before {max}',
+    'schema.minLength': '{label} must be at least {length} characters',
+    'schema.maxLength': '{label} must be at most {length} characters',
+    'schema.pattern': '{label} is not in a valid format',
+    'dialog.confirmTitle': 'Are you sure?',
+    'dialog.confirm': 'Confirm',
+    'dialog.promptTitle': 'Enter a value',
+    'dialog.promptLabel': 'Value',
+    'dialog.ok': 'OK',
+    'toast.close': 'Close toast',
+    'datePicker.placeholder': 'Select dates',
+    'datePicker.calendar': '{label} calendar',
+    'datePicker.chooseDates': 'Choose dates',
+    'datePicker.previousMonth': 'Previous month',
+    'datePicker.nextMonth': 'Next month',
+    'datePicker.pickStart': 'Pick a start date',
+    'datePicker.pickEnd': 'Pick an end date (start {date})',
+    'datePicker.timeZone': 'Time zone: {zone}',
+    'datePicker.today': 'Today',
+    'datePicker.tomorrow': 'Tomorrow',
+    'datePicker.thisWeek': 'This week',
+    'datePicker.last7Days': 'Last 7 days',
+    'datePicker.last30Days': 'Last 30 days',
+    'datePicker.nextDeliveryCycle': 'Next delivery cycle',
+    'timeWindows.add': 'Add window',
+    'timeWindows.window': 'Window {number}',
+    'timeWindows.windowOvernight': 'Window {number} (ends next day)',
+    'timeWindows.remove': 'Remove window {number} on {day}',
+    'timeWindows.none': '{day}: no windows',
+    'timeWindows.sameStartEnd': 'Start and end must differ',
+    'timeWindows.overlap': 'Overlaps another window',
+    'duration.days': '{value}d',
+    'duration.hours': '{value}h',
+    'duration.minutes': '{value}m',
+    'duration.seconds': '{value}s',
+    'stat.sparkline': '{title} over the last {count} points',
+    'chart.category': 'Category',
+    'chart.value': 'Value',
+    'chart.share': 'Share',
+    'chart.total': 'Total',
+    'chart.capacity': 'Capacity',
+    'chart.target': 'Target',
+    'route.stop': '1 stop',
+    'route.stops': '{count} stops',
+    'route.late': '{count} late',
+    'route.empty': 'No stops on this route',
+    'route.planned': 'Planned {time}',
+    'route.actual': 'Actual {time}',
+    'route.window': 'Window {from}–{to}',
+    'route.windowLate': 'Arrived after the time window',
+    'route.windowEarly': 'Arrived before the time window',
+    'route.service': 'Service {duration}',
+    'route.leg': '{distance} · {duration} drive',
+    'dnd.column': 'Reorder',
+    'dnd.handle': 'Move {item}',
+    'dnd.instructions': 'Press Space to pick up. Use the arrow keys to move, Space to drop and Escape to cancel.',
+    'dnd.pickedUp': 'Picked up {item}. Position {position} of {total}.',
+    'dnd.moved': '{item} moved to position {position} of {total}.',
+    'dnd.movedToList': '{item} moved to {list}, position {position} of {total}.',
+    'dnd.dropped': '{item} dropped at position {position} of {total}.',
+    'dnd.droppedInList': '{item} dropped in {list} at position {position} of {total}.',
+    'dnd.cancelled': 'Move cancelled. {item} is back at position {position}.',
+    'dnd.notAllowed': 'It cannot be moved here',
+    'dnd.blocked': '{item} cannot move to {list}: {reason}',
+    'stops.empty': 'No stops',
+    'schedule.vehicle': 'Vehicle',
+    'schedule.previous': 'Previous period',
+    'schedule.next': 'Next period',
+    'schedule.now': 'Now',
+    'schedule.nowAt': 'Current time {time}',
+    'schedule.zoom': 'Zoom',
+    'schedule.zoom.hour': 'Hour',
+    'schedule.zoom.day': 'Day',
+    'schedule.zoom.week': 'Week',
+    'schedule.shift': 'Shift',
+    'schedule.route': 'Route',
+    'schedule.break': 'Break',
+    'schedule.idle': 'Idle',
+    'schedule.time': '{start}–{end}',
+    'schedule.type': 'Type',
+    'schedule.period': 'Time',
+    'schedule.duration': 'Duration',
+    'schedule.status': 'Status',
+    'schedule.empty': 'No vehicles scheduled',
+    'kanban.pending': 'Pending',
+    'kanban.assigned': 'Assigned',
+    'kanban.inProgress': 'In progress',
+    'kanban.completed': 'Completed',
+    'kanban.cancelled': 'Cancelled',
+    'kanban.wip': '{count} / {limit}',
+    'kanban.overLimit': 'Over the limit of {limit}',
+    'kanban.wipReached': 'The limit of {limit} is reached',
+    'kanban.collapse': 'Collapse {column}',
+    'kanban.expand': 'Expand {column}',
+    'kanban.empty': 'Drop cards here'
+  },
+  ar: {
+    'controls.search': 'بحث',
+    'controls.searchPlaceholder': 'بحث...',
+    'controls.addItem': 'إضافة عنصر',
+    'controls.bulkActions': 'إجراءات جماعية',
+    'controls.selectedCount': 'تم تحديد {count}',
+    'controls.clearSelection': 'إلغاء التحديد',
+    'controls.clearSearch': 'مسح البحث',
+    'controls.recentSearches': 'عمليات البحث الأخيرة',
+    'controls.clearHistory': 'مسح عمليات البحث الأخيرة',
+    'filter.label': 'عوامل التصفية',
+    'filter.add': 'إضافة عامل تصفية',
+    'filter.edit': 'تعديل عامل التصفية',
+    'filter.remove': 'إزالة عامل التصفية {filter}',
+    'filter.clearAll': 'مسح عوامل التصفية',
+    'filter.field': 'الحقل',
+    'filter.operator': 'الشرط',
+    'filter.value': 'القيمة',
+    'filter.min': 'من',
+    'filter.max': 'إلى',
+    'filter.apply': 'تطبيق',
+    'filter.cancel': 'إلغاء',
+    'filter.op.contains': 'يحتوي على',
+    'filter.op.equals': 'يساوي',
+    'filter.op.startsWith': 'يبدأ بـ',
+    'filter.op.isEmpty': 'فارغ',
+    'filter.op.isNotEmpty': 'غير فارغ',
+    'filter.op.eq': '=',
+    'filter.op.neq': '≠',
+    'filter.op.gt': '>',
+    'filter.op.gte': '≥',
+    'filter.op.lt': '<',
+    'filter.op.lte': '≤',
+    'filter.op.between': 'بين',
+    'filter.op.anyOf': 'أي من',
+    'filter.op.noneOf': 'ليس أيًا من',
+    'filter.op.on': 'في',
+    'filter.op.before': 'قبل',
+    'filter.op.after': 'بعد',
+    'filter.op.inRange': 'ضمن الفترة',
+    'filter.op.isTrue': 'نعم',
+    'filter.op.isFalse': 'لا',
+    'views.label': 'طرق العرض',
+    'views.saved': 'طرق العرض المحفوظة',
+    'views.none': 'لا توجد طرق عرض محفوظة بعد',
+    'views.name': 'اسم طريقة العرض',
+    'views.save': 'حفظ طريقة العرض',
+    'views.savedAs': 'تم حفظ طريقة العرض "{name}"',
+    'views.applied': 'تم تطبيق طريقة العرض "{name}"',
+    'views.delete': 'حذف طريقة العرض {name}',
+    'views.copyLink': 'نسخ رابط طريقة العرض هذه',
+    'views.linkCopied': 'تم نسخ الرابط',
+    'table.empty': 'لا توجد سجلات',
+    'table.rowsPerPage': 'عدد الصفوف في الصفحة',
+    'table.range': '{first}–{last} من {total}',
+    'table.pageOf': 'صفحة {page} من {pageCount}',
+    'table.previousPage': 'الصفحة السابقة',
+    'table.nextPage': 'الصفحة التالية',
+    'table.selectRow': 'تحديد الصف',
+    'table.selectPage': 'تحديد كل الصفوف في هذه الصفحة',
+    'table.allRowsSelected': 'تم تحديد جميع الصفوف ({count}).',
+    'table.pageRowsSelected': 'تم تحديد جميع صفوف هذه الصفحة ({count}).',
+    'table.selectAllMatching': 'تحديد جميع الصفوف المطابقة ({count})',
+    'table.clearSelection': 'إلغاء التحديد',
+    'table.saving': 'جارٍ الحفظ…',
+    'table.saveFailed': 'تعذّر حفظ هذا التغيير',
+    'table.invalidNumber': 'أدخل رقمًا',
+    'export.label': 'تصدير',
+    'export.csv': 'CSV (.csv)',
+    'export.xlsx': 'Excel (.xlsx)',
+    'export.print': 'طباعة / PDF',
+    'export.selectedOnly': 'الصفوف المحددة فقط',
+    'export.visibleOnly': 'الأعمدة الظاهرة فقط',
+    'columns.label': 'الأعمدة',
+    'columns.pin': 'تثبيت {name}',
+    'columns.unpinned': 'غير مثبت',
+    'columns.pinStart': 'تثبيت في البداية',
+    'columns.pinEnd': 'تثبيت في النهاية',
+    'columns.moveEarlier': 'نقل {name} للأمام',
+    'columns.moveLater': 'نقل {name} للخلف',
+    'columns.resize': 'تغيير عرض {name}',
+    'columns.reset': 'إعادة ضبط الأعمدة',
+    'import.title': 'استيراد من جدول بيانات',
+    'import.step.file': 'اختيار الملف',
+    'import.step.map': 'مطابقة الأعمدة',
+    'import.step.review': 'المراجعة',
+    'import.step.done': 'تم',
+    'import.drop': 'أفلت ملف CSV أو Excel هنا، أو انقر لاختياره',
+    'import.formats': 'ملف ‎.csv أو ‎.xlsx، ويجب أن يحتوي الصف الأول على أسماء الأعمدة',
+    'import.reading': 'جارٍ قراءة الملف…',
+    'import.unreadable': 'تعذّرت قراءة هذا الملف. احفظه بصيغة CSV (UTF-8) أو ‎.xlsx ثم حاول مرة أخرى.',
+    'import.noRows': 'لا يحتوي الملف على صفوف بيانات.',
+    'import.found': 'تم العثور على {count} صفًا في {file}. اختر العمود المناسب لكل حقل.',
+    'import.skipField': '— غير موجود في الملف —',
+    'import.column': 'العمود {number}',
+    'import.mapRequired': 'اختر عمودًا لكل من: {fields}',
+    'import.back': 'السابق',
+    'import.next': 'التالي',
+    'import.row': 'الصف',
+    'import.rowErrors': 'عدد الأخطاء: {count}',
+    'import.choose': 'اختر…',
+    'import.reviewSummary': 'صفوف جاهزة: {valid}، صفوف بها أخطاء: {invalid}',
+    'import.errorsOnly': 'عرض الصفوف التي بها أخطاء فقط',
+    'import.fixHint': 'انقر على أي خلية لتصحيحها. سيتم تخطي الصفوف التي تبقى بها أخطاء.',
+    'import.invalidDate': 'يجب أن يكون {label} تاريخًا (YYYY-MM-DD)',
+    'import.invalidOption': 'قيمة {label} ليست من القيم المسموح بها',
+    'import.submit': 'استيراد {count} صفًا',
+    'import.result': 'تم استيراد {imported}، وتخطي {skipped}',
+    'import.failed': 'فشل الاستيراد',
+    'import.done': 'تم',
+    'actions.view': 'عرض',
+    'actions.edit': 'تعديل',
+    'actions.delete': 'حذف',
+    'actions.confirmDeleteTitle': 'حذف هذا العنصر؟',
+    'actions.confirmDeleteMessage': 'لا يمكن التراجع عن هذا الإجراء.',
+    'modal.close': 'إغلاق النافذة',
+    'form.save': 'حفظ',
+    'form.cancel': 'إلغاء',
+    'form.processing': 'جارٍ المعالجة...',
+    'form.selectPlaceholder': 'اختر...',
+    'form.submitFailed': 'تعذّر إرسال النموذج',
+    'validation.required': 'هذا الحقل مطلوب',
+    'validation.email': 'أدخل بريدًا إلكترونيًا صحيحًا',
+    'validation.phone': 'أدخل رقم هاتف صحيحًا',
+    'validation.numeric': 'يجب أن تكون القيمة رقمًا',
+    'validation.min': 'يجب ألا تقل القيمة عن {min}',
+    'validation.max': 'يجب ألا تزيد القيمة عن {max}',
+    'validation.minLength': 'يجب ألا يقل عدد الأحرف عن {length}',
+    'validation.maxLength': 'يجب ألا يزيد عدد الأحرف عن {length}',
+    'validation.pattern': 'تنسيق غير صالح',
+    'validation.notBefore': 'يجب ألا يسبق تاريخ البداية',
+    'validation.dateRange': 'يجب أن يكون تاريخ النهاية في تاريخ البداية أو بعده',
+    'validation.overlappingWindows': 'الفترات الزمنية متداخلة',
+    'validation.failed': 'تعذّر التحقق',
+    'schema.required': '{label} مطلوب',
+    'schema.numeric': 'يجب أن يكون {label} رقمًا',
+    'schema.min': 'يجب ألا يقل {label} عن {min}',
+    'schema.max': 'يجب ألا يزيد {label} عن {max}',
+    'schema.minDate': 'يجب أن يكون {label} في {min} أو بعده',
+    'schema.maxDate': 'يجب أن يكون {label} في {max} أو قبله',
+    'schema.minLength': 'يجب ألا يقل {label} عن {length} أحرف',
+    'schema.maxLength': 'يجب ألا يزيد {label} عن {length} أحرف',
+    'schema.pattern': 'تنسيق {label} غير صالح',
+    'dialog.confirmTitle': 'هل أنت متأكد؟',
+    'dialog.confirm': 'تأكيد',
+    'dialog.promptTitle': 'أدخل قيمة',
+    'dialog.promptLabel': 'القيمة',
+    'dialog.ok': 'موافق',
+    'toast.close': 'إغلاق الإشعار',
+    'datePicker.placeholder': 'اختر التواريخ',
+    'datePicker.calendar': 'تقويم {label}',
+    'datePicker.chooseDates': 'اختيار التواريخ',
+    'datePicker.previousMonth': 'الشهر السابق',
+    'datePicker.nextMonth': 'الشهر التالي',
+    'datePicker.pickStart': 'اختر تاريخ البداية',
+    'datePicker.pickEnd': 'اختر تاريخ النهاية (البداية {date})',
+    'datePicker.timeZone': 'المنطقة الزمنية: {zone}',
+    'datePicker.today': 'اليوم',
+    'datePicker.tomorrow': 'غدًا',
+    'datePicker.thisWeek': 'هذا الأسبوع',
+    'datePicker.last7Days': 'آخر 7 أيام',
+    'datePicker.last30Days': 'آخر 30 يومًا',
+    'datePicker.nextDeliveryCycle': 'دورة التوصيل القادمة',
+    'timeWindows.add': 'إضافة فترة',
+    'timeWindows.window': 'الفترة {number}',
+    'timeWindows.windowOvernight': 'الفترة {number} (تنتهي في اليوم التالي)',
+    'timeWindows.remove': 'حذف الفترة {number} يوم {day}',
+    'timeWindows.none': '{day}: لا توجد فترات',
+    'timeWindows.sameStartEnd': 'يجب أن تختلف البداية عن النهاية',
+    'timeWindows.overlap': 'تتداخل مع فترة أخرى',
+    'duration.days': '{value} ي',
+    'duration.hours': '{value} س',
+    'duration.minutes': '{value} د',
+    'duration.seconds': '{value} ث',
+    'stat.sparkline': '{title} خلال آخر {count} نقطة',
+    'chart.category': 'الفئة',
+    'chart.value': 'القيمة',
+    'chart.share': 'النسبة',
+    'chart.total': 'الإجمالي',
+    'chart.capacity': 'السعة',
+    'chart.target': 'المستهدف',
+    'route.stop': 'محطة واحدة',
+    'route.stops': '{count} محطات',
+    'route.late': '{count} متأخرة',
+    'route.empty': 'لا توجد محطات في هذا المسار',
+    'route.planned': 'المخطط {time}',
+    'route.actual': 'الفعلي {time}',
+    'route.window': 'النافذة {from}–{to}',
+    'route.windowLate': 'الوصول بعد النافذة الزمنية',
+    'route.windowEarly': 'الوصول قبل النافذة الزمنية',
+    'route.service': 'الخدمة {duration}',
+    'route.leg': '{distance} · {duration} قيادة',
+    'dnd.column': 'إعادة الترتيب',
+    'dnd.handle': 'نقل {item}',
+    'dnd.instructions': 'اضغط المسافة للالتقاط. استخدم مفاتيح الأسهم للتحريك، والمسافة للإفلات، وEscape للإلغاء.',
+    'dnd.pickedUp': 'تم التقاط {item}. الموضع {position} من {total}.',
+    'dnd.moved': 'تم نقل {item} إلى الموضع {position} من {total}.',
+    'dnd.movedToList': 'تم نقل {item} إلى {list}، الموضع {position} من {total}.',
+    'dnd.dropped': 'تم إفلات {item} في الموضع {position} من {total}.',
+    'dnd.droppedInList': 'تم إفلات {item} في {list} في الموضع {position} من {total}.',
+    'dnd.cancelled': 'تم إلغاء النقل. عاد {item} إلى الموضع {position}.',
+    'dnd.notAllowed': 'لا يمكن نقله إلى هنا',
+    'dnd.blocked': 'لا يمكن نقل {item} إلى {list}: {reason}',
+    'stops.empty': 'لا توجد محطات',
+    'schedule.vehicle': 'المركبة',
+    'schedule.previous': 'الفترة السابقة',
+    'schedule.next': 'الفترة التالية',
+    'schedule.now': 'الآن',
+    'schedule.nowAt': 'الوقت الحالي {time}',
+    'schedule.zoom': 'التكبير',
+    'schedule.zoom.hour': 'ساعة',
+    'schedule.zoom.day': 'يوم',
+    'schedule.zoom.week': 'أسبوع',
+    'schedule.shift': 'وردية',
+    'schedule.route': 'مسار',
+    'schedule.break': 'استراحة',
+    'schedule.idle': 'خمول',
+    'schedule.time': '{start}–{end}',
+    'schedule.type': 'النوع',
+    'schedule.period': 'الوقت',
+    'schedule.duration': 'المدة',
+    'schedule.status': 'الحالة',
+    'schedule.empty': 'لا توجد مركبات مجدولة',
+    'kanban.pending': 'قيد الانتظار',
+    'kanban.assigned': 'مُسندة',
+    'kanban.inProgress': 'قيد التنفيذ',
+    'kanban.completed': 'مكتملة',
+    'kanban.cancelled': 'ملغاة',
+    'kanban.wip': '{count} / {limit}',
+    'kanban.overLimit': 'تجاوز الحد {limit}',
+    'kanban.wipReached': 'تم بلوغ الحد {limit}',
+    'kanban.collapse': 'طي {column}',
+    'kanban.expand': 'توسيع {column}',
+    'kanban.empty': 'أفلت البطاقات هنا'
   }
 };
 
+const RTL_LANGUAGES = ['ar', 'fa', 'he', 'ur'];
+
+// Resolves a locale value; lookups fall back from "ar-SA" to "ar" to English to the key itself
+const createLocale = (locale, direction, overrides = {}, { digits, unitSystem = 'metric', currency = 'SAR' } = {}) => {
+  const language = locale.split('-')[0];
+  const catalogs = [overrides[locale], overrides[language], messages[locale], messages[language], overrides.en, messages.en];
+  const t = (key, params) => {
+    const catalog = catalogs.find((entries) => entries && entries[key] !== undefined);
+    const template = catalog ? catalog[key] : key;
+    return params
+      ? template.replace(/\{(\w+)\}/g, (match, name) => (params[name] !== undefined ? String(params[name]) : match))
+      : template;
+  };
+  const dir = direction || (RTL_LANGUAGES.includes(language) ? 'rtl' : 'ltr');
+  return { locale, direction: dir, isRTL: dir === 'rtl', t, digits, unitSystem, currency };
+};
+
+const defaultLocale = createLocale('en');
+
+const LocaleContext = createContext(defaultLocale);
+
+/**
+ * Read the active locale
+ * t(key, params) looks a message up in the catalog and fills its `{name}` placeholders.
+ * @returns {object} { locale, direction, isRTL, t, digits, unitSystem, currency }
+ */
+export const useLocale = () => useContext(LocaleContext);
+
+/**
+ * Locale Provider Component
+ * Picks the message catalog and text direction for the kit. Layouts use logical CSS
+ * properties, so setting `dir` here mirrors everything inside for RTL languages.
+ * @param {string} locale - BCP 47 locale (en, ar, ar-SA, ...)
+ * @param {string} direction - Text direction (ltr, rtl); derived from the locale when omitted
+ * @param {object} messages - Per-locale overrides or extra bundles ({ ar: { 'form.save': '...' } })
+ * @param {string} digits - Numbering system for formatted numbers (latn, arab); the locale's default when omitted
+ * @param {string} unitSystem - Units for distances and weights (metric, imperial)
+ * @param {string} currency - Default ISO 4217 currency code
+ * @param {ReactNode} children - Child components
+ */
+export const LocaleProvider = ({
+  locale = 'en',
+  direction,
+  messages: overrides,
+  digits,
+  unitSystem = 'metric',
+  currency = 'SAR',
+  children
+}) => {
+  const value = useMemo(
+    () => createLocale(locale, direction, overrides, { digits, unitSystem, currency }),
+    [locale, direction, overrides, digits, unitSystem, currency]
+  );
+  return (
+    <LocaleContext.Provider value={value}>
+      <div dir={value.direction} lang={locale} style={{ display: 'contents' }}>
+        {children}
+      </div>
+    </LocaleContext.Provider>
+  );
+};
+
+LocaleProvider.propTypes = {
+  locale: PropTypes.string,
+  direction: PropTypes.oneOf(['ltr', 'rtl']),
+  messages: PropTypes.objectOf(PropTypes.objectOf(PropTypes.string)),
+  digits: PropTypes.oneOf(['latn', 'arab']),
+  unitSystem: PropTypes.oneOf(['metric', 'imperial']),
+  currency: PropTypes.string,
+  children: PropTypes.node
+};
+
+// Eastern Arabic (٠-٩) and Persian (۰-۹) digits plus Arabic separators, as typed on Arabic keyboards
+const LOCALIZED_DIGITS = /[٠-٩۰-۹]/g;
+
+/**
+ * Parses a number typed with Western or Arabic-Indic digits ("١٬٢٣٤٫٥" → 1234.5)
+ * @param {string|number} input - Raw input
+ * @returns {number} Parsed number, or NaN when the input is not a number
+ */
+export const parseLocalizedNumber = (input) => {
+  if (typeof input === 'number') return input;
+  const normalized = String(input ?? '')
+    // Both digit blocks start at a code point ending in 0 (U+0660, U+06F0)
+    .replace(LOCALIZED_DIGITS, (digit) => String(digit.charCodeAt(0) & 0xF))
+    .replace(/٫/g, '.')
+    .replace(/[٬,\s]/g, '')
+    .replace(/−/g, '-');
+  return normalized === '' ? NaN : Number(normalized);
+};
+
+const SECONDS_PER_UNIT = [['days', 86400], ['hours', 3600], ['minutes', 60], ['seconds', 1]];
+
+/*
+ * Formatters for a locale value from useLocale(). Quantities come in base units – metres,
+ * kilograms, seconds – and are shown in the provider's unit system. Intl formatters are
+ * cached because table cells ask for the same ones on every row.
+ */
+const createFormatters = ({ locale, digits, unitSystem, currency: defaultCurrency, t }) => {
+  const intlLocale = digits ? `${locale}-u-nu-${digits}` : locale;
+  const cache = new Map();
+  const numberFormat = (options = {}) => {
+    const key = JSON.stringify(options);
+    if (!cache.has(key)) cache.set(key, new Intl.NumberFormat(intlLocale, options));
+    return cache.get(key);
+  };
+  const isMissing = (value) => isBlank(value) || Number.isNaN(Number(value));
+  const unit = (value, unitName, maximumFractionDigits = 1) =>
+    numberFormat({ style: 'unit', unit: unitName, maximumFractionDigits }).format(value);
+  const imperial = unitSystem === 'imperial';
+
+  const formatters = {
+    number: (value, options) => (isMissing(value) ? '' : numberFormat(options).format(Number(value))),
+    compact: (value, options) => (isMissing(value) ? '' : numberFormat({
+      notation: 'compact',
+      maximumFractionDigits: 1,
+      ...options
+    }).format(Number(value))),
+    // `value` is a fraction (0.124 → 12.4%)
+    percent: (value, { signed = false, ...options } = {}) => (isMissing(value) ? '' : numberFormat({
+      style: 'percent',
+      maximumFractionDigits: 1,
+      signDisplay: signed ? 'exceptZero' : 'auto',
+      ...options
+    }).format(Number(value))),
+    currency: (value, { currency = defaultCurrency, ...options } = {}) => (isMissing(value) ? '' : numberFormat({
+      style: 'currency',
+      currency,
+      ...options
+    }).format(Number(value))),
+    // Metres → m/km, or ft/mi in the imperial system
+    distance: (meters) => {
+      if (isMissing(meters)) return '';
+      const value = Number(meters);
+      if (imperial) {
+        const feet = value * 3.28084;
+        return feet < 1000 ? unit(feet, 'foot', 0) : unit(value / 1609.344, 'mile');
+      }
+      return Math.abs(value) < 1000 ? unit(value, 'meter', 0) : unit(value / 1000, 'kilometer');
+    },
+    // Kilograms → kg, or lb in the imperial system
+    weight: (kilograms) => {
+      if (isMissing(kilograms)) return '';
+      return imperial ? unit(Number(kilograms) * 2.20462, 'pound') : unit(Number(kilograms), 'kilogram');
+    },
+    // Seconds → the two largest units ("2h 15m", "1d 3h", "45s")
+    duration: (seconds) => {
+      if (isMissing(seconds)) return '';
+      let remaining = Math.round(Math.abs(Number(seconds)));
+      const parts = SECONDS_PER_UNIT.map(([name, size]) => {
+        const amount = Math.floor(remaining / size);
+        remaining -= amount * size;
+        return { name, amount };
+      });
+      const first = parts.findIndex((part) => part.amount > 0);
+      if (first === -1) return t('duration.minutes', { value: formatters.number(0) });
+      const shown = parts.slice(first, first + 2).filter((part) => part.amount > 0);
+      const text = shown.map((part) => t(`duration.${part.name}`, { value: formatters.number(part.amount) })).join(' ');
+      return Number(seconds) < 0 ? `-${text}` : text;
+    }
+  };
+
+  // format(value, 'distance') or format(value, { type: 'currency', currency: 'USD' })
+  formatters.format = (value, spec) => {
+    const { type = 'number', ...options } = typeof spec === 'string' ? { type: spec } : spec || {};
+    const formatter = formatters[type] || formatters.number;
+    return formatter(value, options);
+  };
+
+  return formatters;
+};
+
+/**
+ * Locale-aware formatters
+ * number, compact ("12.4K"), percent, currency (SAR, USD, ...), distance (metres), weight
+ * (kilograms), duration (seconds → "2h 15m") and format(value, spec) for any of them.
+ * Digits, unit system and default currency come from LocaleProvider.
+ * @returns {object} Formatter functions
+ */
+export const useFormatters = () => {
+  const locale = useLocale();
+  return useMemo(() => createFormatters(locale), [locale]);
+};
+
+const formatSpecPropType = PropTypes.oneOfType([
+  PropTypes.oneOf(['number', 'compact', 'percent', 'currency', 'distance', 'weight', 'duration']),
+  PropTypes.shape({ type: PropTypes.string })
+]);
+
+/**
+ * Formatted Value Component
+ * @param {number} value - Value in base units (metres, kilograms, seconds, a fraction for percent)
+ * @param {string|object} format - Formatter name, or { type, ...Intl options }
+ * @param {string} fallback - Shown when the value is empty or not a number
+ */
+export const Formatted = memo(({ value, format = 'number', fallback = '—' }) => {
+  const formatters = useFormatters();
+  const text = formatters.format(value, format);
+  const type = typeof format === 'string' ? format : format.type;
+  return (
+    // Compact numbers keep the exact figure in a tooltip
+    <span title={type === 'compact' && text ? formatters.number(value) : undefined}>
+      {text || fallback}
+    </span>
+  );
+});
+
+Formatted.propTypes = {
+  value: PropTypes.oneOfType([PropTypes.number, PropTypes.string]),
+  format: formatSpecPropType,
+  fallback: PropTypes.node
+};
+
 /**
  * Unified Page Container Component
  * @param {ReactNode} children - Child components
  * @param {string} className - Additional CSS classes
  * @param {object} style - Additional inline styles
  */
-export const PageContainer = ({ children, className, style }) => (
-  <div 
-    className={className}
-    style={{ 
-      padding: theme.spacing.large, 
-      background: '#F9FAFB', 
-      minHeight: '100vh',
-      ...style 
-    }}
-  >
-    {children}
-  </div>
-);
+export const PageContainer = ({ children, className, style }) => {
+  const theme = useTheme();
+
+  return (
+    <div 
+      className={className}
+      style={{ 
+        padding: theme.spacing.large, 
+        background: theme.colors.background, 
+        color: theme.colors.text,
+        fontFamily: theme.typography.fontFamily,
+        minHeight: '100vh',
+        ...style 
+      }}
+    >
+      {children}
+    </div>
+  );
+};
 
 PageContainer.propTypes = {
   children: PropTypes.node,
@@ -71,37 +900,41 @@ PageContainer.propTypes = {
  * @param {string} subtitle - Header subtitle
  * @param {object} actions - Additional header actions
  */
-export const PageHeader = memo(({ title, subtitle, actions }) => (
-  <div style={{ 
-    display: 'flex',
-    justifyContent: 'space-between',
-    alignItems: 'center',
-    marginBottom: theme.spacing.large,
-    flexWrap: 'wrap',
-    gap: theme.spacing.medium
-  }}>
-    <div>
-      <h1 style={{ 
-        margin: '0 0 8px 0', 
-        fontSize: '28px', 
-        fontWeight: '700', 
-        color: theme.colors.dark 
-      }}>
-        {title}
-      </h1>
-      {subtitle && (
-        <p style={{ 
-          margin: 0, 
-          color: '#6B7280', 
-          fontSize: '16px' 
+export const PageHeader = memo(({ title, subtitle, actions }) => {
+  const theme = useTheme();
+
+  return (
+    <div style={{ 
+      display: 'flex',
+      justifyContent: 'space-between',
+      alignItems: 'center',
+      marginBottom: theme.spacing.large,
+      flexWrap: 'wrap',
+      gap: theme.spacing.medium
+    }}>
+      <div>
+        <h1 style={{ 
+          margin: `0 0 ${theme.spacing.small} 0`, 
+          fontSize: theme.typography.fontSize.heading, 
+          fontWeight: theme.typography.fontWeight.bold, 
+          color: theme.colors.text 
         }}>
-          {subtitle}
-        </p>
-      )}
+          {title}
+        </h1>
+        {subtitle && (
+          <p style={{ 
+            margin: 0, 
+            color: theme.colors.textMuted, 
+            fontSize: theme.typography.fontSize.large 
+          }}>
+            {subtitle}
+          </p>
+        )}
+      </div>
+      {actions && <div>{actions}</div>}
     </div>
-    {actions && <div>{actions}</div>}
-  </div>
-));
+  );
+});
 
 PageHeader.propTypes = {
   title: PropTypes.string.isRequired,
@@ -109,76 +942,213 @@ PageHeader.propTypes = {
   actions: PropTypes.node
 };
 
+// Trend of the latest period against the one before it: `comparisonSeries` when given, else
+// the `comparePeriod` points before the last `comparePeriod` (half the series by default)
+const computeTrend = (series, comparePeriod, comparisonSeries) => {
+  const average = (values) => values.reduce((sum, v) => sum + v, 0) / values.length;
+  const period = comparePeriod || Math.floor(series.length / 2);
+  if (period < 1) return null;
+  const current = series.slice(-period);
+  const previous = comparisonSeries || series.slice(-2 * period, -period);
+  if (current.length === 0 || previous.length === 0) return null;
+  const currentValue = average(current);
+  const previousValue = average(previous);
+  const direction = currentValue > previousValue ? 'up' : currentValue < previousValue ? 'down' : 'flat';
+  return {
+    direction,
+    change: previousValue === 0 ? null : (currentValue - previousValue) / Math.abs(previousValue)
+  };
+};
+
+// Inline SVG sparkline; stretches to the card's width
+const Sparkline = ({ data, type = 'line', color, height = 36, label }) => {
+  const width = 100;
+  const padding = 2;
+  const min = Math.min(...data, type === 'bar' ? 0 : Infinity);
+  const max = Math.max(...data);
+  const range = max - min || 1;
+  const y = (value) => padding + (height - padding * 2) * (1 - (value - min) / range);
+  const x = (index) => (data.length === 1 ? width / 2 : (index / (data.length - 1)) * width);
+
+  let shapes;
+  if (type === 'bar') {
+    const slot = width / data.length;
+    shapes = data.map((value, i) => (
+      <rect
+        key={i}
+        x={i * slot + slot * 0.15}
+        width={slot * 0.7}
+        y={y(value)}
+        height={Math.max(height - padding - y(value), 1)}
+        fill={color}
+        opacity={i === data.length - 1 ? 1 : 0.6}
+      />
+    ));
+  } else {
+    const line = data.map((value, i) => `${i === 0 ? 'M' : 'L'}${x(i)},${y(value)}`).join(' ');
+    shapes = (
+      <>
+        {type === 'area' && (
+          <path d={`${line} L${x(data.length - 1)},${height} L${x(0)},${height} Z`} fill={color} opacity={0.15} />
+        )}
+        <path d={line} fill="none" stroke={color} strokeWidth={2} vectorEffect="non-scaling-stroke" strokeLinejoin="round" />
+      </>
+    );
+  }
+
+  return (
+    <svg
+      role="img"
+      aria-label={label}
+      viewBox={`0 0 ${width} ${height}`}
+      preserveAspectRatio="none"
+      style={{ display: 'block', width: '100%', height: `${height}px` }}
+    >
+      {shapes}
+    </svg>
+  );
+};
+
+// Placeholder blocks shown while a card's data loads
+const SkeletonBlock = ({ width = '100%', height = '12px', style }) => {
+  const theme = useTheme();
+  return (
+    <div style={{
+      width,
+      height,
+      background: theme.colors.hover,
+      borderRadius: theme.borderRadius.small,
+      animation: 'pulse 1.5s ease-in-out infinite',
+      ...style
+    }} />
+  );
+};
+
 /**
  * Unified Statistics Card Component
  * @param {string} title - Card title
- * @param {string|number} value - Display value
+ * @param {string|number} value - Display value; numbers are formatted with `format`
+ * @param {string|object} format - Formatter for numeric values (see useFormatters), e.g. 'distance'
  * @param {ReactComponent} icon - Icon component
  * @param {string} color - Text color
  * @param {string} gradient - Background gradient for icon
- * @param {string} trend - Trend value (up/down)
+ * @param {string} trend - Trend value (up/down/flat); computed from `series` when omitted
+ * @param {string|number} trendValue - Trend label; a number is a fraction shown as a percentage
+ * @param {array} series - Numbers to draw as a sparkline, oldest first (e.g. the last 14 days)
+ * @param {string} sparkline - Sparkline style (line, bar, area)
+ * @param {number} comparePeriod - Points in the latest period compared with the same number before it
+ * @param {array} comparisonSeries - Explicit previous period to compare the latest period against
+ * @param {boolean} lowerIsBetter - Show rises in the danger color (fuel cost, late deliveries)
+ * @param {boolean} loading - Show a skeleton instead of the value
  */
 export const StatCard = memo(({ 
   title, 
   value, 
+  format = 'number',
   icon: Icon, 
   color, 
   gradient, 
-  trend,
-  trendValue 
-}) => (
-  <div style={{
-    background: 'white',
-    padding: theme.spacing.large,
-    borderRadius: theme.borderRadius.large,
-    boxShadow: '0 1px 3px rgba(0, 0, 0, 0.1)',
-    border: '1px solid #E5E7EB',
-    height: '100%'
-  }}>
-    <div style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between' }}>
-      <div>
-        <p style={{ 
-          margin: '0 0 4px 0', 
-          fontSize: '14px', 
-          color: '#6B7280', 
-          fontWeight: '500' 
-        }}>
-          {title}
-        </p>
-        <p style={{ 
-          margin: 0, 
-          fontSize: '24px', 
-          fontWeight: '700', 
-          color: color || theme.colors.dark 
-        }}>
-          {value}
-        </p>
-        {trend && (
-          <div style={{
-            display: 'flex',
-            alignItems: 'center',
-            marginTop: theme.spacing.small,
-            color: trend === 'up' ? theme.colors.success : theme.colors.danger,
-            fontSize: '12px'
+  trend: trendProp,
+  trendValue: trendValueProp,
+  series,
+  sparkline = 'line',
+  comparePeriod,
+  comparisonSeries,
+  lowerIsBetter = false,
+  loading = false
+}) => {
+  const theme = useTheme();
+  const { t } = useLocale();
+  const formatters = useFormatters();
+  const computed = useMemo(
+    () => (series && series.length > 1 ? computeTrend(series, comparePeriod, comparisonSeries) : null),
+    [series, comparePeriod, comparisonSeries]
+  );
+  const trend = trendProp || (computed && computed.direction);
+  // The arrow carries the sign, so the computed percentage is shown unsigned
+  const trendValue = trendValueProp ?? (computed && computed.change !== null ? Math.abs(computed.change) : undefined);
+  const trendColor = trend === 'flat' || !trend
+    ? theme.colors.textMuted
+    : (trend === 'up') !== lowerIsBetter ? theme.colors.success : theme.colors.danger;
+  const trendArrow = { up: '↑', down: '↓', flat: '→' }[trend];
+
+  return (
+    <div style={{
+      background: theme.colors.surface,
+      padding: theme.spacing.large,
+      borderRadius: theme.borderRadius.large,
+      boxShadow: theme.shadows.small,
+      border: `1px solid ${theme.colors.border}`,
+      height: '100%'
+    }}>
+      <div style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between' }}>
+        <div>
+          <p style={{ 
+            margin: `0 0 ${theme.spacing.xsmall} 0`, 
+            fontSize: theme.typography.fontSize.medium, 
+            color: theme.colors.textMuted, 
+            fontWeight: theme.typography.fontWeight.medium 
           }}>
-            {trend === 'up' ? '↑' : '↓'} {trendValue}
-          </div>
-        )}
-      </div>
-      <div style={{
-        width: '48px',
-        height: '48px',
-        background: gradient || `linear-gradient(135deg, ${theme.colors.primary}, ${theme.colors.secondary})`,
-        borderRadius: theme.borderRadius.medium,
-        display: 'flex',
-        alignItems: 'center',
-        justifyContent: 'center'
-      }}>
-        <Icon size={24} color="white" />
+            {title}
+          </p>
+          {loading ? (
+            <div aria-busy="true">
+              <SkeletonBlock width="96px" height="28px" />
+              <SkeletonBlock width="56px" style={{ marginTop: theme.spacing.small }} />
+            </div>
+          ) : (
+            <>
+              <p style={{ 
+                margin: 0, 
+                fontSize: theme.typography.fontSize.display, 
+                fontWeight: theme.typography.fontWeight.bold, 
+                color: color || theme.colors.text 
+              }}>
+                {typeof value === 'number' ? formatters.format(value, format) : value}
+              </p>
+              {trend && (
+                <div style={{
+                  display: 'flex',
+                  alignItems: 'center',
+                  marginTop: theme.spacing.small,
+                  color: trendColor,
+                  fontSize: theme.typography.fontSize.small
+                }}>
+                  {trendArrow} {typeof trendValue === 'number' ? formatters.percent(trendValue) : trendValue}
+                </div>
+              )}
+            </>
+          )}
+        </div>
+        <div style={{
+          width: '48px',
+          height: '48px',
+          background: gradient || brandGradient(theme),
+          borderRadius: theme.borderRadius.medium,
+          display: 'flex',
+          alignItems: 'center',
+          justifyContent: 'center'
+        }}>
+          <Icon size={24} color={theme.colors.onPrimary} />
+        </div>
       </div>
+      {series && series.length > 0 && (
+        <div style={{ marginTop: theme.spacing.medium }}>
+          {loading ? (
+            <SkeletonBlock height="36px" />
+          ) : (
+            <Sparkline
+              data={series}
+              type={sparkline}
+              color={trend && trend !== 'flat' ? trendColor : theme.colors.primary}
+              label={t('stat.sparkline', { title, count: formatters.number(series.length) })}
+            />
+          )}
+        </div>
+      )}
     </div>
-  </div>
-));
+  );
+});
 
 StatCard.propTypes = {
   title: PropTypes.string.isRequired,
@@ -186,8 +1156,15 @@ StatCard.propTypes = {
   icon: PropTypes.elementType.isRequired,
   color: PropTypes.string,
   gradient: PropTypes.string,
-  trend: PropTypes.oneOf(['up', 'down']),
-  trendValue: PropTypes.string
+  format: formatSpecPropType,
+  trend: PropTypes.oneOf(['up', 'down', 'flat']),
+  trendValue: PropTypes.oneOfType([PropTypes.string, PropTypes.number]),
+  series: PropTypes.arrayOf(PropTypes.number),
+  sparkline: PropTypes.oneOf(['line', 'bar', 'area']),
+  comparePeriod: PropTypes.number,
+  comparisonSeries: PropTypes.arrayOf(PropTypes.number),
+  lowerIsBetter: PropTypes.bool,
+  loading: PropTypes.bool
 };
 
 /**
@@ -195,1182 +1172,8900 @@ StatCard.propTypes = {
  * @param {ReactNode} children - Child components
  * @param {number} minWidth - Minimum width of each card
  */
-export const StatsGrid = memo(({ children, minWidth = 250 }) => (
-  <div style={{ 
-    display: 'grid', 
-    gridTemplateColumns: `repeat(auto-fit, minmax(${minWidth}px, 1fr))`, 
-    gap: theme.spacing.medium, 
-    marginBottom: theme.spacing.large 
-  }}>
-    {children}
-  </div>
-));
+export const StatsGrid = memo(({ children, minWidth = 250 }) => {
+  const theme = useTheme();
+
+  return (
+    <div style={{ 
+      display: 'grid', 
+      gridTemplateColumns: `repeat(auto-fit, minmax(${minWidth}px, 1fr))`, 
+      gap: theme.spacing.medium, 
+      marginBottom: theme.spacing.large 
+    }}>
+      {children}
+    </div>
+  );
+});
 
 StatsGrid.propTypes = {
   children: PropTypes.node,
   minWidth: PropTypes.number
 };
 
-/**
- * Unified Controls Bar Component
- * @param {string} searchValue - Search input value
- * @param {function} onSearchChange - Search change handler
- * @param {function} onAddClick - Add button click handler
- * @param {string} addButtonText - Add button text
- * @param {string} searchPlaceholder - Search placeholder text
- * @param {ReactNode} additionalControls - Additional control components
+// Hidden from sight but read by screen readers
+const visuallyHidden = {
+  position: 'absolute',
+  width: '1px',
+  height: '1px',
+  padding: 0,
+  margin: '-1px',
+  overflow: 'hidden',
+  clip: 'rect(0, 0, 0, 0)',
+  whiteSpace: 'nowrap',
+  border: 0
+};
+
+/*
+ * Charts: dependency-free SVG drawn with theme colors. Each chart measures its container
+ * (so it fills a StatsGrid cell or a page column), shows a tooltip on hover, and renders
+ * its data as a table for screen readers – or visibly with `showDataTable`. The time/category
+ * axis runs left to right in both text directions.
  */
-export const ControlsBar = memo(({ 
-  searchValue, 
-  onSearchChange, 
-  onAddClick, 
-  addButtonText, 
-  searchPlaceholder,
-  additionalControls 
-}) => (
-  <div style={{
-    background: 'white',
-    padding: theme.spacing.large,
-    borderRadius: theme.borderRadius.large,
-    marginBottom: theme.spacing.medium,
-    boxShadow: '0 1px 3px rgba(0, 0, 0, 0.1)',
-    border: '1px solid #E5E7EB'
-  }}>
-    <div style={{ 
-      display: 'flex', 
-      justifyContent: 'space-between', 
-      alignItems: 'center', 
-      gap: theme.spacing.medium,
-      flexWrap: 'wrap'
-    }}>
-      <div style={{ 
-        display: 'flex', 
-        gap: theme.spacing.medium, 
-        alignItems: 'center',
-        flexWrap: 'wrap',
-        flex: 1,
-        minWidth: '250px'
-      }}>
-        <div style={{ position: 'relative', flex: 1, minWidth: '200px' }}>
-          <SearchIcon 
-            size={20} 
-            color="#6B7280" 
-            style={{ 
-              position: 'absolute', 
-              left: '12px', 
-              top: '50%', 
-              transform: 'translateY(-50%)' 
-            }} 
-          />
-          <input
-            type="text"
-            placeholder={searchPlaceholder || "Search..."}
-            value={searchValue}
-            onChange={(e) => onSearchChange(e.target.value)}
-            style={{
-              width: '100%',
-              padding: '10px 12px 10px 40px',
-              border: '1px solid #D1D5DB',
-              borderRadius: theme.borderRadius.medium,
-              fontSize: '14px',
-              boxSizing: 'border-box'
-            }}
-            aria-label="Search"
-          />
-        </div>
-        {additionalControls}
-      </div>
-      {onAddClick && (
-        <button
-          onClick={onAddClick}
-          style={{
-            display: 'flex',
-            alignItems: 'center',
-            gap: theme.spacing.small,
-            padding: '10px 20px',
-            background: `linear-gradient(135deg, ${theme.colors.primary}, ${theme.colors.secondary})`,
-            color: 'white',
-            border: 'none',
-            borderRadius: theme.borderRadius.medium,
-            fontSize: '14px',
-            fontWeight: '600',
-            cursor: 'pointer',
-            transition: 'all 0.2s',
-            whiteSpace: 'nowrap'
-          }}
-          onMouseOver={(e) => e.target.style.transform = 'translateY(-1px)'}
-          onMouseOut={(e) => e.target.style.transform = 'translateY(0)'}
-        >
-          <PlusIcon size={16} />
-          {addButtonText || "Add Item"}
-        </button>
-      )}
-    </div>
-  </div>
-));
+const CHART_MARGIN = { top: 12, right: 12, bottom: 28, left: 52 };
 
-ControlsBar.propTypes = {
-  searchValue: PropTypes.string,
-  onSearchChange: PropTypes.func,
-  onAddClick: PropTypes.func,
-  addButtonText: PropTypes.string,
-  searchPlaceholder: PropTypes.string,
-  additionalControls: PropTypes.node
+const getSeriesColors = (theme) => [
+  theme.colors.primary,
+  theme.colors.secondary,
+  theme.colors.success,
+  theme.colors.warning,
+  theme.colors.info,
+  theme.colors.danger,
+  theme.colors.neutral
+];
+
+// Width of the chart's container, tracked with ResizeObserver; `fallback` until measured
+const useChartWidth = (fallback) => {
+  const ref = useRef(null);
+  const [width, setWidth] = useState(fallback);
+
+  useLayoutEffect(() => {
+    const node = ref.current;
+    if (!node) return undefined;
+    const measure = () => {
+      if (node.clientWidth > 0) setWidth(node.clientWidth);
+    };
+    measure();
+    if (typeof ResizeObserver === 'undefined') {
+      window.addEventListener('resize', measure);
+      return () => window.removeEventListener('resize', measure);
+    }
+    const observer = new ResizeObserver(measure);
+    observer.observe(node);
+    return () => observer.disconnect();
+  }, []);
+
+  return [ref, width];
 };
 
-/**
- * Unified Table Container Component
- * @param {ReactNode} children - Child components
- * @param {string} className - Additional CSS classes
- */
-export const TableContainer = memo(({ children, className }) => (
-  <div 
-    className={className}
-    style={{
-      background: 'white',
-      borderRadius: theme.borderRadius.large,
-      boxShadow: '0 1px 3px rgba(0, 0, 0, 0.1)',
-      border: '1px solid #E5E7EB',
-      overflow: 'hidden'
-    }}
-  >
-    <div style={{ overflowX: 'auto' }}>
+// Round axis bounds and ticks (0, 250, 500, ...) covering [min, max]
+const niceTicks = (min, max, count = 5) => {
+  if (min === max) max = min + 1;
+  const raw = (max - min) / count;
+  const magnitude = 10 ** Math.floor(Math.log10(raw));
+  const step = [1, 2, 2.5, 5, 10].map((f) => f * magnitude).find((candidate) => candidate >= raw);
+  const start = Math.floor(min / step) * step;
+  const end = Math.ceil(max / step) * step;
+  const ticks = [];
+  for (let value = start; value <= end + step / 2; value += step) ticks.push(Number(value.toFixed(10)));
+  return ticks;
+};
+
+// Hover tooltips share one look; callers add their own positioning
+const getTooltipStyle = (theme) => ({
+  padding: `${theme.spacing.xsmall} ${theme.spacing.small}`,
+  background: theme.colors.tooltip,
+  color: theme.colors.onTooltip,
+  borderRadius: theme.borderRadius.small,
+  boxShadow: theme.shadows.medium,
+  fontSize: theme.typography.fontSize.small,
+  pointerEvents: 'none',
+  whiteSpace: 'nowrap'
+});
+
+const ChartTooltip = ({ x, y, width, children }) => {
+  const theme = useTheme();
+  return (
+    <div
+      role="presentation"
+      style={{
+        ...getTooltipStyle(theme),
+        position: 'absolute',
+        left: Math.min(Math.max(x, 80), width - 80),
+        top: y,
+        transform: 'translate(-50%, calc(-100% - 8px))',
+        zIndex: 1
+      }}
+    >
       {children}
     </div>
-  </div>
-));
+  );
+};
 
-TableContainer.propTypes = {
-  children: PropTypes.node,
-  className: PropTypes.string
+const LegendSwatch = ({ color }) => (
+  <span style={{ display: 'inline-block', width: '10px', height: '10px', borderRadius: '2px', background: color }} />
+);
+
+const ChartLegend = ({ items }) => {
+  const theme = useTheme();
+  return (
+    <ul style={{
+      listStyle: 'none',
+      display: 'flex',
+      flexWrap: 'wrap',
+      gap: theme.spacing.medium,
+      margin: `${theme.spacing.small} 0 0 0`,
+      padding: 0,
+      fontSize: theme.typography.fontSize.small,
+      color: theme.colors.textMuted
+    }}>
+      {items.map((item) => (
+        <li key={item.name} style={{ display: 'flex', alignItems: 'center', gap: theme.spacing.xsmall }}>
+          <LegendSwatch color={item.color} />
+          {item.name}
+          {item.detail && <span style={{ color: theme.colors.text }}>{item.detail}</span>}
+        </li>
+      ))}
+    </ul>
+  );
 };
 
-/**
- * Unified Table Component
- * @param {array} headers - Table headers array
- * @param {ReactNode} children - Table rows
- * @param {boolean} striped - Striped rows
- * @param {boolean} hover - Hover effect on rows
- */
-export const UnifiedTable = memo(({ headers, children, striped = true, hover = true }) => (
-  <table style={{ 
-    width: '100%', 
-    borderCollapse: 'collapse',
-    minWidth: '600px'
-  }}>
-    <thead>
-      <tr style={{ background: '#F9FAFB' }}>
-        {headers.map((header, index) => (
-          <th 
-            key={index} 
-            style={{ 
-              padding: '16px', 
-              textAlign: 'left', 
-              fontWeight: '600', 
-              color: '#374151', 
-              borderBottom: '1px solid #E5E7EB' 
-            }}
-          >
-            {header}
-          </th>
-        ))}
-      </tr>
-    </thead>
-    <tbody>
-      {React.Children.map(children, (child, index) => {
-        if (!child) return null;
-        return React.cloneElement(child, {
-          style: { 
-            ...child.props.style,
-            background: striped && index % 2 === 0 ? '#F9FAFB' : 'white',
-            transition: hover ? 'background 0.2s' : 'none',
-            ':hover': hover ? { background: '#F3F4F6' } : {}
-          }
-        });
-      })}
-    </tbody>
-  </table>
-));
+// Title, the chart, its legend and the data-table fallback
+const ChartFrame = ({ title, legend, table, showDataTable, children }) => {
+  const theme = useTheme();
+  return (
+    <figure style={{ margin: 0, color: theme.colors.text, fontFamily: theme.typography.fontFamily }}>
+      {title && (
+        <figcaption style={{
+          marginBottom: theme.spacing.small,
+          fontSize: theme.typography.fontSize.large,
+          fontWeight: theme.typography.fontWeight.semibold
+        }}>
+          {title}
+        </figcaption>
+      )}
+      {children}
+      {legend && legend.length > 0 && <ChartLegend items={legend} />}
+      <table style={showDataTable ? {
+        width: '100%',
+        marginTop: theme.spacing.medium,
+        borderCollapse: 'collapse',
+        fontSize: theme.typography.fontSize.small
+      } : visuallyHidden}>
+        {title && <caption style={showDataTable ? { textAlign: 'start', color: theme.colors.textMuted } : undefined}>{title}</caption>}
+        <thead>
+          <tr>
+            {table.headers.map((header, i) => (
+              <th key={i} scope="col" style={{ textAlign: 'start', padding: '4px 8px', borderBottom: `1px solid ${theme.colors.border}` }}>
+                {header}
+              </th>
+            ))}
+          </tr>
+        </thead>
+        <tbody>
+          {table.rows.map((row, r) => (
+            <tr key={r}>
+              {row.map((cell, c) => (c === 0 ? (
+                <th key={c} scope="row" style={{ textAlign: 'start', padding: '4px 8px', fontWeight: theme.typography.fontWeight.medium }}>{cell}</th>
+              ) : (
+                <td key={c} style={{ padding: '4px 8px' }}>{cell}</td>
+              )))}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </figure>
+  );
+};
 
-UnifiedTable.propTypes = {
-  headers: PropTypes.arrayOf(PropTypes.string).isRequired,
-  children: PropTypes.node,
-  striped: PropTypes.bool,
-  hover: PropTypes.bool
+// Shared y axis with grid lines for the cartesian charts
+const YAxis = ({ ticks, y, width, format }) => {
+  const theme = useTheme();
+  const formatters = useFormatters();
+  return (
+    <g>
+      {ticks.map((tick) => (
+        <g key={tick}>
+          <line x1={CHART_MARGIN.left} x2={width - CHART_MARGIN.right} y1={y(tick)} y2={y(tick)} stroke={theme.colors.border} />
+          <text x={CHART_MARGIN.left - 8} y={y(tick)} dy="0.32em" textAnchor="end" fontSize={11} fill={theme.colors.textSubtle}>
+            {formatters.format(tick, format)}
+          </text>
+        </g>
+      ))}
+    </g>
+  );
+};
+
+const XAxisLabels = ({ labels, x, height }) => {
+  const theme = useTheme();
+  const every = Math.max(1, Math.ceil(labels.length / 8));
+  return (
+    <g>
+      {labels.map((label, i) => (i % every === 0 ? (
+        <text key={i} x={x(i)} y={height - 8} textAnchor="middle" fontSize={11} fill={theme.colors.textSubtle}>
+          {label}
+        </text>
+      ) : null))}
+    </g>
+  );
 };
 
+const seriesShape = PropTypes.shape({
+  name: PropTypes.string.isRequired,
+  data: PropTypes.arrayOf(PropTypes.number).isRequired,
+  color: PropTypes.string
+});
+
 /**
- * Unified Action Buttons Component
- * @param {function} onEdit - Edit action handler
- * @param {function} onDelete - Delete action handler
- * @param {function} onView - View action handler
- * @param {string} editTitle - Edit button tooltip
- * @param {string} deleteTitle - Delete button tooltip
- * @param {string} viewTitle - View button tooltip
- * @param {string} size - Button size (sm, md, lg)
+ * Line Chart Component
+ * @param {string} title - Chart title (also the data table caption)
+ * @param {array} labels - X axis labels, one per data point
+ * @param {array} series - Lines ({ name, data, color })
+ * @param {number} height - Height in px; the width follows the container
+ * @param {string|object} yFormat - Formatter for axis and tooltip values (see useFormatters)
+ * @param {boolean} area - Fill the area under each line
+ * @param {boolean} showDataTable - Show the data table instead of keeping it for screen readers only
  */
-export const ActionButtons = memo(({ 
-  onEdit, 
-  onDelete, 
-  onView, 
-  editTitle = "Edit", 
-  deleteTitle = "Delete", 
-  viewTitle = "View",
-  size = 'md'
-}) => {
-  const sizes = {
-    sm: { padding: '4px', iconSize: 14 },
-    md: { padding: '6px', iconSize: 16 },
-    lg: { padding: '8px', iconSize: 18 }
-  };
+export const LineChart = memo(({ title, labels, series, height = 240, yFormat = 'number', area = false, showDataTable = false }) => {
+  const theme = useTheme();
+  const formatters = useFormatters();
+  const { t } = useLocale();
+  const [containerRef, width] = useChartWidth(480);
+  const [hoverIndex, setHoverIndex] = useState(null);
+  const colors = getSeriesColors(theme);
+  const lines = series.map((s, i) => ({ ...s, color: s.color || colors[i % colors.length] }));
 
-  const { padding, iconSize } = sizes[size] || sizes.md;
+  const values = lines.flatMap((s) => s.data);
+  const ticks = niceTicks(Math.min(0, ...values), Math.max(...values, 0));
+  const plotWidth = width - CHART_MARGIN.left - CHART_MARGIN.right;
+  const plotHeight = height - CHART_MARGIN.top - CHART_MARGIN.bottom;
+  const x = (i) => CHART_MARGIN.left + (labels.length === 1 ? plotWidth / 2 : (i * plotWidth) / (labels.length - 1));
+  const y = (v) => CHART_MARGIN.top + plotHeight * (1 - (v - ticks[0]) / (ticks[ticks.length - 1] - ticks[0]));
+
+  const handleMouseMove = (e) => {
+    const box = e.currentTarget.getBoundingClientRect();
+    const offset = e.clientX - box.left - CHART_MARGIN.left;
+    const index = labels.length === 1 ? 0 : Math.round((offset / plotWidth) * (labels.length - 1));
+    setHoverIndex(Math.min(Math.max(index, 0), labels.length - 1));
+  };
 
   return (
-    <div style={{ display: 'flex', justifyContent: 'center', gap: theme.spacing.small }}>
-      {onView && (
-        <button
-          onClick={onView}
-          style={{
-            padding,
-            background: '#EBF8FF',
-            border: 'none',
-            borderRadius: theme.borderRadius.small,
-            cursor: 'pointer',
-            display: 'flex',
-            alignItems: 'center',
-            justifyContent: 'center'
-          }}
-          title={viewTitle}
-          aria-label={viewTitle}
-        >
-          <EyeIcon size={iconSize} color="#3B82F6" />
-        </button>
-      )}
-      {onEdit && (
-        <button
-          onClick={onEdit}
-          style={{
-            padding,
-            background: '#F3F4F6',
-            border: 'none',
-            borderRadius: theme.borderRadius.small,
-            cursor: 'pointer',
-            display: 'flex',
-            alignItems: 'center',
-            justifyContent: 'center'
-          }}
-          title={editTitle}
-          aria-label={editTitle}
-        >
-          <WrenchIcon size={iconSize} color="#6B7280" />
-        </button>
-      )}
-      {onDelete && (
-        <button
-          onClick={onDelete}
-          style={{
-            padding,
-            background: '#FEE2E2',
-            border: 'none',
-            borderRadius: theme.borderRadius.small,
-            cursor: 'pointer',
-            display: 'flex',
-            alignItems: 'center',
-            justifyContent: 'center'
-          }}
-          title={deleteTitle}
-          aria-label={deleteTitle}
-        >
-          <TrashIcon size={iconSize} color="#EF4444" />
-        </button>
-      )}
-    </div>
+    <ChartFrame
+      title={title}
+      legend={lines.map((s) => ({ name: s.name, color: s.color }))}
+      showDataTable={showDataTable}
+      table={{
+        headers: [t('chart.category'), ...lines.map((s) => s.name)],
+        rows: labels.map((label, i) => [label, ...lines.map((s) => formatters.format(s.data[i], yFormat))])
+      }}
+    >
+      <div ref={containerRef} style={{ position: 'relative', width: '100%' }}>
+        <svg width={width} height={height} aria-hidden="true" style={{ display: 'block', direction: 'ltr' }}>
+          <YAxis ticks={ticks} y={y} width={width} format={yFormat} />
+          <XAxisLabels labels={labels} x={x} height={height} />
+          {lines.map((s) => {
+            const path = s.data.map((v, i) => `${i === 0 ? 'M' : 'L'}${x(i)},${y(v)}`).join(' ');
+            return (
+              <g key={s.name}>
+                {area && (
+                  <path d={`${path} L${x(s.data.length - 1)},${y(ticks[0])} L${x(0)},${y(ticks[0])} Z`} fill={s.color} opacity={0.12} />
+                )}
+                <path d={path} fill="none" stroke={s.color} strokeWidth={2} strokeLinejoin="round" />
+              </g>
+            );
+          })}
+          {hoverIndex !== null && (
+            <g>
+              <line x1={x(hoverIndex)} x2={x(hoverIndex)} y1={CHART_MARGIN.top} y2={height - CHART_MARGIN.bottom} stroke={theme.colors.inputBorder} strokeDasharray="4 4" />
+              {lines.map((s) => (
+                <circle key={s.name} cx={x(hoverIndex)} cy={y(s.data[hoverIndex])} r={4} fill={theme.colors.surface} stroke={s.color} strokeWidth={2} />
+              ))}
+            </g>
+          )}
+          <rect
+            x={CHART_MARGIN.left}
+            y={CHART_MARGIN.top}
+            width={Math.max(plotWidth, 0)}
+            height={Math.max(plotHeight, 0)}
+            fill="transparent"
+            onMouseMove={handleMouseMove}
+            onMouseLeave={() => setHoverIndex(null)}
+          />
+        </svg>
+        {hoverIndex !== null && (
+          <ChartTooltip x={x(hoverIndex)} y={Math.min(...lines.map((s) => y(s.data[hoverIndex])))} width={width}>
+            <div style={{ fontWeight: theme.typography.fontWeight.semibold }}>{labels[hoverIndex]}</div>
+            {lines.map((s) => (
+              <div key={s.name} style={{ display: 'flex', alignItems: 'center', gap: theme.spacing.xsmall }}>
+                <LegendSwatch color={s.color} /> {s.name}: {formatters.format(s.data[hoverIndex], yFormat)}
+              </div>
+            ))}
+          </ChartTooltip>
+        )}
+      </div>
+    </ChartFrame>
   );
 });
 
-ActionButtons.propTypes = {
-  onEdit: PropTypes.func,
-  onDelete: PropTypes.func,
-  onView: PropTypes.func,
-  editTitle: PropTypes.string,
-  deleteTitle: PropTypes.string,
-  viewTitle: PropTypes.string,
-  size: PropTypes.oneOf(['sm', 'md', 'lg'])
+LineChart.propTypes = {
+  title: PropTypes.string,
+  labels: PropTypes.arrayOf(PropTypes.string).isRequired,
+  series: PropTypes.arrayOf(seriesShape).isRequired,
+  height: PropTypes.number,
+  yFormat: formatSpecPropType,
+  area: PropTypes.bool,
+  showDataTable: PropTypes.bool
 };
 
 /**
- * Unified Status Badge Component
- * @param {string} status - Status text
- * @param {string} variant - Status variant (active, inactive, etc.)
- * @param {string} size - Badge size (sm, md, lg)
+ * Stacked Bar Chart Component
+ * @param {string} title - Chart title (also the data table caption)
+ * @param {array} labels - Category labels, one per bar
+ * @param {array} series - Stacked segments ({ name, data, color }); negative values are drawn as 0
+ * @param {number} height - Height in px; the width follows the container
+ * @param {string|object} yFormat - Formatter for axis and tooltip values (see useFormatters)
+ * @param {boolean} showDataTable - Show the data table instead of keeping it for screen readers only
  */
-export const StatusBadge = memo(({ status, variant, size = 'md' }) => {
-  const getStatusStyle = () => {
-    switch (variant?.toLowerCase()) {
-      case 'active':
-      case 'success':
-      case 'completed':
-        return { background: '#D1FAE5', color: '#065F46' };
-      case 'inactive':
-      case 'error':
-      case 'cancelled':
-        return { background: '#FEE2E2', color: '#991B1B' };
-      case 'pending':
-      case 'warning':
-        return { background: '#FEF3C7', color: '#92400E' };
-      case 'in progress':
-      case 'info':
-        return { background: '#DBEAFE', color: '#1E40AF' };
-      default:
-        return { background: '#F3F4F6', color: '#374151' };
-    }
-  };
-
-  const sizes = {
-    sm: { padding: '2px 8px', fontSize: '10px' },
-    md: { padding: '4px 12px', fontSize: '12px' },
-    lg: { padding: '6px 16px', fontSize: '14px' }
-  };
+export const StackedBarChart = memo(({ title, labels, series, height = 240, yFormat = 'number', showDataTable = false }) => {
+  const theme = useTheme();
+  const formatters = useFormatters();
+  const { t } = useLocale();
+  const [containerRef, width] = useChartWidth(480);
+  const [hoverIndex, setHoverIndex] = useState(null);
+  const colors = getSeriesColors(theme);
+  const stacks = series.map((s, i) => ({ ...s, color: s.color || colors[i % colors.length] }));
 
-  const statusStyle = getStatusStyle();
-  const sizeStyle = sizes[size] || sizes.md;
+  const totals = labels.map((_, i) => stacks.reduce((sum, s) => sum + Math.max(s.data[i] || 0, 0), 0));
+  const ticks = niceTicks(0, Math.max(...totals, 0));
+  const plotWidth = width - CHART_MARGIN.left - CHART_MARGIN.right;
+  const plotHeight = height - CHART_MARGIN.top - CHART_MARGIN.bottom;
+  const slot = plotWidth / Math.max(labels.length, 1);
+  const barWidth = Math.min(slot * 0.6, 48);
+  const x = (i) => CHART_MARGIN.left + slot * i + slot / 2;
+  const y = (v) => CHART_MARGIN.top + plotHeight * (1 - v / ticks[ticks.length - 1]);
 
   return (
-    <span style={{
-      padding: sizeStyle.padding,
-      borderRadius: '20px',
-      fontSize: sizeStyle.fontSize,
-      fontWeight: '600',
-      display: 'inline-block',
-      ...statusStyle
-    }}>
-      {status}
-    </span>
+    <ChartFrame
+      title={title}
+      legend={stacks.map((s) => ({ name: s.name, color: s.color }))}
+      showDataTable={showDataTable}
+      table={{
+        headers: [t('chart.category'), ...stacks.map((s) => s.name), t('chart.total')],
+        rows: labels.map((label, i) => [
+          label,
+          ...stacks.map((s) => formatters.format(s.data[i], yFormat)),
+          formatters.format(totals[i], yFormat)
+        ])
+      }}
+    >
+      <div ref={containerRef} style={{ position: 'relative', width: '100%' }}>
+        <svg width={width} height={height} aria-hidden="true" style={{ display: 'block', direction: 'ltr' }}>
+          <YAxis ticks={ticks} y={y} width={width} format={yFormat} />
+          <XAxisLabels labels={labels} x={x} height={height} />
+          {labels.map((label, i) => {
+            let base = 0;
+            return (
+              <g
+                key={label}
+                onMouseEnter={() => setHoverIndex(i)}
+                onMouseLeave={() => setHoverIndex(null)}
+                opacity={hoverIndex === null || hoverIndex === i ? 1 : 0.6}
+              >
+                <rect x={x(i) - slot / 2} y={CHART_MARGIN.top} width={slot} height={Math.max(plotHeight, 0)} fill="transparent" />
+                {stacks.map((s) => {
+                  const value = Math.max(s.data[i] || 0, 0);
+                  const top = y(base + value);
+                  const segmentHeight = y(base) - top;
+                  base += value;
+                  return value > 0 ? (
+                    <rect key={s.name} x={x(i) - barWidth / 2} y={top} width={barWidth} height={segmentHeight} fill={s.color} />
+                  ) : null;
+                })}
+              </g>
+            );
+          })}
+        </svg>
+        {hoverIndex !== null && (
+          <ChartTooltip x={x(hoverIndex)} y={y(totals[hoverIndex])} width={width}>
+            <div style={{ fontWeight: theme.typography.fontWeight.semibold }}>{labels[hoverIndex]}</div>
+            {stacks.map((s) => (
+              <div key={s.name} style={{ display: 'flex', alignItems: 'center', gap: theme.spacing.xsmall }}>
+                <LegendSwatch color={s.color} /> {s.name}: {formatters.format(s.data[hoverIndex], yFormat)}
+              </div>
+            ))}
+            <div>{t('chart.total')}: {formatters.format(totals[hoverIndex], yFormat)}</div>
+          </ChartTooltip>
+        )}
+      </div>
+    </ChartFrame>
   );
 });
 
-StatusBadge.propTypes = {
-  status: PropTypes.string.isRequired,
-  variant: PropTypes.oneOf([
-    'active', 'inactive', 'pending', 'completed', 
-    'in progress', 'cancelled', 'success', 'error', 
-    'warning', 'info'
-  ]),
-  size: PropTypes.oneOf(['sm', 'md', 'lg'])
+StackedBarChart.propTypes = {
+  title: PropTypes.string,
+  labels: PropTypes.arrayOf(PropTypes.string).isRequired,
+  series: PropTypes.arrayOf(seriesShape).isRequired,
+  height: PropTypes.number,
+  yFormat: formatSpecPropType,
+  showDataTable: PropTypes.bool
 };
 
 /**
- * Unified Modal Component
- * @param {boolean} isOpen - Modal visibility
- * @param {function} onClose - Close handler
- * @param {string} title - Modal title
- * @param {ReactNode} children - Modal content
- * @param {string} width - Modal width
- * @param {string} size - Modal size (sm, md, lg, xl)
+ * Donut Chart Component
+ * @param {string} title - Chart title (also the data table caption)
+ * @param {array} data - Slices ({ label, value, color })
+ * @param {number} size - Diameter in px (shrinks to fit narrow containers)
+ * @param {string|object} format - Formatter for values (see useFormatters)
+ * @param {string} centerLabel - Caption under the total in the middle (defaults to "Total")
+ * @param {boolean} showDataTable - Show the data table instead of keeping it for screen readers only
  */
-export const UnifiedModal = memo(({ 
-  isOpen, 
-  onClose, 
-  title, 
-  children, 
-  width, 
-  size,
-  closeOnOverlayClick = true 
-}) => {
-  if (!isOpen) return null;
-
-  const sizes = {
-    sm: '400px',
-    md: '500px',
-    lg: '600px',
-    xl: '800px'
-  };
+export const DonutChart = memo(({ title, data, size = 200, format = 'number', centerLabel, showDataTable = false }) => {
+  const theme = useTheme();
+  const formatters = useFormatters();
+  const { t } = useLocale();
+  const [containerRef, width] = useChartWidth(size);
+  const [hoverIndex, setHoverIndex] = useState(null);
+  const colors = getSeriesColors(theme);
+  const slices = data.map((d, i) => ({ ...d, color: d.color || colors[i % colors.length] }));
 
-  const modalWidth = width || sizes[size] || sizes.md;
+  const diameter = Math.min(size, width);
+  const thickness = diameter * 0.18;
+  const radius = diameter / 2 - thickness / 2 - 2;
+  const circumference = 2 * Math.PI * radius;
+  const total = slices.reduce((sum, d) => sum + Math.max(d.value, 0), 0);
+  const share = (value) => (total > 0 ? Math.max(value, 0) / total : 0);
 
-  const handleOverlayClick = (e) => {
-    if (e.target === e.currentTarget && closeOnOverlayClick) {
-      onClose();
-    }
-  };
+  let offset = 0;
+  const arcs = slices.map((slice) => {
+    const length = share(slice.value) * circumference;
+    const arc = { ...slice, length, offset, middle: (offset + length / 2) / circumference };
+    offset += length;
+    return arc;
+  });
+  const hovered = hoverIndex !== null ? arcs[hoverIndex] : null;
 
   return (
-    <div 
-      style={{
-        position: 'fixed',
-        top: 0,
-        left: 0,
-        right: 0,
-        bottom: 0,
-        background: 'rgba(0, 0, 0, 0.5)',
-        display: 'flex',
-        alignItems: 'center',
-        justifyContent: 'center',
-        zIndex: 1000,
-        padding: theme.spacing.medium
+    <ChartFrame
+      title={title}
+      legend={slices.map((d) => ({ name: d.label, color: d.color, detail: formatters.percent(share(d.value)) }))}
+      showDataTable={showDataTable}
+      table={{
+        headers: [t('chart.category'), t('chart.value'), t('chart.share')],
+        rows: slices.map((d) => [d.label, formatters.format(d.value, format), formatters.percent(share(d.value))])
       }}
-      onClick={handleOverlayClick}
     >
-      <div style={{
-        background: 'white',
-        borderRadius: theme.borderRadius.large,
-        padding: theme.spacing.large,
-        width: modalWidth,
-        maxWidth: '90vw',
-        maxHeight: '80vh',
-        overflowY: 'auto',
-        boxShadow: '0 4px 6px rgba(0, 0, 0, 0.1)'
-      }}>
-        <div style={{ 
-          display: 'flex', 
-          justifyContent: 'space-between', 
-          alignItems: 'center', 
-          marginBottom: '20px' 
-        }}>
-          <h2 style={{ 
-            margin: 0, 
-            fontSize: '20px', 
-            fontWeight: '600',
-            color: theme.colors.dark
-          }}>
-            {title}
-          </h2>
-          <button 
-            onClick={onClose} 
-            style={{ 
-              background: 'none', 
-              border: 'none', 
-              cursor: 'pointer',
-              padding: theme.spacing.small,
-              borderRadius: '50%',
-              ':hover': {
-                background: theme.colors.light
-              }
-            }}
-            aria-label="Close modal"
+      <div ref={containerRef} style={{ position: 'relative', width: '100%', height: `${diameter}px` }}>
+        <svg width={diameter} height={diameter} aria-hidden="true" style={{ display: 'block', margin: '0 auto' }}>
+          <circle cx={diameter / 2} cy={diameter / 2} r={radius} fill="none" stroke={theme.colors.hover} strokeWidth={thickness} />
+          {arcs.map((arc, i) => (arc.length > 0 ? (
+            <circle
+              key={arc.label}
+              cx={diameter / 2}
+              cy={diameter / 2}
+              r={radius}
+              fill="none"
+              stroke={arc.color}
+              strokeWidth={hoverIndex === i ? thickness + 4 : thickness}
+              strokeDasharray={`${arc.length} ${circumference - arc.length}`}
+              strokeDashoffset={-arc.offset}
+              transform={`rotate(-90 ${diameter / 2} ${diameter / 2})`}
+              onMouseEnter={() => setHoverIndex(i)}
+              onMouseLeave={() => setHoverIndex(null)}
+            />
+          ) : null))}
+          <text x={diameter / 2} y={diameter / 2} textAnchor="middle" fontSize={20} fontWeight={700} fill={theme.colors.text}>
+            {formatters.format(total, format)}
+          </text>
+          <text x={diameter / 2} y={diameter / 2 + 18} textAnchor="middle" fontSize={11} fill={theme.colors.textMuted}>
+            {centerLabel || t('chart.total')}
+          </text>
+        </svg>
+        {hovered && (
+          <ChartTooltip
+            x={width / 2 + Math.sin(hovered.middle * 2 * Math.PI) * radius}
+            y={diameter / 2 - Math.cos(hovered.middle * 2 * Math.PI) * radius}
+            width={width}
           >
-            <XIcon size={20} color={theme.colors.dark} />
-          </button>
-        </div>
-        {children}
+            {hovered.label}: {formatters.format(hovered.value, format)} ({formatters.percent(share(hovered.value))})
+          </ChartTooltip>
+        )}
       </div>
-    </div>
+    </ChartFrame>
   );
 });
 
-UnifiedModal.propTypes = {
-  isOpen: PropTypes.bool.isRequired,
-  onClose: PropTypes.func.isRequired,
-  title: PropTypes.string.isRequired,
-  children: PropTypes.node,
-  width: PropTypes.string,
-  size: PropTypes.oneOf(['sm', 'md', 'lg', 'xl']),
-  closeOnOverlayClick: PropTypes.bool
+DonutChart.propTypes = {
+  title: PropTypes.string,
+  data: PropTypes.arrayOf(PropTypes.shape({
+    label: PropTypes.string.isRequired,
+    value: PropTypes.number.isRequired,
+    color: PropTypes.string
+  })).isRequired,
+  size: PropTypes.number,
+  format: formatSpecPropType,
+  centerLabel: PropTypes.string,
+  showDataTable: PropTypes.bool
 };
 
 /**
- * Unified Form Field Component
- * @param {string} label - Field label
- * @param {string} type - Input type (text, select, textarea, etc.)
- * @param {string|number} value - Field value
- * @param {function} onChange - Change handler
- * @param {boolean} required - Required field
- * @param {array} options - Options for select input
- * @param {string} placeholder - Input placeholder
- * @param {string} error - Error message
- * @param {string} id - Field ID
+ * Bullet Chart Component
+ * Horizontal gauge for a value against its capacity, e.g. vehicle load utilization.
+ * Background bands mark the qualitative ranges; the bar takes the color of the band it ends in.
+ * @param {string} title - Label shown before the bar (also the data table caption)
+ * @param {number} value - Current value
+ * @param {number} max - Capacity; values above it run into the overload band
+ * @param {number} target - Optional target marker
+ * @param {array} ranges - Bands ({ to, tone }) in ascending order; defaults to 85% success, 100% warning, then danger
+ * @param {string|object} format - Formatter for values (see useFormatters)
+ * @param {number} height - Bar height in px
+ * @param {boolean} showDataTable - Show the data table instead of keeping it for screen readers only
  */
-export const FormField = memo(({ 
-  label, 
-  type = "text", 
-  value, 
-  onChange, 
-  required = false, 
-  options = null, 
-  placeholder = "", 
-  error,
-  id,
-  ...props 
-}) => {
-  const inputId = id || `form-field-${Math.random().toString(36).substr(2, 9)}`;
+export const BulletChart = memo(({ title, value, max, target, ranges, format = 'number', height = 16, showDataTable = false }) => {
+  const theme = useTheme();
+  const formatters = useFormatters();
+  const { t } = useLocale();
+  const [hovered, setHovered] = useState(false);
+  const [containerRef, width] = useChartWidth(320);
+
+  const domain = Math.max(max, value, target || 0) || 1;
+  const bands = ranges || [
+    { to: max * 0.85, tone: 'success' },
+    { to: max, tone: 'warning' },
+    { to: domain, tone: 'danger' }
+  ];
+  const band = bands.find((range) => value <= range.to) || bands[bands.length - 1];
+  const scale = (v) => (Math.max(v, 0) / domain) * width;
+  const utilization = max > 0 ? value / max : 0;
 
   return (
-    <div style={{ marginBottom: theme.spacing.medium }}>
-      <label 
-        htmlFor={inputId}
-        style={{ 
-          display: 'block', 
-          marginBottom: theme.spacing.small, 
-          fontWeight: '500',
-          color: theme.colors.dark
-        }}
+    <ChartFrame
+      showDataTable={showDataTable}
+      table={{
+        headers: [t('chart.category'), t('chart.value'), t('chart.capacity'), t('chart.target')],
+        rows: [[title, formatters.format(value, format), formatters.format(max, format), target !== undefined ? formatters.format(target, format) : '—']]
+      }}
+    >
+      <div style={{ display: 'flex', justifyContent: 'space-between', marginBottom: theme.spacing.xsmall, fontSize: theme.typography.fontSize.small }}>
+        <span style={{ fontWeight: theme.typography.fontWeight.medium }}>{title}</span>
+        <span style={{ color: theme.colors.textMuted }}>
+          {formatters.format(value, format)} / {formatters.format(max, format)} ({formatters.percent(utilization)})
+        </span>
+      </div>
+      <div
+        ref={containerRef}
+        style={{ position: 'relative', width: '100%' }}
+        onMouseEnter={() => setHovered(true)}
+        onMouseLeave={() => setHovered(false)}
       >
-        {label} {required && <span style={{ color: theme.colors.danger }}>*</span>}
-      </label>
-      {type === 'select' ? (
-        <select
-          id={inputId}
+        <svg width={width} height={height + 8} aria-hidden="true" style={{ display: 'block', direction: 'ltr' }}>
+          {bands.map((range, i) => {
+            const from = i === 0 ? 0 : bands[i - 1].to;
+            return (
+              <rect key={i} x={scale(from)} y={0} width={Math.max(scale(range.to) - scale(from), 0)} height={height + 8} fill={theme.tones[range.tone].background} />
+            );
+          })}
+          <rect x={0} y={4} width={scale(value)} height={height} fill={theme.colors[band.tone]} rx={2} />
+          {target !== undefined && (
+            <line x1={scale(target)} x2={scale(target)} y1={0} y2={height + 8} stroke={theme.colors.text} strokeWidth={2} />
+          )}
+        </svg>
+        {hovered && (
+          <ChartTooltip x={scale(value)} y={0} width={width}>
+            {formatters.format(value, format)} ({formatters.percent(utilization)})
+            {target !== undefined && ` · ${t('chart.target')}: ${formatters.format(target, format)}`}
+          </ChartTooltip>
+        )}
+      </div>
+    </ChartFrame>
+  );
+});
+
+BulletChart.propTypes = {
+  title: PropTypes.string.isRequired,
+  value: PropTypes.number.isRequired,
+  max: PropTypes.number.isRequired,
+  target: PropTypes.number,
+  ranges: PropTypes.arrayOf(PropTypes.shape({
+    to: PropTypes.number.isRequired,
+    tone: PropTypes.oneOf(['success', 'warning', 'danger', 'info', 'neutral']).isRequired
+  })),
+  format: formatSpecPropType,
+  height: PropTypes.number,
+  showDataTable: PropTypes.bool
+};
+
+/*
+ * Structured filters: { id, field, operator, value } records built against field
+ * definitions ({ key, label, type, options, unit, format, accessor }). Dates are
+ * compared as "YYYY-MM-DD" strings; ranges are { from, to } and include both ends.
+ */
+export const FILTER_OPERATORS = {
+  text: ['contains', 'equals', 'startsWith', 'isEmpty', 'isNotEmpty'],
+  number: ['eq', 'neq', 'gt', 'gte', 'lt', 'lte', 'between'],
+  enum: ['anyOf', 'noneOf'],
+  date: ['on', 'before', 'after', 'inRange'],
+  boolean: ['isTrue', 'isFalse']
+};
+
+const VALUELESS_OPERATORS = ['isEmpty', 'isNotEmpty', 'isTrue', 'isFalse'];
+const RANGE_OPERATORS = ['between', 'inRange'];
+
+const getDefaultFilterValue = (type, operator) => {
+  if (VALUELESS_OPERATORS.includes(operator)) return null;
+  if (RANGE_OPERATORS.includes(operator)) return { from: '', to: '' };
+  return type === 'enum' ? [] : '';
+};
+
+// A filter still being edited (e.g. no value yet) is skipped rather than matching nothing
+const isFilterComplete = ({ operator, value }) => {
+  if (VALUELESS_OPERATORS.includes(operator)) return true;
+  if (RANGE_OPERATORS.includes(operator)) return Boolean(value) && !isBlank(value.from) && !isBlank(value.to);
+  if (Array.isArray(value)) return value.length > 0;
+  return !isBlank(value);
+};
+
+// Local calendar day of a Date, or the date part of an ISO string
+const toDateKey = (value) => {
+  if (isBlank(value)) return null;
+  if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}/.test(value)) return value.slice(0, 10);
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) return null;
+  return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+};
+
+const testFilter = (cellValue, { operator, value }) => {
+  const text = isBlank(cellValue) ? '' : String(cellValue).toLocaleLowerCase();
+  const number = typeof cellValue === 'number' ? cellValue : parseFloat(cellValue);
+  const dateKey = toDateKey(cellValue);
+  const cellValues = Array.isArray(cellValue) ? cellValue : [cellValue];
+  switch (operator) {
+    case 'contains': return text.includes(String(value).toLocaleLowerCase());
+    case 'equals': return !isBlank(cellValue) && compareValues(String(cellValue), String(value)) === 0;
+    case 'startsWith': return text.startsWith(String(value).toLocaleLowerCase());
+    case 'isEmpty': return isBlank(cellValue) || (Array.isArray(cellValue) && cellValue.length === 0);
+    case 'isNotEmpty': return !isBlank(cellValue) && !(Array.isArray(cellValue) && cellValue.length === 0);
+    case 'eq': return number === Number(value);
+    case 'neq': return !Number.isNaN(number) && number !== Number(value);
+    case 'gt': return number > Number(value);
+    case 'gte': return number >= Number(value);
+    case 'lt': return number < Number(value);
+    case 'lte': return number <= Number(value);
+    case 'between': return number >= Number(value.from) && number <= Number(value.to);
+    case 'anyOf': return cellValues.some((item) => value.includes(item));
+    case 'noneOf': return !cellValues.some((item) => value.includes(item));
+    case 'on': return dateKey === value;
+    case 'before': return dateKey !== null && dateKey < value;
+    case 'after': return dateKey !== null && dateKey > value;
+    case 'inRange': return dateKey !== null && dateKey >= value.from && dateKey <= value.to;
+    case 'isTrue': return cellValue === true;
+    case 'isFalse': return !cellValue;
+    default: return true;
+  }
+};
+
+/**
+ * Keep the rows that match every complete filter
+ * @param {array} rows - Row data objects
+ * @param {array} filters - Filters ({ field, operator, value })
+ * @param {array} fields - Field definitions the filters refer to
+ */
+export const applyFilters = (rows, filters = [], fields = []) => {
+  const active = filters
+    .filter(isFilterComplete)
+    .map((filter) => ({ filter, field: fields.find((f) => f.key === filter.field) }))
+    .filter(({ field }) => field);
+  if (!active.length) return rows;
+  return rows.filter((row) => active.every(({ filter, field }) => testFilter(getCellValue(row, field), filter)));
+};
+
+// Popover open state that closes on Escape and on clicks outside `containerRef`
+const usePopover = () => {
+  const [isOpen, setIsOpen] = useState(false);
+  const containerRef = useRef(null);
+
+  useEffect(() => {
+    if (!isOpen) return undefined;
+    const handleMouseDown = (e) => {
+      if (containerRef.current && !containerRef.current.contains(e.target)) setIsOpen(false);
+    };
+    document.addEventListener('mousedown', handleMouseDown);
+    return () => document.removeEventListener('mousedown', handleMouseDown);
+  }, [isOpen]);
+
+  const onKeyDown = (e) => {
+    if (e.key === 'Escape' && isOpen && !e.defaultPrevented) {
+      e.preventDefault();
+      setIsOpen(false);
+      const trigger = containerRef.current && containerRef.current.querySelector('[aria-haspopup]');
+      if (trigger) trigger.focus();
+    }
+  };
+
+  return { isOpen, setIsOpen, containerRef, onKeyDown };
+};
+
+const getPopoverStyle = (theme) => ({
+  position: 'absolute',
+  top: 'calc(100% + 4px)',
+  insetInlineStart: 0,
+  zIndex: 20,
+  minWidth: '280px',
+  padding: theme.spacing.medium,
+  background: theme.colors.surface,
+  border: `1px solid ${theme.colors.border}`,
+  borderRadius: theme.borderRadius.medium,
+  boxShadow: theme.shadows.medium,
+  color: theme.colors.text
+});
+
+const getControlStyle = (theme) => ({
+  width: '100%',
+  padding: '8px 10px',
+  border: `1px solid ${theme.colors.inputBorder}`,
+  borderRadius: theme.borderRadius.small,
+  background: theme.colors.surface,
+  color: theme.colors.text,
+  fontSize: theme.typography.fontSize.medium,
+  boxSizing: 'border-box'
+});
+
+const getTextButtonStyle = (theme) => ({
+  background: 'none',
+  border: 'none',
+  padding: `${theme.spacing.xsmall} ${theme.spacing.small}`,
+  color: theme.colors.primary,
+  fontSize: theme.typography.fontSize.medium,
+  fontWeight: theme.typography.fontWeight.semibold,
+  cursor: 'pointer'
+});
+
+// Human-readable "Weight > 500 kg" for a chip
+const useDescribeFilter = () => {
+  const { t, locale } = useLocale();
+  const formatters = useFormatters();
+
+  return (filter, field) => {
+    const label = field ? field.label : filter.field;
+    const operator = t(`filter.op.${filter.operator}`);
+    if (VALUELESS_OPERATORS.includes(filter.operator)) return `${label} ${operator}`;
+    const formatOne = (value) => {
+      if (!field) return String(value);
+      switch (field.type) {
+        case 'number': {
+          const formatted = field.format ? formatters.format(Number(value), field.format) : formatters.number(Number(value));
+          return field.unit ? `${formatted} ${field.unit}` : formatted;
+        }
+        case 'date':
+          return parseISODate(value).toLocaleDateString(locale, { day: 'numeric', month: 'short', year: 'numeric', timeZone: 'UTC' });
+        case 'enum': {
+          const option = (field.options || []).find((o) => o.value === value);
+          return option ? option.label : String(value);
+        }
+        default:
+          return `“${value}”`;
+      }
+    };
+    const value = RANGE_OPERATORS.includes(filter.operator)
+      ? `${formatOne(filter.value.from)} – ${formatOne(filter.value.to)}`
+      : Array.isArray(filter.value) ? filter.value.map(formatOne).join(', ') : formatOne(filter.value);
+    return `${label} ${operator} ${value}`;
+  };
+};
+
+// Field / operator / value form shown in the FilterBuilder popover
+const FilterEditor = ({ fields, filter, onApply, onCancel }) => {
+  const theme = useTheme();
+  const { t } = useLocale();
+  const [draft, setDraft] = useState(() => filter || {
+    field: fields[0].key,
+    operator: FILTER_OPERATORS[fields[0].type || 'text'][0],
+    value: getDefaultFilterValue(fields[0].type || 'text', FILTER_OPERATORS[fields[0].type || 'text'][0])
+  });
+  const field = fields.find((f) => f.key === draft.field) || fields[0];
+  const type = field.type || 'text';
+  const controlStyle = getControlStyle(theme);
+  const labelStyle = {
+    display: 'block',
+    marginBottom: theme.spacing.small,
+    fontSize: theme.typography.fontSize.small,
+    fontWeight: theme.typography.fontWeight.medium,
+    color: theme.colors.textStrong
+  };
+
+  const changeField = (key) => {
+    const nextField = fields.find((f) => f.key === key);
+    const nextType = nextField.type || 'text';
+    const operator = FILTER_OPERATORS[nextType][0];
+    setDraft({ ...draft, field: key, operator, value: getDefaultFilterValue(nextType, operator) });
+  };
+
+  const changeOperator = (operator) => {
+    // Keep the value when switching between operators that take the same kind of value
+    const keep = RANGE_OPERATORS.includes(operator) === RANGE_OPERATORS.includes(draft.operator)
+      && !VALUELESS_OPERATORS.includes(draft.operator);
+    setDraft({ ...draft, operator, value: keep ? draft.value : getDefaultFilterValue(type, operator) });
+  };
+
+  const setValue = (value) => setDraft({ ...draft, value });
+
+  const renderValueEditor = () => {
+    if (VALUELESS_OPERATORS.includes(draft.operator)) return null;
+    if (type === 'enum') {
+      return (
+        <fieldset style={{ border: 'none', margin: 0, padding: 0, maxHeight: '200px', overflowY: 'auto' }}>
+          <legend style={labelStyle}>{t('filter.value')}</legend>
+          {(field.options || []).map((option) => (
+            <label key={option.value} style={{ display: 'flex', alignItems: 'center', gap: theme.spacing.small, padding: '2px 0' }}>
+              <input
+                type="checkbox"
+                checked={draft.value.includes(option.value)}
+                onChange={(e) => setValue(e.target.checked
+                  ? [...draft.value, option.value]
+                  : draft.value.filter((v) => v !== option.value))}
+              />
+              {option.label}
+            </label>
+          ))}
+        </fieldset>
+      );
+    }
+    if (draft.operator === 'inRange') {
+      return <UnifiedDateRangePicker label={t('filter.value')} value={draft.value} onChange={setValue} presets={[]} />;
+    }
+    const inputFor = (value, onChange, label) => {
+      if (type === 'number') {
+        return (
+          <LocalizedNumberInput
+            aria-label={label}
+            value={value}
+            onChange={(e) => onChange(e.target.value)}
+            format
+            unit={field.unit}
+            style={controlStyle}
+          />
+        );
+      }
+      return (
+        <input
+          type={type === 'date' ? 'date' : 'text'}
+          aria-label={label}
           value={value}
-          onChange={onChange}
-          style={{ 
-            width: '100%', 
-            padding: '8px 12px', 
-            border: `1px solid ${error ? theme.colors.danger : '#D1D5DB'}`, 
-            borderRadius: theme.borderRadius.small,
-            fontSize: '14px'
-          }}
-          required={required}
-          {...props}
-        >
-          {placeholder && <option value="">{placeholder}</option>}
-          {options?.map((option, index) => (
-            <option key={index} value={option.value || option}>
-              {option.label || option}
-            </option>
+          onChange={(e) => onChange(e.target.value)}
+          style={controlStyle}
+        />
+      );
+    };
+    if (draft.operator === 'between') {
+      return (
+        <div style={{ display: 'flex', gap: theme.spacing.small }}>
+          {inputFor(draft.value.from, (from) => setValue({ ...draft.value, from }), t('filter.min'))}
+          {inputFor(draft.value.to, (to) => setValue({ ...draft.value, to }), t('filter.max'))}
+        </div>
+      );
+    }
+    return inputFor(draft.value, setValue, t('filter.value'));
+  };
+
+  return (
+    <form
+      onSubmit={(e) => {
+        e.preventDefault();
+        if (isFilterComplete(draft)) onApply(draft);
+      }}
+      style={{ display: 'flex', flexDirection: 'column', gap: theme.spacing.medium }}
+    >
+      <label>
+        <span style={labelStyle}>{t('filter.field')}</span>
+        <select value={draft.field} onChange={(e) => changeField(e.target.value)} style={controlStyle}>
+          {fields.map((f) => <option key={f.key} value={f.key}>{f.label}</option>)}
+        </select>
+      </label>
+      <label>
+        <span style={labelStyle}>{t('filter.operator')}</span>
+        <select value={draft.operator} onChange={(e) => changeOperator(e.target.value)} style={controlStyle}>
+          {FILTER_OPERATORS[type].map((operator) => (
+            <option key={operator} value={operator}>{t(`filter.op.${operator}`)}</option>
           ))}
         </select>
-      ) : type === 'textarea' ? (
-        <textarea
-          id={inputId}
-          value={value}
-          onChange={onChange}
-          placeholder={placeholder}
-          style={{ 
-            width: '100%', 
-            padding: '8px 12px', 
-            border: `1px solid ${error ? theme.colors.danger : '#D1D5DB'}`, 
-            borderRadius: theme.borderRadius.small, 
-            minHeight: '80px',
-            fontSize: '14px'
+      </label>
+      {renderValueEditor()}
+      <div style={{ display: 'flex', justifyContent: 'flex-end', gap: theme.spacing.small }}>
+        <button type="button" onClick={onCancel} style={{ ...getTextButtonStyle(theme), color: theme.colors.textMuted }}>
+          {t('filter.cancel')}
+        </button>
+        <button
+          type="submit"
+          disabled={!isFilterComplete(draft)}
+          style={{
+            padding: '6px 16px',
+            border: 'none',
+            borderRadius: theme.borderRadius.small,
+            background: theme.colors.primary,
+            color: theme.colors.onPrimary,
+            fontWeight: theme.typography.fontWeight.semibold,
+            cursor: isFilterComplete(draft) ? 'pointer' : 'not-allowed',
+            opacity: isFilterComplete(draft) ? 1 : 0.6
           }}
-          required={required}
-          {...props}
-        />
+        >
+          {t('filter.apply')}
+        </button>
+      </div>
+    </form>
+  );
+};
+
+// One chip with the popover that edits it (`filter` null = the "Add filter" button)
+const FilterChip = ({ fields, filter, label, onApply, onRemove }) => {
+  const theme = useTheme();
+  const { t } = useLocale();
+  const popover = usePopover();
+  const [editorKey, setEditorKey] = useState(0);
+
+  const open = () => {
+    setEditorKey((key) => key + 1);
+    popover.setIsOpen(!popover.isOpen);
+  };
+
+  return (
+    <div ref={popover.containerRef} onKeyDown={popover.onKeyDown} style={{ position: 'relative' }}>
+      {filter ? (
+        <span style={{
+          display: 'inline-flex',
+          alignItems: 'center',
+          borderRadius: theme.borderRadius.pill,
+          background: theme.tones.info.background,
+          color: theme.tones.info.color,
+          fontSize: theme.typography.fontSize.small
+        }}>
+          <button
+            type="button"
+            aria-haspopup="dialog"
+            aria-expanded={popover.isOpen}
+            onClick={open}
+            style={{ background: 'none', border: 'none', color: 'inherit', paddingBlock: '4px', paddingInline: '12px 4px', cursor: 'pointer', fontSize: 'inherit' }}
+          >
+            {label}
+          </button>
+          <button
+            type="button"
+            onClick={onRemove}
+            aria-label={t('filter.remove', { filter: label })}
+            style={{ background: 'none', border: 'none', color: 'inherit', paddingBlock: '4px', paddingInline: '2px 8px', cursor: 'pointer', display: 'flex' }}
+          >
+            <XIcon size={12} />
+          </button>
+        </span>
       ) : (
-        <input
-          id={inputId}
-          type={type}
-          value={value}
-          onChange={onChange}
-          placeholder={placeholder}
-          style={{ 
-            width: '100%', 
-            padding: '8px 12px', 
-            border: `1px solid ${error ? theme.colors.danger : '#D1D5DB'}`, 
-            borderRadius: theme.borderRadius.small,
-            fontSize: '14px'
+        <button
+          type="button"
+          aria-haspopup="dialog"
+          aria-expanded={popover.isOpen}
+          onClick={open}
+          style={{
+            ...getTextButtonStyle(theme),
+            display: 'inline-flex',
+            alignItems: 'center',
+            gap: theme.spacing.xsmall,
+            border: `1px dashed ${theme.colors.inputBorder}`,
+            borderRadius: theme.borderRadius.pill,
+            fontSize: theme.typography.fontSize.small
           }}
-          required={required}
-          {...props}
-        />
+        >
+          <PlusIcon size={12} />
+          {t('filter.add')}
+        </button>
       )}
-      {error && (
-        <p style={{ 
-          margin: '4px 0 0 0', 
-          color: theme.colors.danger, 
-          fontSize: '12px' 
-        }}>
-          {error}
-        </p>
+      {popover.isOpen && (
+        <div role="dialog" aria-label={filter ? t('filter.edit') : t('filter.add')} style={getPopoverStyle(theme)}>
+          <FilterEditor
+            key={editorKey}
+            fields={fields}
+            filter={filter}
+            onApply={(next) => {
+              popover.setIsOpen(false);
+              onApply(next);
+            }}
+            onCancel={() => popover.setIsOpen(false)}
+          />
+        </div>
+      )}
+    </div>
+  );
+};
+
+/**
+ * Filter Builder Component
+ * Chips for structured filters ("Status is any of Pending, Assigned", "Weight > 500 kg");
+ * click a chip to edit it. Filter rows client-side with applyFilters(rows, filters, fields).
+ * @param {array} fields - Filterable fields ({ key, label, type (text, number, enum, date, boolean),
+ *   options: [{ value, label }] for enum, unit, format, accessor })
+ * @param {array} filters - Controlled filters ({ id, field, operator, value })
+ * @param {array} defaultFilters - Initial filters (uncontrolled)
+ * @param {function} onChange - Called with the new filter array
+ */
+export const FilterBuilder = ({ fields, filters: filtersProp, defaultFilters = [], onChange }) => {
+  const theme = useTheme();
+  const { t } = useLocale();
+  const describeFilter = useDescribeFilter();
+  const [filters, setFilters] = useControllableState(filtersProp, defaultFilters, onChange);
+
+  return (
+    <div role="group" aria-label={t('filter.label')} style={{ display: 'flex', flexWrap: 'wrap', alignItems: 'center', gap: theme.spacing.small }}>
+      {filters.map((filter) => (
+        <FilterChip
+          key={filter.id}
+          fields={fields}
+          filter={filter}
+          label={describeFilter(filter, fields.find((f) => f.key === filter.field))}
+          onApply={(next) => setFilters(filters.map((f) => (f.id === filter.id ? next : f)))}
+          onRemove={() => setFilters(filters.filter((f) => f.id !== filter.id))}
+        />
+      ))}
+      <FilterChip
+        fields={fields}
+        filter={null}
+        onApply={(next) => setFilters([...filters, { ...next, id: `filter-${Math.random().toString(36).slice(2, 9)}` }])}
+      />
+      {filters.length > 0 && (
+        <button type="button" onClick={() => setFilters([])} style={{ ...getTextButtonStyle(theme), fontSize: theme.typography.fontSize.small }}>
+          {t('filter.clearAll')}
+        </button>
       )}
     </div>
   );
+};
+
+const filterShape = PropTypes.shape({
+  id: PropTypes.string,
+  field: PropTypes.string.isRequired,
+  operator: PropTypes.string.isRequired,
+  value: PropTypes.any
 });
 
-FormField.propTypes = {
+const filterFieldShape = PropTypes.shape({
+  key: PropTypes.string.isRequired,
   label: PropTypes.string.isRequired,
-  type: PropTypes.oneOf(['text', 'password', 'email', 'number', 'select', 'textarea', 'date']),
-  value: PropTypes.any,
-  onChange: PropTypes.func.isRequired,
-  required: PropTypes.bool,
-  options: PropTypes.array,
-  placeholder: PropTypes.string,
-  error: PropTypes.string,
-  id: PropTypes.string
+  type: PropTypes.oneOf(['text', 'number', 'enum', 'date', 'boolean']),
+  options: PropTypes.arrayOf(PropTypes.shape({ value: PropTypes.any, label: PropTypes.string })),
+  unit: PropTypes.string,
+  format: formatSpecPropType,
+  accessor: PropTypes.oneOfType([PropTypes.string, PropTypes.func])
+});
+
+FilterBuilder.propTypes = {
+  fields: PropTypes.arrayOf(filterFieldShape).isRequired,
+  filters: PropTypes.arrayOf(filterShape),
+  defaultFilters: PropTypes.arrayOf(filterShape),
+  onChange: PropTypes.func
+};
+
+/*
+ * Saved views: named snapshots of { filters, sortBy, columns, search } kept in
+ * localStorage under one key, and shareable as a URL query parameter holding
+ * the same state as JSON.
+ */
+const pickViewState = ({ filters = [], sortBy = [], columns, search = '' }) => ({ filters, sortBy, columns, search });
+
+const readStoredViews = (storageKey) => {
+  try {
+    const parsed = JSON.parse(window.localStorage.getItem(storageKey) || '[]');
+    return Array.isArray(parsed) ? parsed : [];
+  } catch {
+    return [];
+  }
 };
 
 /**
- * Unified Form Buttons Component
- * @param {function} onCancel - Cancel handler
- * @param {function} onSubmit - Submit handler
- * @param {string} submitText - Submit button text
- * @param {string} cancelText - Cancel button text
- * @param {string} submitVariant - Submit button variant
- * @param {boolean} loading - Loading state
+ * Encode a view as a query string ("view=...")
+ * @param {object} view - { filters, sortBy, columns, search }
+ * @param {string} param - Query parameter name
  */
-export const FormButtons = memo(({ 
-  onCancel, 
-  onSubmit, 
-  submitText = "Save", 
-  cancelText = "Cancel", 
-  submitVariant = "primary",
-  loading = false,
-  disabled = false
-}) => {
-  const buttonVariants = {
-    primary: theme.colors.primary,
-    success: theme.colors.success,
-    danger: theme.colors.danger,
-    warning: theme.colors.warning,
-    info: theme.colors.info
+export const viewToQueryString = (view, param = 'view') => {
+  const params = new URLSearchParams();
+  params.set(param, JSON.stringify(pickViewState(view)));
+  return params.toString();
+};
+
+/**
+ * Read a view from a query string; null when absent or malformed
+ * @param {string} search - Query string (e.g. window.location.search)
+ * @param {string} param - Query parameter name
+ */
+export const viewFromQueryString = (search, param = 'view') => {
+  try {
+    const raw = new URLSearchParams(search).get(param);
+    const parsed = raw ? JSON.parse(raw) : null;
+    return parsed && typeof parsed === 'object' ? pickViewState(parsed) : null;
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Named views persisted in localStorage (and kept in sync across tabs)
+ * @param {string} storageKey - localStorage key
+ * @returns {object} { views, saveView(name, state), deleteView(id) }
+ */
+export const useSavedViews = (storageKey) => {
+  const [views, setViews] = useState(() => (typeof window === 'undefined' ? [] : readStoredViews(storageKey)));
+
+  useEffect(() => {
+    setViews(readStoredViews(storageKey));
+    const handleStorage = (e) => {
+      if (e.key === storageKey) setViews(readStoredViews(storageKey));
+    };
+    window.addEventListener('storage', handleStorage);
+    return () => window.removeEventListener('storage', handleStorage);
+  }, [storageKey]);
+
+  const persist = useCallback((next) => {
+    setViews(next);
+    try {
+      window.localStorage.setItem(storageKey, JSON.stringify(next));
+    } catch {
+      // Storage full or blocked: the views still work for this session
+    }
+  }, [storageKey]);
+
+  // Saving under an existing name replaces that view
+  const saveView = useCallback((name, state) => {
+    const existing = views.find((view) => view.name === name);
+    const view = { id: existing ? existing.id : `view-${Date.now().toString(36)}`, name, ...pickViewState(state) };
+    persist(existing ? views.map((v) => (v.id === view.id ? view : v)) : [...views, view]);
+    return view;
+  }, [views, persist]);
+
+  const deleteView = useCallback((id) => persist(views.filter((view) => view.id !== id)), [views, persist]);
+
+  return { views, saveView, deleteView };
+};
+
+/**
+ * Saved Views Component
+ * Menu to apply, save and delete named views and to copy a link that opens the current view.
+ * A view found in the page URL is applied once on mount.
+ * @param {string} storageKey - localStorage key for the views
+ * @param {object} currentView - State to save or share ({ filters, sortBy, columns, search })
+ * @param {function} onApply - Called with a view's state when it is applied
+ * @param {string} queryParam - URL query parameter holding a shared view
+ */
+export const SavedViews = ({ storageKey, currentView = {}, onApply, queryParam = 'view' }) => {
+  const theme = useTheme();
+  const { t } = useLocale();
+  const popover = usePopover();
+  const { views, saveView, deleteView } = useSavedViews(storageKey);
+  const [name, setName] = useState('');
+  const [activeId, setActiveId] = useState(null);
+  const [status, setStatus] = useState('');
+
+  const onApplyRef = useRef(onApply);
+  onApplyRef.current = onApply;
+  useEffect(() => {
+    const shared = viewFromQueryString(window.location.search, queryParam);
+    if (shared && onApplyRef.current) onApplyRef.current(shared);
+  }, [queryParam]);
+
+  const apply = (view) => {
+    setActiveId(view.id);
+    popover.setIsOpen(false);
+    setStatus(t('views.applied', { name: view.name }));
+    if (onApply) onApply(pickViewState(view));
+  };
+
+  const save = (e) => {
+    e.preventDefault();
+    if (!name.trim()) return;
+    const view = saveView(name.trim(), currentView);
+    setActiveId(view.id);
+    setName('');
+    setStatus(t('views.savedAs', { name: view.name }));
+  };
+
+  const copyLink = () => {
+    const params = new URLSearchParams(window.location.search);
+    params.set(queryParam, JSON.stringify(pickViewState(currentView)));
+    const url = `${window.location.origin}${window.location.pathname}?${params.toString()}`;
+    const done = () => setStatus(t('views.linkCopied'));
+    if (navigator.clipboard) navigator.clipboard.writeText(url).then(done, () => window.prompt(t('views.copyLink'), url));
+    else window.prompt(t('views.copyLink'), url);
   };
 
+  const activeView = views.find((view) => view.id === activeId);
+
   return (
-    <div style={{ 
-      display: 'flex', 
-      gap: theme.spacing.medium, 
-      justifyContent: 'flex-end',
-      marginTop: theme.spacing.large
-    }}>
+    <div ref={popover.containerRef} onKeyDown={popover.onKeyDown} style={{ position: 'relative' }}>
       <button
         type="button"
-        onClick={onCancel}
-        style={{
-          padding: '8px 16px',
-          border: `1px solid ${theme.colors.light}`,
-          borderRadius: theme.borderRadius.small,
-          background: 'white',
-          cursor: 'pointer',
-          color: theme.colors.dark,
-          transition: 'all 0.2s',
-          ':hover': {
-            background: theme.colors.light
-          }
-        }}
-        disabled={loading}
-      >
-        {cancelText}
-      </button>
-      <button
-        type="submit"
-        onClick={onSubmit}
+        aria-haspopup="dialog"
+        aria-expanded={popover.isOpen}
+        onClick={() => popover.setIsOpen(!popover.isOpen)}
         style={{
-          padding: '8px 16px',
-          border: 'none',
-          borderRadius: theme.borderRadius.small,
-          background: buttonVariants[submitVariant] || buttonVariants.primary,
-          color: 'white',
+          display: 'inline-flex',
+          alignItems: 'center',
+          gap: theme.spacing.small,
+          padding: '10px 14px',
+          border: `1px solid ${theme.colors.inputBorder}`,
+          borderRadius: theme.borderRadius.medium,
+          background: theme.colors.surface,
+          color: theme.colors.text,
+          fontSize: theme.typography.fontSize.medium,
           cursor: 'pointer',
-          transition: 'all 0.2s',
-          opacity: disabled ? 0.7 : 1,
-          ':hover': {
-            opacity: disabled ? 0.7 : 0.9
-          }
+          whiteSpace: 'nowrap'
         }}
-        disabled={loading || disabled}
       >
-        {loading ? 'Processing...' : submitText}
+        {activeView ? activeView.name : t('views.label')}
+        <ChevronDownIcon size={14} />
       </button>
+      <span role="status" style={visuallyHidden}>{status}</span>
+      {popover.isOpen && (
+        <div role="dialog" aria-label={t('views.label')} style={getPopoverStyle(theme)}>
+          <div style={{ fontSize: theme.typography.fontSize.small, fontWeight: theme.typography.fontWeight.semibold, color: theme.colors.textMuted, marginBottom: theme.spacing.small }}>
+            {t('views.saved')}
+          </div>
+          {views.length === 0 ? (
+            <p style={{ margin: `0 0 ${theme.spacing.medium}`, color: theme.colors.textSubtle, fontSize: theme.typography.fontSize.medium }}>
+              {t('views.none')}
+            </p>
+          ) : (
+            <ul style={{ listStyle: 'none', margin: `0 0 ${theme.spacing.medium}`, padding: 0 }}>
+              {views.map((view) => (
+                <li key={view.id} style={{ display: 'flex', alignItems: 'center' }}>
+                  <button
+                    type="button"
+                    aria-current={view.id === activeId ? 'true' : undefined}
+                    onClick={() => apply(view)}
+                    style={{
+                      ...getTextButtonStyle(theme),
+                      flex: 1,
+                      textAlign: 'start',
+                      color: theme.colors.text,
+                      fontWeight: view.id === activeId ? theme.typography.fontWeight.semibold : 'normal'
+                    }}
+                  >
+                    {view.name}
+                  </button>
+                  <button
+                    type="button"
+                    onClick={() => deleteView(view.id)}
+                    aria-label={t('views.delete', { name: view.name })}
+                    style={{ ...getTextButtonStyle(theme), color: theme.colors.textMuted, display: 'flex' }}
+                  >
+                    <TrashIcon size={14} />
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
+          <form onSubmit={save} style={{ display: 'flex', gap: theme.spacing.small }}>
+            <input
+              type="text"
+              value={name}
+              onChange={(e) => setName(e.target.value)}
+              placeholder={t('views.name')}
+              aria-label={t('views.name')}
+              style={getControlStyle(theme)}
+            />
+            <button type="submit" disabled={!name.trim()} style={{ ...getTextButtonStyle(theme), whiteSpace: 'nowrap' }}>
+              {t('views.save')}
+            </button>
+          </form>
+          <button type="button" onClick={copyLink} style={{ ...getTextButtonStyle(theme), marginTop: theme.spacing.small, padding: `${theme.spacing.xsmall} 0` }}>
+            {t('views.copyLink')}
+          </button>
+        </div>
+      )}
     </div>
   );
-});
+};
 
-FormButtons.propTypes = {
-  onCancel: PropTypes.func.isRequired,
-  onSubmit: PropTypes.func.isRequired,
-  submitText: PropTypes.string,
-  cancelText: PropTypes.string,
-  submitVariant: PropTypes.oneOf(['primary', 'success', 'danger', 'warning', 'info']),
-  loading: PropTypes.bool,
-  disabled: PropTypes.bool
+SavedViews.propTypes = {
+  storageKey: PropTypes.string.isRequired,
+  currentView: PropTypes.shape({
+    filters: PropTypes.array,
+    sortBy: PropTypes.array,
+    columns: PropTypes.arrayOf(PropTypes.string),
+    search: PropTypes.string
+  }),
+  onApply: PropTypes.func,
+  queryParam: PropTypes.string
+};
+
+/*
+ * Client-side fuzzy search. Text is compared after normalization: lower case,
+ * Latin accents and Arabic diacritics/tatweel removed, alef (أ إ آ ٱ), ya (ى ئ)
+ * and ta marbuta (ة) folded to ا / ي / ه, and Eastern Arabic digits made Western.
+ * Each query word must appear in the text, allowing a few typos in longer words.
+ */
+const SEARCH_FOLDS = { 'أ': 'ا', 'إ': 'ا', 'آ': 'ا', 'ٱ': 'ا', 'ى': 'ي', 'ئ': 'ي', 'ة': 'ه' };
+const SEARCH_IGNORED = /[\u0300-\u036f\u0610-\u061a\u064b-\u065f\u0640\u0670]/;
+
+// Normalized text plus, for each of its characters, the index it came from in the original
+const normalizeWithMap = (value) => {
+  const source = String(value ?? '');
+  let text = '';
+  const map = [];
+  for (let i = 0; i < source.length; i++) {
+    for (const char of source[i].toLowerCase().normalize('NFD')) {
+      if (SEARCH_IGNORED.test(char)) continue;
+      const code = char.charCodeAt(0);
+      let folded = SEARCH_FOLDS[char] || char;
+      if (code >= 0x0660 && code <= 0x0669) folded = String(code - 0x0660);
+      else if (code >= 0x06f0 && code <= 0x06f9) folded = String(code - 0x06f0);
+      text += folded;
+      map.push(i);
+    }
+  }
+  return { text, map };
 };
 
 /**
- * Unified Avatar Component
- * @param {ReactComponent} icon - Icon component
- * @param {string} name - Name for fallback
- * @param {string} gradient - Background gradient
- * @param {string} size - Avatar size (sm, md, lg)
+ * Normalize text for matching (case, accents, Arabic letter variants and digits)
+ * @param {string} value - Text to normalize
  */
-export const Avatar = memo(({ 
-  icon: Icon, 
-  name, 
-  gradient = `linear-gradient(135deg, ${theme.colors.primary}, ${theme.colors.secondary})`, 
+export const normalizeSearchText = (value) => normalizeWithMap(value).text;
+
+// Closest substring of `text` to `pattern` by edit distance (Sellers' algorithm)
+const findApproximate = (pattern, text) => {
+  let previous = new Array(text.length + 1).fill(0);
+  let previousStart = previous.map((_, j) => j);
+  for (let i = 1; i <= pattern.length; i++) {
+    const current = [i];
+    const currentStart = [0];
+    for (let j = 1; j <= text.length; j++) {
+      let best = previous[j - 1] + (pattern[i - 1] === text[j - 1] ? 0 : 1);
+      let start = previousStart[j - 1];
+      if (previous[j] + 1 < best) {
+        best = previous[j] + 1;
+        start = previousStart[j];
+      }
+      if (current[j - 1] + 1 < best) {
+        best = current[j - 1] + 1;
+        start = currentStart[j - 1];
+      }
+      current.push(best);
+      currentStart.push(start);
+    }
+    previous = current;
+    previousStart = currentStart;
+  }
+  let end = 0;
+  for (let j = 1; j <= text.length; j++) {
+    if (previous[j] < previous[end]) end = j;
+  }
+  return { distance: previous[end], start: previousStart[end], end };
+};
+
+const mergeRanges = (ranges) => ranges
+  .sort((a, b) => a[0] - b[0])
+  .reduce((merged, range) => {
+    const last = merged[merged.length - 1];
+    if (last && range[0] <= last[1]) last[1] = Math.max(last[1], range[1]);
+    else merged.push([...range]);
+    return merged;
+  }, []);
+
+/**
+ * Match a query against text
+ * @param {string} query - Search words
+ * @param {string} text - Text to search
+ * @param {object} options - { maxTypos } per word (default: 0 up to 3 letters, 1 up to 6, else 2)
+ * @returns {object|null} { score, ranges: [[start, end]] } in `text` indexes, or null when a word is missing
+ */
+export const fuzzyMatch = (query, text, { maxTypos } = {}) => {
+  const words = normalizeSearchText(query).split(/\s+/).filter(Boolean);
+  if (!words.length) return null;
+  const { text: haystack, map } = normalizeWithMap(text);
+  const ranges = [];
+  let typos = 0;
+  let firstIndex = haystack.length;
+  for (const word of words) {
+    let start = haystack.indexOf(word);
+    let end = start + word.length;
+    if (start === -1) {
+      const allowed = maxTypos ?? (word.length <= 3 ? 0 : word.length <= 6 ? 1 : 2);
+      const found = allowed > 0 ? findApproximate(word, haystack) : null;
+      if (!found || found.distance > allowed) return null;
+      ({ start, end } = found);
+      typos += found.distance;
+    }
+    if (end > start) ranges.push([map[start], map[end - 1] + 1]);
+    firstIndex = Math.min(firstIndex, start);
+  }
+  // Fewer typos first, then matches nearer the start of the text
+  return { score: 1 / (1 + typos) - Math.min(firstIndex, 100) / 1000, ranges: mergeRanges(ranges) };
+};
+
+/**
+ * Filter items by a query and sort them by relevance (stable for equal scores)
+ * @param {array} items - Items to search
+ * @param {string} query - Search words; a blank query returns `items` unchanged
+ * @param {object} options - { keys: fields or (item) => text to search, match: (query, text) => { score } | null }
+ */
+export const fuzzySearch = (items, query, { keys, match = fuzzyMatch } = {}) => {
+  if (isBlank(query) || !String(query).trim()) return items;
+  const getText = (item) => (keys
+    ? keys.map((key) => (typeof key === 'function' ? key(item) : item[key])).filter((v) => !isBlank(v)).join(' ')
+    : Object.values(item).filter((v) => typeof v === 'string' || typeof v === 'number').join(' '));
+  return items
+    .map((item, index) => ({ item, index, result: match(query, getText(item)) }))
+    .filter(({ result }) => result)
+    .sort((a, b) => b.result.score - a.result.score || a.index - b.index)
+    .map(({ item }) => item);
+};
+
+/**
+ * Highlighted Text Component
+ * Wraps the parts of `text` that match each query word in <mark>.
+ * @param {string} text - Text to show
+ * @param {string} query - Search words
+ * @param {function} match - (word, text) => { ranges } | null (defaults to fuzzyMatch)
+ */
+export const HighlightedText = memo(({ text, query, match = fuzzyMatch }) => {
+  const theme = useTheme();
+  const value = String(text ?? '');
+  const words = String(query ?? '').trim().split(/\s+/).filter(Boolean);
+  const ranges = mergeRanges(words.flatMap((word) => (match(word, value) || { ranges: [] }).ranges));
+  if (!ranges.length) return value;
+
+  const parts = [];
+  let index = 0;
+  ranges.forEach(([start, end]) => {
+    if (start > index) parts.push(value.slice(index, start));
+    parts.push(
+      <mark
+        key={start}
+        style={{ background: theme.tones.warning.background, color: 'inherit', borderRadius: '2px', padding: 0 }}
+      >
+        {value.slice(start, end)}
+      </mark>
+    );
+    index = end;
+  });
+  if (index < value.length) parts.push(value.slice(index));
+  return <>{parts}</>;
+});
+
+HighlightedText.propTypes = {
+  text: PropTypes.oneOfType([PropTypes.string, PropTypes.number]),
+  query: PropTypes.string,
+  match: PropTypes.func
+};
+
+const readSearchHistory = (storageKey) => {
+  if (!storageKey || typeof window === 'undefined') return [];
+  try {
+    const parsed = JSON.parse(window.localStorage.getItem(storageKey) || '[]');
+    return Array.isArray(parsed) ? parsed : [];
+  } catch {
+    return [];
+  }
+};
+
+const IS_MAC = typeof navigator !== 'undefined' && /Mac|iPhone|iPad/.test(navigator.platform || '');
+
+// ControlsBar's search input: debounced onChange, clear button, Ctrl/⌘+K focus and recent searches
+const SearchBox = ({ value, onChange, placeholder, debounce, shortcut, historyKey, maxHistory }) => {
+  const theme = useTheme();
+  const { t } = useLocale();
+  const [draft, setDraft] = useState(value ?? '');
+  const [history, setHistory] = useState(() => readSearchHistory(historyKey));
+  const [isListOpen, setIsListOpen] = useState(false);
+  const [activeIndex, setActiveIndex] = useState(-1);
+  const [listId] = useState(() => `search-history-${Math.random().toString(36).slice(2, 9)}`);
+  const inputRef = useRef(null);
+  const timer = useRef(null);
+  const lastEmitted = useRef(value ?? '');
+
+  // Follow outside changes to `value` (e.g. a saved view) without clobbering what is being typed
+  useEffect(() => {
+    if ((value ?? '') !== lastEmitted.current) {
+      lastEmitted.current = value ?? '';
+      setDraft(value ?? '');
+    }
+  }, [value]);
+
+  useEffect(() => () => clearTimeout(timer.current), []);
+
+  useEffect(() => {
+    if (!shortcut) return undefined;
+    const handleKeyDown = (e) => {
+      if ((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === 'k' && !e.defaultPrevented) {
+        e.preventDefault();
+        inputRef.current.focus();
+        inputRef.current.select();
+      }
+    };
+    document.addEventListener('keydown', handleKeyDown);
+    return () => document.removeEventListener('keydown', handleKeyDown);
+  }, [shortcut]);
+
+  const emit = (next) => {
+    clearTimeout(timer.current);
+    lastEmitted.current = next;
+    if (onChange) onChange(next);
+  };
+
+  const handleChange = (e) => {
+    const next = e.target.value;
+    setDraft(next);
+    setActiveIndex(-1);
+    setIsListOpen(true);
+    clearTimeout(timer.current);
+    if (!debounce) emit(next);
+    else timer.current = setTimeout(() => emit(next), debounce);
+  };
+
+  const remember = (term) => {
+    const trimmed = term.trim();
+    if (!historyKey || !trimmed) return;
+    const next = [trimmed, ...history.filter((item) => item !== trimmed)].slice(0, maxHistory);
+    setHistory(next);
+    try {
+      window.localStorage.setItem(historyKey, JSON.stringify(next));
+    } catch {
+      // History is a convenience; ignore blocked storage
+    }
+  };
+
+  const clearHistory = () => {
+    setHistory([]);
+    setIsListOpen(false);
+    try {
+      window.localStorage.removeItem(historyKey);
+    } catch {
+      // Nothing stored to remove
+    }
+  };
+
+  const normalizedDraft = normalizeSearchText(draft.trim());
+  const suggestions = historyKey
+    ? history.filter((item) => item !== draft.trim() && normalizeSearchText(item).includes(normalizedDraft))
+    : [];
+  const showList = isListOpen && suggestions.length > 0;
+
+  const pick = (term) => {
+    setDraft(term);
+    emit(term);
+    remember(term);
+    setIsListOpen(false);
+    setActiveIndex(-1);
+  };
+
+  const clear = () => {
+    setDraft('');
+    emit('');
+    inputRef.current.focus();
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'ArrowDown' && suggestions.length) {
+      e.preventDefault();
+      setIsListOpen(true);
+      setActiveIndex((activeIndex + 1) % suggestions.length);
+    } else if (e.key === 'ArrowUp' && showList) {
+      e.preventDefault();
+      setActiveIndex(activeIndex <= 0 ? suggestions.length - 1 : activeIndex - 1);
+    } else if (e.key === 'Enter') {
+      if (showList && activeIndex >= 0) {
+        e.preventDefault();
+        pick(suggestions[activeIndex]);
+      } else {
+        // Enter skips the debounce and records the term
+        emit(draft);
+        remember(draft);
+        setIsListOpen(false);
+      }
+    } else if (e.key === 'Escape') {
+      if (showList) {
+        e.preventDefault();
+        setIsListOpen(false);
+      } else if (draft) {
+        e.preventDefault();
+        clear();
+      }
+    }
+  };
+
+  return (
+    <div style={{ position: 'relative', flex: 1, minWidth: '200px' }}>
+      <SearchIcon 
+        size={20} 
+        color={theme.colors.textMuted} 
+        style={{ 
+          position: 'absolute', 
+          insetInlineStart: '12px', 
+          top: '50%', 
+          transform: 'translateY(-50%)' 
+        }} 
+      />
+      <input
+        ref={inputRef}
+        type="text"
+        role={historyKey ? 'combobox' : undefined}
+        aria-expanded={historyKey ? showList : undefined}
+        aria-controls={historyKey ? listId : undefined}
+        aria-autocomplete={historyKey ? 'list' : undefined}
+        aria-activedescendant={showList && activeIndex >= 0 ? `${listId}-${activeIndex}` : undefined}
+        aria-keyshortcuts={shortcut ? (IS_MAC ? 'Meta+K' : 'Control+K') : undefined}
+        placeholder={placeholder || t('controls.searchPlaceholder')}
+        value={draft}
+        onChange={handleChange}
+        onKeyDown={handleKeyDown}
+        onFocus={() => setIsListOpen(true)}
+        onBlur={() => {
+          setIsListOpen(false);
+          remember(draft);
+        }}
+        style={{
+          width: '100%',
+          paddingBlock: '10px',
+          paddingInline: '40px 64px',
+          border: `1px solid ${theme.colors.inputBorder}`,
+          borderRadius: theme.borderRadius.medium,
+          background: theme.colors.surface,
+          color: theme.colors.text,
+          fontSize: theme.typography.fontSize.medium,
+          boxSizing: 'border-box'
+        }}
+        aria-label={t('controls.search')}
+      />
+      <span style={{
+        position: 'absolute',
+        insetInlineEnd: '10px',
+        top: '50%',
+        transform: 'translateY(-50%)',
+        display: 'flex',
+        alignItems: 'center'
+      }}>
+        {draft ? (
+          <button
+            type="button"
+            onClick={clear}
+            aria-label={t('controls.clearSearch')}
+            style={{ display: 'flex', padding: theme.spacing.xsmall, border: 'none', background: 'none', color: theme.colors.textMuted, cursor: 'pointer' }}
+          >
+            <XIcon size={14} />
+          </button>
+        ) : shortcut && (
+          <kbd aria-hidden="true" style={{
+            padding: '1px 6px',
+            border: `1px solid ${theme.colors.border}`,
+            borderRadius: theme.borderRadius.small,
+            color: theme.colors.textSubtle,
+            fontFamily: 'inherit',
+            fontSize: theme.typography.fontSize.xsmall
+          }}>
+            {IS_MAC ? '⌘K' : 'Ctrl K'}
+          </kbd>
+        )}
+      </span>
+      {showList && (
+        <ul
+          id={listId}
+          role="listbox"
+          aria-label={t('controls.recentSearches')}
+          style={{
+            position: 'absolute',
+            top: 'calc(100% + 4px)',
+            insetInlineStart: 0,
+            insetInlineEnd: 0,
+            zIndex: 20,
+            listStyle: 'none',
+            margin: 0,
+            padding: `${theme.spacing.xsmall} 0`,
+            background: theme.colors.surface,
+            border: `1px solid ${theme.colors.border}`,
+            borderRadius: theme.borderRadius.medium,
+            boxShadow: theme.shadows.medium
+          }}
+        >
+          {suggestions.map((term, index) => (
+            <li
+              key={term}
+              id={`${listId}-${index}`}
+              role="option"
+              aria-selected={index === activeIndex}
+              onMouseDown={(e) => e.preventDefault()}
+              onClick={() => pick(term)}
+              style={{
+                padding: `6px ${theme.spacing.medium}`,
+                background: index === activeIndex ? theme.colors.hover : 'transparent',
+                color: theme.colors.text,
+                cursor: 'pointer'
+              }}
+            >
+              {term}
+            </li>
+          ))}
+          <li role="presentation" style={{ borderTop: `1px solid ${theme.colors.border}`, marginTop: theme.spacing.xsmall }}>
+            <button
+              type="button"
+              onMouseDown={(e) => e.preventDefault()}
+              onClick={clearHistory}
+              style={{ ...getTextButtonStyle(theme), fontSize: theme.typography.fontSize.small, paddingInline: theme.spacing.medium }}
+            >
+              {t('controls.clearHistory')}
+            </button>
+          </li>
+        </ul>
+      )}
+    </div>
+  );
+};
+
+/**
+ * Unified Controls Bar Component
+ * @param {string} searchValue - Search input value
+ * @param {function} onSearchChange - Search change handler, called once typing pauses for `searchDebounce` ms
+ * @param {number} searchDebounce - Delay in ms before onSearchChange fires (0 = every keystroke)
+ * @param {boolean} searchShortcut - Focus the search with Ctrl+K / ⌘K
+ * @param {string} searchHistoryKey - localStorage key for recent searches (history is off without it)
+ * @param {number} maxSearchHistory - Recent searches kept
+ * @param {function} onAddClick - Add button click handler
+ * @param {string} addButtonText - Add button text
+ * @param {string} searchPlaceholder - Search placeholder text
+ * @param {ReactNode} additionalControls - Additional control components
+ * @param {number} selectedCount - Selected row count; a non-zero count swaps in the bulk-actions bar
+ * @param {array} bulkActions - Bulk actions ({ key, label, icon, onClick, variant, disabled })
+ * @param {function} onClearSelection - Clear selection handler
+ * @param {array} filterFields - Fields for the filter builder row (see FilterBuilder)
+ * @param {array} filters - Controlled filters
+ * @param {array} defaultFilters - Initial filters (uncontrolled)
+ * @param {function} onFiltersChange - Called with the new filter array
+ * @param {object} savedViews - Shows the saved-views menu: { storageKey, currentView, onApply, queryParam };
+ *   the bar adds its own filters and search to `currentView` and restores them when a view is applied
+ */
+export const ControlsBar = memo(({ 
+  searchValue, 
+  onSearchChange, 
+  searchDebounce = 300,
+  searchShortcut = true,
+  searchHistoryKey,
+  maxSearchHistory = 8,
+  onAddClick, 
+  addButtonText, 
+  searchPlaceholder,
+  additionalControls,
+  selectedCount = 0,
+  bulkActions = [],
+  onClearSelection,
+  filterFields,
+  filters: filtersProp,
+  defaultFilters = [],
+  onFiltersChange,
+  savedViews
+}) => {
+  const theme = useTheme();
+  const { t } = useLocale();
+  const hasSelection = selectedCount > 0;
+  const [filters, setFilters] = useControllableState(filtersProp, defaultFilters, onFiltersChange);
+
+  const applyView = (view) => {
+    if (filterFields) setFilters(view.filters);
+    if (onSearchChange && view.search !== searchValue) onSearchChange(view.search);
+    if (savedViews.onApply) savedViews.onApply(view);
+  };
+
+  return (
+    <div style={{
+      background: hasSelection ? theme.tones.info.background : theme.colors.surface,
+      padding: theme.spacing.large,
+      borderRadius: theme.borderRadius.large,
+      marginBottom: theme.spacing.medium,
+      boxShadow: theme.shadows.small,
+      border: `1px solid ${theme.colors.border}`
+    }}>
+      {hasSelection ? (
+        <div
+          role="toolbar"
+          aria-label={t('controls.bulkActions')}
+          style={{
+            display: 'flex',
+            alignItems: 'center',
+            gap: theme.spacing.medium,
+            flexWrap: 'wrap',
+            minHeight: '40px'
+          }}
+        >
+          <span style={{
+            fontWeight: theme.typography.fontWeight.semibold,
+            color: theme.tones.info.color
+          }}>
+            {t('controls.selectedCount', { count: selectedCount })}
+          </span>
+          <div style={{ display: 'flex', gap: theme.spacing.small, flexWrap: 'wrap' }}>
+            {bulkActions.map((action) => (
+              <IconActionButton
+                key={action.key || action.label}
+                icon={action.icon}
+                label={action.label}
+                onClick={action.onClick}
+                variant={action.variant}
+                disabled={action.disabled}
+                padding="6px 12px"
+                showLabel
+              />
+            ))}
+          </div>
+          {onClearSelection && (
+            <button
+              type="button"
+              onClick={onClearSelection}
+              style={{
+                marginInlineStart: 'auto',
+                background: 'none',
+                border: 'none',
+                color: theme.colors.primary,
+                fontSize: theme.typography.fontSize.medium,
+                fontWeight: theme.typography.fontWeight.semibold,
+                cursor: 'pointer'
+              }}
+            >
+              {t('controls.clearSelection')}
+            </button>
+          )}
+        </div>
+      ) : (
+        <div style={{ 
+          display: 'flex', 
+          justifyContent: 'space-between', 
+          alignItems: 'center', 
+          gap: theme.spacing.medium,
+          flexWrap: 'wrap'
+        }}>
+          <div style={{ 
+            display: 'flex', 
+            gap: theme.spacing.medium, 
+            alignItems: 'center',
+            flexWrap: 'wrap',
+            flex: 1,
+            minWidth: '250px'
+          }}>
+            <SearchBox
+              value={searchValue}
+              onChange={onSearchChange}
+              placeholder={searchPlaceholder}
+              debounce={searchDebounce}
+              shortcut={searchShortcut}
+              historyKey={searchHistoryKey}
+              maxHistory={maxSearchHistory}
+            />
+            {savedViews && (
+              <SavedViews
+                storageKey={savedViews.storageKey}
+                queryParam={savedViews.queryParam}
+                currentView={{ ...savedViews.currentView, filters, search: searchValue }}
+                onApply={applyView}
+              />
+            )}
+            {additionalControls}
+          </div>
+          {onAddClick && (
+            <button
+              onClick={onAddClick}
+              style={{
+                display: 'flex',
+                alignItems: 'center',
+                gap: theme.spacing.small,
+                padding: '10px 20px',
+                background: brandGradient(theme),
+                color: theme.colors.onPrimary,
+                border: 'none',
+                borderRadius: theme.borderRadius.medium,
+                fontSize: theme.typography.fontSize.medium,
+                fontWeight: theme.typography.fontWeight.semibold,
+                cursor: 'pointer',
+                transition: 'all 0.2s',
+                whiteSpace: 'nowrap'
+              }}
+              onMouseOver={(e) => e.target.style.transform = 'translateY(-1px)'}
+              onMouseOut={(e) => e.target.style.transform = 'translateY(0)'}
+            >
+              <PlusIcon size={16} />
+              {addButtonText || t('controls.addItem')}
+            </button>
+          )}
+          {filterFields && (
+            <div style={{ flexBasis: '100%' }}>
+              <FilterBuilder fields={filterFields} filters={filters} onChange={setFilters} />
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+});
+
+ControlsBar.propTypes = {
+  searchValue: PropTypes.string,
+  onSearchChange: PropTypes.func,
+  searchDebounce: PropTypes.number,
+  searchShortcut: PropTypes.bool,
+  searchHistoryKey: PropTypes.string,
+  maxSearchHistory: PropTypes.number,
+  onAddClick: PropTypes.func,
+  addButtonText: PropTypes.string,
+  searchPlaceholder: PropTypes.string,
+  additionalControls: PropTypes.node,
+  selectedCount: PropTypes.number,
+  bulkActions: PropTypes.arrayOf(PropTypes.shape({
+    key: PropTypes.string,
+    label: PropTypes.string.isRequired,
+    icon: PropTypes.elementType.isRequired,
+    onClick: PropTypes.func.isRequired,
+    variant: PropTypes.oneOf(['neutral', 'info', 'success', 'warning', 'danger']),
+    disabled: PropTypes.bool
+  })),
+  onClearSelection: PropTypes.func,
+  filterFields: PropTypes.arrayOf(filterFieldShape),
+  filters: PropTypes.arrayOf(filterShape),
+  defaultFilters: PropTypes.arrayOf(filterShape),
+  onFiltersChange: PropTypes.func,
+  savedViews: PropTypes.shape({
+    storageKey: PropTypes.string.isRequired,
+    currentView: PropTypes.object,
+    onApply: PropTypes.func,
+    queryParam: PropTypes.string
+  })
+};
+
+/**
+ * Unified Table Container Component
+ * @param {ReactNode} children - Child components
+ * @param {string} className - Additional CSS classes
+ */
+export const TableContainer = memo(({ children, className }) => {
+  const theme = useTheme();
+
+  return (
+    <div 
+      className={className}
+      style={{
+        background: theme.colors.surface,
+        borderRadius: theme.borderRadius.large,
+        boxShadow: theme.shadows.small,
+        border: `1px solid ${theme.colors.border}`,
+        overflow: 'hidden'
+      }}
+    >
+      <div style={{ overflowX: 'auto' }}>
+        {children}
+      </div>
+    </div>
+  );
+});
+
+TableContainer.propTypes = {
+  children: PropTypes.node,
+  className: PropTypes.string
+};
+
+// Controlled/uncontrolled state: `value` wins whenever the caller passes it
+const useControllableState = (value, defaultValue, onChange) => {
+  const [internalValue, setInternalValue] = useState(defaultValue);
+  const isControlled = value !== undefined;
+
+  const setValue = useCallback((next) => {
+    if (!isControlled) setInternalValue(next);
+    if (onChange) onChange(next);
+  }, [isControlled, onChange]);
+
+  return [isControlled ? value : internalValue, setValue];
+};
+
+const isBlank = (value) => value === null || value === undefined || value === '';
+
+const getCellValue = (row, column) => (
+  typeof column.accessor === 'function'
+    ? column.accessor(row)
+    : row[column.accessor || column.key]
+);
+
+const getRowKey = (row, index, rowKey) => {
+  const key = typeof rowKey === 'function' ? rowKey(row, index) : row[rowKey];
+  return key === undefined ? index : key;
+};
+
+// Options are plain values or { value, label }; a falsy value (0, '', false) is still the value
+const isOptionObject = (option) => option !== null && typeof option === 'object' && 'value' in option;
+const getOptionValue = (option) => (isOptionObject(option) ? option.value : option);
+const getOptionLabel = (option) => (isOptionObject(option) ? option.label ?? option.value : option);
+
+// Shallow copy of an object without one of its keys
+const omitKey = (object, key) => {
+  const next = { ...object };
+  delete next[key];
+  return next;
+};
+
+const compareValues = (a, b) => {
+  if (typeof a === 'number' && typeof b === 'number') return a - b;
+  if (a instanceof Date && b instanceof Date) return a.getTime() - b.getTime();
+  return String(a).localeCompare(String(b), undefined, { numeric: true, sensitivity: 'base' });
+};
+
+// Stable multi-column sort; blank values always sink to the bottom
+const sortRows = (rows, sortBy, columns) => {
+  const criteria = sortBy
+    .map(({ key, direction }) => ({ column: columns.find((c) => c.key === key), direction }))
+    .filter(({ column }) => column);
+
+  if (!criteria.length) return rows;
+
+  return rows
+    .map((row, index) => ({ row, index }))
+    .sort((a, b) => {
+      for (const { column, direction } of criteria) {
+        const valueA = getCellValue(a.row, column);
+        const valueB = getCellValue(b.row, column);
+        if (isBlank(valueA) || isBlank(valueB)) {
+          if (isBlank(valueA) && isBlank(valueB)) continue;
+          return isBlank(valueA) ? 1 : -1;
+        }
+        const result = compareValues(valueA, valueB);
+        if (result !== 0) return direction === 'desc' ? -result : result;
+      }
+      return a.index - b.index;
+    })
+    .map(({ row }) => row);
+};
+
+// Cycle a column asc → desc → unsorted; `additive` (shift-click) keeps the other sort keys
+const toggleSort = (sortBy, key, additive) => {
+  const current = sortBy.find((s) => s.key === key);
+  const direction = !current ? 'asc' : current.direction === 'asc' ? 'desc' : null;
+
+  if (!additive) return direction ? [{ key, direction }] : [];
+  if (!direction) return sortBy.filter((s) => s.key !== key);
+  if (current) return sortBy.map((s) => (s.key === key ? { key, direction } : s));
+  return [...sortBy, { key, direction }];
+};
+
+const TablePagination = ({ page, pageSize, totalRows, pageSizeOptions, onPageChange, onPageSizeChange }) => {
+  const theme = useTheme();
+  const { t, isRTL } = useLocale();
+  const pageCount = Math.max(1, Math.ceil(totalRows / pageSize));
+  const first = totalRows === 0 ? 0 : (page - 1) * pageSize + 1;
+  const last = Math.min(page * pageSize, totalRows);
+
+  const buttonStyle = (disabled) => ({
+    padding: '4px 10px',
+    border: `1px solid ${theme.colors.inputBorder}`,
+    borderRadius: theme.borderRadius.small,
+    background: theme.colors.surface,
+    color: disabled ? theme.colors.textSubtle : theme.colors.text,
+    cursor: disabled ? 'not-allowed' : 'pointer'
+  });
+
+  return (
+    <div style={{
+      display: 'flex',
+      justifyContent: 'space-between',
+      alignItems: 'center',
+      flexWrap: 'wrap',
+      gap: theme.spacing.medium,
+      padding: `12px ${theme.spacing.medium}`,
+      borderTop: `1px solid ${theme.colors.border}`,
+      color: theme.colors.textMuted,
+      fontSize: theme.typography.fontSize.medium
+    }}>
+      <label style={{ display: 'flex', alignItems: 'center', gap: theme.spacing.small }}>
+        {t('table.rowsPerPage')}
+        <select
+          value={pageSize}
+          onChange={(e) => onPageSizeChange(Number(e.target.value))}
+          style={{
+            padding: '4px 8px',
+            border: `1px solid ${theme.colors.inputBorder}`,
+            borderRadius: theme.borderRadius.small,
+            background: theme.colors.surface,
+            color: theme.colors.text
+          }}
+        >
+          {pageSizeOptions.map((option) => (
+            <option key={option} value={option}>{option}</option>
+          ))}
+        </select>
+      </label>
+      <div style={{ display: 'flex', alignItems: 'center', gap: theme.spacing.small }}>
+        <span>{t('table.range', { first, last, total: totalRows })}</span>
+        <button
+          type="button"
+          onClick={() => onPageChange(page - 1)}
+          disabled={page <= 1}
+          style={buttonStyle(page <= 1)}
+          aria-label={t('table.previousPage')}
+        >
+          {isRTL ? '›' : '‹'}
+        </button>
+        <span>{t('table.pageOf', { page, pageCount })}</span>
+        <button
+          type="button"
+          onClick={() => onPageChange(page + 1)}
+          disabled={page >= pageCount}
+          style={buttonStyle(page >= pageCount)}
+          aria-label={t('table.nextPage')}
+        >
+          {isRTL ? '‹' : '›'}
+        </button>
+      </div>
+    </div>
+  );
+};
+
+/*
+ * Windowing for long lists: only the rows inside the scroll viewport (plus
+ * `overscan`) are mounted. Heights start from `estimateHeight` and are replaced
+ * by measured DOM heights, cached per item key so resorting keeps them.
+ */
+const useVirtualWindow = ({ enabled, count, getKey, estimateHeight, viewportHeight, overscan = 5 }) => {
+  const [scrollTop, setScrollTop] = useState(0);
+  const [measuredHeights, setMeasuredHeights] = useState(() => new Map());
+  const containerRef = useRef(null);
+
+  const offsets = useMemo(() => {
+    if (!enabled) return null;
+    const result = new Float64Array(count + 1);
+    for (let i = 0; i < count; i++) {
+      const measured = measuredHeights.get(getKey(i));
+      result[i + 1] = result[i] + (measured === undefined ? estimateHeight(i) : measured);
+    }
+    return result;
+  }, [enabled, count, getKey, estimateHeight, measuredHeights]);
+
+  // Runs after every commit; a new map is only stored when a mounted row's height changed
+  useLayoutEffect(() => {
+    if (!enabled || !containerRef.current) return;
+    const changes = [];
+    containerRef.current.querySelectorAll('[data-virtual-index]').forEach((node) => {
+      const key = getKey(Number(node.getAttribute('data-virtual-index')));
+      const height = node.getBoundingClientRect().height;
+      if (height && measuredHeights.get(key) !== height) changes.push([key, height]);
+    });
+    if (changes.length) setMeasuredHeights((prev) => new Map([...prev, ...changes]));
+  });
+
+  const onScroll = useCallback((e) => setScrollTop(e.currentTarget.scrollTop), []);
+
+  if (!enabled) {
+    return { containerRef, onScroll, start: 0, end: count, paddingTop: 0, paddingBottom: 0 };
+  }
+
+  // First item whose bottom edge is below the scroll position
+  let low = 0;
+  let high = count;
+  while (low < high) {
+    const mid = (low + high) >> 1;
+    if (offsets[mid + 1] <= scrollTop) low = mid + 1;
+    else high = mid;
+  }
+  let last = low;
+  while (last < count && offsets[last] < scrollTop + viewportHeight) last++;
+
+  const start = Math.max(0, low - overscan);
+  const end = Math.min(count, last + overscan);
+
+  return {
+    containerRef,
+    onScroll,
+    start,
+    end,
+    paddingTop: offsets[start],
+    paddingBottom: offsets[count] - offsets[end]
+  };
+};
+
+/*
+ * Drag-and-drop reordering. A drag engine owns the dragged item, its target
+ * { listId, index } and the screen-reader announcements; sortable lists
+ * register with it and render a preview in which the dragged item already
+ * sits at its target, styled as the drop placeholder. Standalone lists use an
+ * engine of their own; lists under a DragDropProvider share its engine, so
+ * items can move between them. Indexes are final positions: `to.index` is where
+ * the item ends up once it has been removed from `from`.
+ */
+const DragDropContext = createContext(null);
+
+const AUTO_SCROLL_EDGE = 48;
+const AUTO_SCROLL_SPEED = 16;
+
+/**
+ * Apply a drop to lists keyed by id; returns a new object with the changed lists
+ * @param {object} lists - { [listId]: items }
+ * @param {object} move - { from: { listId, index }, to: { listId, index } } as passed to onMove/onReorder
+ */
+export const applyMove = (lists, { from, to }) => {
+  const source = [...lists[from.listId]];
+  const [item] = source.splice(from.index, 1);
+  const target = from.listId === to.listId ? source : [...lists[to.listId]];
+  target.splice(to.index, 0, item);
+  return { ...lists, [from.listId]: source, [to.listId]: target };
+};
+
+// Nearest scrolling ancestor; null means the page itself scrolls
+const getScrollParent = (node) => {
+  for (let el = node && node.parentElement; el && el !== document.body; el = el.parentElement) {
+    const { overflowY } = window.getComputedStyle(el);
+    if ((overflowY === 'auto' || overflowY === 'scroll') && el.scrollHeight > el.clientHeight) return el;
+  }
+  return null;
+};
+
+// Fixed-position copy of the dragged item that follows the pointer
+const createDragGhost = (node, rect, theme, direction) => {
+  const ghost = document.createElement('div');
+  let content = node.cloneNode(true);
+  if (node.tagName === 'TR') {
+    // Table cells lose their widths outside the table, so pin them
+    [...content.children].forEach((cell, index) => {
+      cell.style.width = `${node.children[index].getBoundingClientRect().width}px`;
+    });
+    const table = document.createElement('table');
+    const body = document.createElement('tbody');
+    table.style.borderCollapse = 'collapse';
+    table.style.width = '100%';
+    body.appendChild(content);
+    table.appendChild(body);
+    content = table;
+  }
+  ghost.appendChild(content);
+  ghost.dir = direction;
+  ghost.setAttribute('aria-hidden', 'true');
+  Object.assign(ghost.style, {
+    position: 'fixed',
+    left: `${rect.left}px`,
+    top: `${rect.top}px`,
+    width: `${rect.width}px`,
+    zIndex: '1100',
+    pointerEvents: 'none',
+    opacity: '0.9',
+    background: theme.colors.surface,
+    boxShadow: theme.shadows.medium,
+    borderRadius: theme.borderRadius.medium
+  });
+  document.body.appendChild(ghost);
+  return ghost;
+};
+
+const useDragDropEngine = (onMove) => {
+  const theme = useTheme();
+  const { t, isRTL, direction } = useLocale();
+  const [drag, setDrag] = useState(null);
+  const [announcement, setAnnouncement] = useState('');
+  const [instructionsId] = useState(() => `dnd-instructions-${Math.random().toString(36).slice(2, 9)}`);
+  const lists = useRef(new Map());
+  const dragRef = useRef(null);
+  const pointer = useRef(null);
+  const focusKey = useRef(null);
+  const onMoveRef = useRef(onMove);
+  dragRef.current = drag;
+  onMoveRef.current = onMove;
+
+  const register = useCallback((listId, entryRef) => {
+    lists.current.set(listId, entryRef);
+    return () => {
+      if (lists.current.get(listId) === entryRef) lists.current.delete(listId);
+    };
+  }, []);
+
+  const getEntry = (listId) => lists.current.get(listId)?.current;
+
+  // Lists in document order, for moving between them with the arrow keys
+  const getOrderedListIds = () => [...lists.current.keys()]
+    .filter((listId) => !getEntry(listId).disabled && getEntry(listId).containerRef.current)
+    .sort((a, b) => (
+      getEntry(a).containerRef.current.compareDocumentPosition(getEntry(b).containerRef.current)
+        & Node.DOCUMENT_POSITION_FOLLOWING ? -1 : 1
+    ));
+
+  // Items a list holds while `current` is dragged, not counting the dragged item
+  const countWithout = (listId, current) => (
+    getEntry(listId).items.length - (current.from.listId === listId ? 1 : 0)
+  );
+
+  const describe = (messageKey, current, to = current.to) => t(messageKey, {
+    item: current.label,
+    list: getEntry(to.listId).label || '',
+    position: to.index + 1,
+    total: countWithout(to.listId, current) + 1
+  });
+
+  const start = (listId, index, mode) => {
+    const entry = getEntry(listId);
+    const item = entry.items[index];
+    const key = entry.getKey(item, index);
+    const next = {
+      key,
+      item,
+      label: entry.getLabel(item, index),
+      mode,
+      from: { listId, index },
+      to: { listId, index }
+    };
+    focusKey.current = mode === 'keyboard' ? key : null;
+    setDrag(next);
+    setAnnouncement(describe('dnd.pickedUp', next));
+  };
+
+  // A list's `accepts(item, fromListId)` may veto items from other lists: false, or a reason to announce
+  const getBlockedReason = (listId, current) => {
+    const { accepts } = getEntry(listId);
+    if (listId === current.from.listId || !accepts) return null;
+    const result = accepts(current.item, current.from.listId);
+    if (result === false) return t('dnd.notAllowed');
+    return typeof result === 'string' ? result : null;
+  };
+
+  const moveTo = (listId, index) => {
+    const current = dragRef.current;
+    const blocked = getBlockedReason(listId, current);
+    const to = { listId, index: Math.min(Math.max(0, index), countWithout(listId, current)), blocked };
+    if (to.listId === current.to.listId && to.index === current.to.index && to.blocked === current.to.blocked) return;
+    const next = { ...current, to };
+    dragRef.current = next;
+    setDrag(next);
+    if (current.mode === 'keyboard') {
+      setAnnouncement(blocked
+        ? t('dnd.blocked', { item: current.label, list: getEntry(listId).label || '', reason: blocked })
+        : describe(listId === current.to.listId ? 'dnd.moved' : 'dnd.movedToList', next));
+    }
+  };
+
+  const drop = () => {
+    const current = dragRef.current;
+    if (!current) return;
+    const { from, to } = current;
+    if (to.blocked) {
+      setDrag(null);
+      setAnnouncement(describe('dnd.cancelled', current, from));
+      return;
+    }
+    const crossList = from.listId !== to.listId;
+    setDrag(null);
+    setAnnouncement(describe(crossList ? 'dnd.droppedInList' : 'dnd.dropped', current));
+    if (!crossList && from.index === to.index) return;
+    if (onMoveRef.current) {
+      onMoveRef.current({
+        key: current.key,
+        item: current.item,
+        from: { listId: from.listId, index: from.index + getEntry(from.listId).indexBase },
+        to: { listId: to.listId, index: to.index + getEntry(to.listId).indexBase }
+      });
+    }
+  };
+
+  const cancel = () => {
+    const current = dragRef.current;
+    if (!current) return;
+    setDrag(null);
+    setAnnouncement(describe('dnd.cancelled', current, current.from));
+  };
+
+  // Target under the pointer: the list it is over, before the first item whose middle is below it
+  const updatePointerTarget = () => {
+    const current = dragRef.current;
+    const { x, y } = pointer.current;
+    const listId = getOrderedListIds().find((id) => {
+      const rect = getEntry(id).containerRef.current.getBoundingClientRect();
+      return x >= rect.left && x <= rect.right && y >= rect.top && y <= rect.bottom;
+    });
+    if (listId === undefined) return;
+    const previewHoldsDrag = current.to.listId === listId && !current.to.blocked;
+    const nodes = [...getEntry(listId).containerRef.current.querySelectorAll('[data-sortable-index]')]
+      .filter((node) => node.getAttribute('data-sortable-key') !== String(current.key));
+    // Preview indexes skip past the dragged item when it is shown in this list
+    const indexWithout = (node) => {
+      const previewIndex = Number(node.getAttribute('data-sortable-index'));
+      return previewHoldsDrag && previewIndex > current.to.index ? previewIndex - 1 : previewIndex;
+    };
+    const below = nodes.find((node) => {
+      const rect = node.getBoundingClientRect();
+      return y < rect.top + rect.height / 2;
+    });
+    const index = below ? indexWithout(below) : nodes.length ? indexWithout(nodes[nodes.length - 1]) + 1 : 0;
+    moveTo(listId, index);
+  };
+
+  const startPointerDrag = (listId, index, e) => {
+    if (e.button !== 0 || dragRef.current) return;
+    e.preventDefault();
+    const node = e.currentTarget.closest('[data-sortable-index]');
+    const rect = node.getBoundingClientRect();
+    pointer.current = {
+      x: e.clientX,
+      y: e.clientY,
+      offsetX: e.clientX - rect.left,
+      offsetY: e.clientY - rect.top,
+      ghost: createDragGhost(node, rect, theme, direction)
+    };
+    start(listId, index, 'pointer');
+  };
+
+  const handleKeyDown = (listId, index, e) => {
+    const current = dragRef.current;
+    if (!current) {
+      if (e.key === ' ' || e.key === 'Enter') {
+        e.preventDefault();
+        start(listId, index, 'keyboard');
+      }
+      return;
+    }
+    if (current.mode !== 'keyboard') return;
+    switch (e.key) {
+      case 'ArrowUp':
+        moveTo(current.to.listId, current.to.index - 1);
+        break;
+      case 'ArrowDown':
+        moveTo(current.to.listId, current.to.index + 1);
+        break;
+      case 'ArrowLeft':
+      case 'ArrowRight': {
+        const listIds = getOrderedListIds();
+        const step = (e.key === 'ArrowRight') !== isRTL ? 1 : -1;
+        const nextListId = listIds[listIds.indexOf(current.to.listId) + step];
+        if (nextListId !== undefined) moveTo(nextListId, current.to.index);
+        break;
+      }
+      case ' ':
+      case 'Enter':
+        drop();
+        break;
+      case 'Escape':
+        cancel();
+        break;
+      case 'Tab':
+        cancel();
+        return;
+      default:
+        return;
+    }
+    e.preventDefault();
+  };
+
+  // Pointer drags track the pointer on the window and auto-scroll near the edges; the window
+  // listeners live for the whole drag, so they call this render's handlers through a ref
+  const pointerHandlers = useRef(null);
+  pointerHandlers.current = { getEntry, updatePointerTarget, drop, cancel };
+  const pointerDragging = drag !== null && drag.mode === 'pointer';
+  useEffect(() => {
+    if (!pointerDragging) return undefined;
+    let frame;
+    const handleMove = (e) => {
+      const state = pointer.current;
+      state.x = e.clientX;
+      state.y = e.clientY;
+      state.ghost.style.left = `${e.clientX - state.offsetX}px`;
+      state.ghost.style.top = `${e.clientY - state.offsetY}px`;
+      pointerHandlers.current.updatePointerTarget();
+    };
+    const handleUp = () => pointerHandlers.current.drop();
+    const handleCancel = () => pointerHandlers.current.cancel();
+    const handleKey = (e) => {
+      if (e.key === 'Escape') handleCancel();
+    };
+    const autoScroll = () => {
+      const current = dragRef.current;
+      const container = current && pointerHandlers.current.getEntry(current.to.listId)?.containerRef.current;
+      if (container) {
+        const scroller = getScrollParent(container);
+        const { top, bottom } = scroller ? scroller.getBoundingClientRect() : { top: 0, bottom: window.innerHeight };
+        const { y } = pointer.current;
+        let delta = 0;
+        if (y < top + AUTO_SCROLL_EDGE) delta = -AUTO_SCROLL_SPEED * (1 - Math.max(0, y - top) / AUTO_SCROLL_EDGE);
+        else if (y > bottom - AUTO_SCROLL_EDGE) delta = AUTO_SCROLL_SPEED * (1 - Math.max(0, bottom - y) / AUTO_SCROLL_EDGE);
+        if (delta) {
+          if (scroller) scroller.scrollTop += delta;
+          else window.scrollBy(0, delta);
+          pointerHandlers.current.updatePointerTarget();
+        }
+      }
+      frame = window.requestAnimationFrame(autoScroll);
+    };
+    window.addEventListener('pointermove', handleMove);
+    window.addEventListener('pointerup', handleUp);
+    window.addEventListener('pointercancel', handleCancel);
+    window.addEventListener('keydown', handleKey);
+    frame = window.requestAnimationFrame(autoScroll);
+    return () => {
+      window.removeEventListener('pointermove', handleMove);
+      window.removeEventListener('pointerup', handleUp);
+      window.removeEventListener('pointercancel', handleCancel);
+      window.removeEventListener('keydown', handleKey);
+      window.cancelAnimationFrame(frame);
+      pointer.current.ghost.remove();
+    };
+  }, [pointerDragging]);
+
+  // Keyboard moves re-render the item in a new spot (or list); keep focus on its handle
+  useLayoutEffect(() => {
+    const key = focusKey.current;
+    if (key === null) return;
+    if (!drag) focusKey.current = null;
+    for (const entryRef of lists.current.values()) {
+      const container = entryRef.current.containerRef.current;
+      const handle = container && [...container.querySelectorAll('[data-drag-handle]')]
+        .find((node) => node.getAttribute('data-drag-handle') === String(key));
+      if (handle) {
+        if (document.activeElement !== handle) handle.focus();
+        return;
+      }
+    }
+  }, [drag]);
+
+  // Items in display order: the dragged item removed from its source and placed at its target
+  // (or back at its origin while the target refuses it)
+  const getPreviewItems = (listId, items) => {
+    if (!drag) return items;
+    const to = drag.to.blocked ? drag.from : drag.to;
+    let preview = drag.from.listId === listId ? items.filter((_, index) => index !== drag.from.index) : items;
+    if (to.listId === listId) {
+      preview = [...preview];
+      preview.splice(to.index, 0, drag.item);
+    }
+    return preview;
+  };
+
+  const announcer = (
+    <>
+      <div id={instructionsId} style={visuallyHidden}>{t('dnd.instructions')}</div>
+      <div role="status" aria-live="assertive" style={visuallyHidden}>{announcement}</div>
+    </>
+  );
+
+  return { drag, register, getPreviewItems, startPointerDrag, handleKeyDown, instructionsId, announcer };
+};
+
+// Connects one list to the surrounding DragDropProvider, or to an engine of its own whose
+// drops go to `onMove`. Disabled lists neither start drags nor accept drops.
+const useSortableList = ({ listId, label, items, getKey, getLabel, indexBase = 0, disabled = false, accepts, onMove }) => {
+  const localEngine = useDragDropEngine(onMove);
+  const sharedEngine = useContext(DragDropContext);
+  const engine = sharedEngine || localEngine;
+  const containerRef = useRef(null);
+  const entryRef = useRef(null);
+  entryRef.current = { label, items, getKey, getLabel, indexBase, disabled, accepts, containerRef };
+
+  const { register } = engine;
+  useEffect(() => register(listId, entryRef), [register, listId]);
+
+  const { drag } = engine;
+  return {
+    containerRef,
+    previewItems: engine.getPreviewItems(listId, items),
+    isDragging: (key) => drag !== null && drag.key === key,
+    // Reason this list refuses the item currently dragged over it
+    blockedReason: drag !== null && drag.to.listId === listId ? drag.to.blocked : null,
+    isDropTarget: drag !== null && drag.to.listId === listId && !drag.to.blocked,
+    itemProps: (key, index) => ({ 'data-sortable-key': String(key), 'data-sortable-index': index }),
+    handleProps: (key, index) => ({
+      dragKey: key,
+      active: drag !== null && drag.key === key,
+      describedBy: engine.instructionsId,
+      onPointerDown: (e) => engine.startPointerDrag(listId, index, e),
+      onKeyDown: (e) => engine.handleKeyDown(listId, index, e)
+    }),
+    announcer: sharedEngine ? null : localEngine.announcer
+  };
+};
+
+// Grip button that starts pointer and keyboard drags
+const DragHandle = ({ dragKey, label, active, disabled, describedBy, onPointerDown, onKeyDown }) => {
+  const theme = useTheme();
+  const { t } = useLocale();
+  return (
+    <button
+      type="button"
+      data-drag-handle={String(dragKey)}
+      aria-label={t('dnd.handle', { item: label })}
+      aria-describedby={describedBy}
+      aria-pressed={active}
+      disabled={disabled}
+      onPointerDown={onPointerDown}
+      onKeyDown={onKeyDown}
+      style={{
+        padding: `${theme.spacing.xsmall} 2px`,
+        border: 'none',
+        borderRadius: theme.borderRadius.small,
+        background: active ? theme.tones.info.background : 'transparent',
+        color: disabled ? theme.colors.textSubtle : theme.colors.textMuted,
+        cursor: disabled ? 'not-allowed' : active ? 'grabbing' : 'grab',
+        touchAction: 'none',
+        lineHeight: 1,
+        letterSpacing: '-2px'
+      }}
+    >
+      ⋮⋮
+    </button>
+  );
+};
+
+/**
+ * Drag and Drop Provider
+ * Lets the sortable lists below it (UnifiedTable with `reorderable`, StopList) exchange items.
+ * Every drop is reported once, through `onMove`; the lists' own `onReorder` is not called.
+ * Arrow Left/Right move a keyboard-held item to the neighbouring list.
+ * @param {function} onMove - Called with { key, item, from: { listId, index }, to: { listId, index } }
+ * @param {ReactNode} children - Content holding the lists
+ */
+export const DragDropProvider = ({ onMove, children }) => {
+  const engine = useDragDropEngine(onMove);
+  return (
+    <DragDropContext.Provider value={engine}>
+      {children}
+      {engine.announcer}
+    </DragDropContext.Provider>
+  );
+};
+
+DragDropProvider.propTypes = {
+  onMove: PropTypes.func,
+  children: PropTypes.node
+};
+
+/*
+ * Table export, all client-side: CSV (UTF-8 with a BOM so Excel reads Arabic correctly),
+ * a minimal single-sheet XLSX and a print layout for "Save as PDF". Columns opt out with
+ * `export: false` and can supply `exportValue(row)` / `exportHeader` when the cell is custom markup.
+ */
+const getExportColumns = (columns, visibleOnly) => columns.filter(
+  (column) => column.export !== false && !(visibleOnly && column.hidden)
+);
+
+// Plain-text column name for menus and exports
+const getColumnName = (column) => (
+  typeof column.header === 'string' || typeof column.header === 'number' ? String(column.header) : column.key
+);
+
+const getExportHeader = (column) => column.exportHeader ?? getColumnName(column);
+
+const getExportValue = (row, column) => (column.exportValue ? column.exportValue(row) : getCellValue(row, column));
+
+const hasTimeOfDay = (date) => date.getHours() !== 0 || date.getMinutes() !== 0 || date.getSeconds() !== 0;
+
+const toExportText = (value) => {
+  if (isBlank(value)) return '';
+  if (value instanceof Date) {
+    const day = toDateKey(value);
+    return hasTimeOfDay(value)
+      ? `${day} ${String(value.getHours()).padStart(2, '0')}:${String(value.getMinutes()).padStart(2, '0')}`
+      : day;
+  }
+  if (Array.isArray(value)) return value.join(', ');
+  return String(value);
+};
+
+// Spreadsheets run text starting with = + - @ as a formula; keep signed numbers and phone numbers as they are
+const FORMULA_START = /^[=+\-@\t\r]/;
+const SIGNED_NUMBER = /^[+-][\d\s().-]*$/;
+
+const escapeCSV = (text) => {
+  const safe = FORMULA_START.test(text) && !SIGNED_NUMBER.test(text) ? `'${text}` : text;
+  return /[",\r\n]/.test(safe) ? `"${safe.replace(/"/g, '""')}"` : safe;
+};
+
+/**
+ * Build CSV text for rows (no BOM; exportTable adds it to the download)
+ * @param {array} columns - Table column definitions
+ * @param {array} rows - Rows in export order
+ * @returns {string} CSV with CRLF line endings
+ */
+export const tableToCSV = (columns, rows) => [
+  columns.map((column) => escapeCSV(getExportHeader(column))).join(','),
+  ...rows.map((row) => columns.map((column) => {
+    const value = getExportValue(row, column);
+    return typeof value === 'number' ? String(value) : escapeCSV(toExportText(value));
+  }).join(','))
+].join('\r\n');
+
+const escapeXML = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  // Control characters other than tab/newline are not allowed in XML
+  .replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f]/g, '');
+
+// A1-style column letters: 0 → A, 26 → AA
+const toColumnName = (index) => {
+  let name = '';
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+  }
+  return name;
+};
+
+// Excel date serial (days since 1899-12-30) for a local Date
+const toExcelDate = (date) => (
+  Date.UTC(date.getFullYear(), date.getMonth(), date.getDate(), date.getHours(), date.getMinutes(), date.getSeconds())
+  - Date.UTC(1899, 11, 30)
+) / 86400000;
+
+// Style ids in XLSX_STYLES: 1 bold header, 2 date, 3 date and time
+const XLSX_STYLES = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+  + '<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">'
+  + '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>'
+  + '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>'
+  + '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>'
+  + '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>'
+  + '<cellXfs count="4"><xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>'
+  + '<xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/>'
+  + '<xf numFmtId="14" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>'
+  + '<xf numFmtId="22" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/></cellXfs>'
+  + '</styleSheet>';
+
+const toXLSXCell = (value, ref, style) => {
+  if (typeof value === 'number' && Number.isFinite(value)) return `<c r="${ref}"><v>${value}</v></c>`;
+  if (typeof value === 'boolean') return `<c r="${ref}" t="b"><v>${value ? 1 : 0}</v></c>`;
+  if (value instanceof Date && !Number.isNaN(value.getTime())) {
+    return `<c r="${ref}" s="${hasTimeOfDay(value) ? 3 : 2}"><v>${toExcelDate(value)}</v></c>`;
+  }
+  const text = toExportText(value);
+  if (!text) return '';
+  return `<c r="${ref}" t="inlineStr"${style ? ` s="${style}"` : ''}><is><t xml:space="preserve">${escapeXML(text)}</t></is></c>`;
+};
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+const crc32 = (bytes) => {
+  let crc = 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) crc = CRC_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+};
+
+// Uncompressed ("stored") ZIP archive of { path: text } entries
+const createZip = (files) => {
+  const encoder = new TextEncoder();
+  const chunks = [];
+  const central = [];
+  let offset = 0;
+  Object.entries(files).forEach(([path, text]) => {
+    const name = encoder.encode(path);
+    const data = encoder.encode(text);
+    const crc = crc32(data);
+    const local = new DataView(new ArrayBuffer(30));
+    [[0, 0x04034b50, 4], [4, 20, 2], [6, 0x0800, 2], [14, crc, 4], [18, data.length, 4], [22, data.length, 4], [26, name.length, 2]]
+      .forEach(([at, value, size]) => (size === 4 ? local.setUint32(at, value, true) : local.setUint16(at, value, true)));
+    const entry = new DataView(new ArrayBuffer(46));
+    [[0, 0x02014b50, 4], [4, 20, 2], [6, 20, 2], [8, 0x0800, 2], [16, crc, 4], [20, data.length, 4], [24, data.length, 4], [28, name.length, 2], [42, offset, 4]]
+      .forEach(([at, value, size]) => (size === 4 ? entry.setUint32(at, value, true) : entry.setUint16(at, value, true)));
+    chunks.push(new Uint8Array(local.buffer), name, data);
+    central.push(new Uint8Array(entry.buffer), name);
+    offset += 30 + name.length + data.length;
+  });
+  const centralSize = central.reduce((sum, chunk) => sum + chunk.length, 0);
+  const end = new DataView(new ArrayBuffer(22));
+  const count = Object.keys(files).length;
+  [[0, 0x06054b50, 4], [8, count, 2], [10, count, 2], [12, centralSize, 4], [16, offset, 4]]
+    .forEach(([at, value, size]) => (size === 4 ? end.setUint32(at, value, true) : end.setUint16(at, value, true)));
+  const parts = [...chunks, ...central, new Uint8Array(end.buffer)];
+  const zip = new Uint8Array(parts.reduce((sum, chunk) => sum + chunk.length, 0));
+  parts.reduce((at, chunk) => {
+    zip.set(chunk, at);
+    return at + chunk.length;
+  }, 0);
+  return zip;
+};
+
+/**
+ * Build a single-sheet XLSX workbook: bold header row, numbers and dates as real cells
+ * @param {array} columns - Table column definitions
+ * @param {array} rows - Rows in export order
+ * @param {object} options - { sheetName, rtl } (rtl shows the sheet right-to-left)
+ * @returns {Uint8Array} The .xlsx file contents
+ */
+export const tableToXLSX = (columns, rows, { sheetName = 'Sheet1', rtl = false } = {}) => {
+  const header = columns.map((column, index) => toXLSXCell(getExportHeader(column), `${toColumnName(index)}1`, 1)).join('');
+  const body = rows.map((row, rowIndex) => `<row r="${rowIndex + 2}">${columns.map((column, index) => (
+    toXLSXCell(getExportValue(row, column), `${toColumnName(index)}${rowIndex + 2}`)
+  )).join('')}</row>`).join('');
+  // Sheet names are limited to 31 characters and may not contain : \ / ? * [ ]
+  const name = escapeXML(String(sheetName).replace(/[:\\/?*[\]]/g, ' ').slice(0, 31) || 'Sheet1');
+  return createZip({
+    '[Content_Types].xml': '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+      + '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">'
+      + '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>'
+      + '<Default Extension="xml" ContentType="application/xml"/>'
+      + '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>'
+      + '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>'
+      + '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>'
+      + '</Types>',
+    '_rels/.rels': '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+      + '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">'
+      + '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>'
+      + '</Relationships>',
+    'xl/workbook.xml': '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+      + '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">'
+      + `<sheets><sheet name="${name}" sheetId="1" r:id="rId1"/></sheets></workbook>`,
+    'xl/_rels/workbook.xml.rels': '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+      + '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">'
+      + '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>'
+      + '<Relationship Id="rId2" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>'
+      + '</Relationships>',
+    'xl/styles.xml': XLSX_STYLES,
+    'xl/worksheets/sheet1.xml': '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+      + '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">'
+      + `<sheetViews><sheetView workbookViewId="0"${rtl ? ' rightToLeft="1"' : ''}><pane ySplit="1" topLeftCell="A2" state="frozen"/></sheetView></sheetViews>`
+      + `<sheetData><row r="1">${header}</row>${body}</sheetData></worksheet>`
+  });
+};
+
+const downloadFile = (contents, type, filename) => {
+  const url = URL.createObjectURL(new Blob(contents, { type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.style.display = 'none';
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  // Some browsers start the download asynchronously
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+};
+
+// Prints through a hidden iframe so only the table is on the page; the header row repeats on every sheet.
+// The frame goes after printing, or at the next print where afterprint never fires.
+let printFrame = null;
+
+const printTable = (columns, rows, { title, direction, lang, formatCell }) => {
+  if (printFrame) printFrame.remove();
+  const frame = document.createElement('iframe');
+  printFrame = frame;
+  frame.setAttribute('aria-hidden', 'true');
+  frame.style.cssText = 'position:fixed;width:0;height:0;border:0;inset-inline-end:0;bottom:0';
+  document.body.appendChild(frame);
+  const head = columns.map((column) => `<th>${escapeXML(getExportHeader(column))}</th>`).join('');
+  const body = rows.map((row) => `<tr>${columns.map((column) => (
+    `<td${column.align ? ` style="text-align:${column.align}"` : ''}>${escapeXML(formatCell(row, column))}</td>`
+  )).join('')}</tr>`).join('');
+  const doc = frame.contentWindow.document;
+  doc.open();
+  doc.write(`<!DOCTYPE html><html dir="${direction}" lang="${escapeXML(lang)}"><head><meta charset="utf-8">`
+    + `<title>${escapeXML(title || '')}</title><style>`
+    + '@page{margin:12mm}body{font-family:system-ui,-apple-system,"Segoe UI",Tahoma,sans-serif;font-size:10pt;color:#000;margin:0}'
+    + 'h1{font-size:14pt;margin:0 0 8pt}table{width:100%;border-collapse:collapse}thead{display:table-header-group}'
+    + 'th,td{border:1px solid #999;padding:3pt 5pt;text-align:start;vertical-align:top}th{background:#eee}tr{break-inside:avoid}'
+    + `</style></head><body>${title ? `<h1>${escapeXML(title)}</h1>` : ''}`
+    + `<table><thead><tr>${head}</tr></thead><tbody>${body}</tbody></table></body></html>`);
+  doc.close();
+  frame.contentWindow.addEventListener('afterprint', () => setTimeout(() => {
+    frame.remove();
+    if (printFrame === frame) printFrame = null;
+  }, 0));
+  frame.contentWindow.focus();
+  frame.contentWindow.print();
+};
+
+/**
+ * Export table rows as a CSV or XLSX download, or open the print dialog
+ * @param {string} format - csv, xlsx or print
+ * @param {object} options - { columns, rows, filename (no extension), title, direction, lang,
+ *   formatCell: (row, column) => text used by print }
+ */
+export const exportTable = (format, {
+  columns,
+  rows,
+  filename = 'export',
+  title,
+  direction = 'ltr',
+  lang = 'en',
+  formatCell = (row, column) => toExportText(getExportValue(row, column))
+}) => {
+  if (format === 'csv') {
+    downloadFile(['\ufeff', tableToCSV(columns, rows)], 'text/csv;charset=utf-8', `${filename}.csv`);
+  } else if (format === 'xlsx') {
+    downloadFile(
+      [tableToXLSX(columns, rows, { sheetName: title || filename, rtl: direction === 'rtl' })],
+      'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+      `${filename}.xlsx`
+    );
+  } else if (format === 'print') {
+    printTable(columns, rows, { title, direction, lang, formatCell });
+  }
+};
+
+// Export button and options popover rendered above a DataTable with `exportable`
+const TableExportMenu = ({ hasSelection, hasHiddenColumns, formats, onExport }) => {
+  const theme = useTheme();
+  const { t } = useLocale();
+  const popover = usePopover();
+  const [selectedOnly, setSelectedOnly] = useState(false);
+  const [visibleOnly, setVisibleOnly] = useState(true);
+
+  const run = (format) => {
+    popover.setIsOpen(false);
+    onExport(format, { selectedOnly: hasSelection && selectedOnly, visibleOnly });
+  };
+
+  const optionStyle = {
+    display: 'flex',
+    alignItems: 'center',
+    gap: theme.spacing.small,
+    fontSize: theme.typography.fontSize.medium,
+    marginBottom: theme.spacing.small
+  };
+
+  return (
+    <div ref={popover.containerRef} onKeyDown={popover.onKeyDown} style={{ position: 'relative' }}>
+      <button
+        type="button"
+        aria-haspopup="dialog"
+        aria-expanded={popover.isOpen}
+        onClick={() => popover.setIsOpen(!popover.isOpen)}
+        style={{
+          display: 'inline-flex',
+          alignItems: 'center',
+          gap: theme.spacing.small,
+          padding: '6px 12px',
+          border: `1px solid ${theme.colors.inputBorder}`,
+          borderRadius: theme.borderRadius.medium,
+          background: theme.colors.surface,
+          color: theme.colors.text,
+          fontSize: theme.typography.fontSize.medium,
+          cursor: 'pointer'
+        }}
+      >
+        {t('export.label')}
+        <ChevronDownIcon size={14} />
+      </button>
+      {popover.isOpen && (
+        <div
+          role="dialog"
+          aria-label={t('export.label')}
+          style={{ ...getPopoverStyle(theme), insetInlineStart: 'auto', insetInlineEnd: 0, minWidth: '220px' }}
+        >
+          <label style={{ ...optionStyle, color: hasSelection ? theme.colors.text : theme.colors.textSubtle }}>
+            <input
+              type="checkbox"
+              checked={hasSelection && selectedOnly}
+              disabled={!hasSelection}
+              onChange={(e) => setSelectedOnly(e.target.checked)}
+            />
+            {t('export.selectedOnly')}
+          </label>
+          {hasHiddenColumns && (
+            <label style={optionStyle}>
+              <input type="checkbox" checked={visibleOnly} onChange={(e) => setVisibleOnly(e.target.checked)} />
+              {t('export.visibleOnly')}
+            </label>
+          )}
+          <div style={{ display: 'flex', flexDirection: 'column', alignItems: 'flex-start', borderTop: `1px solid ${theme.colors.border}`, paddingTop: theme.spacing.small }}>
+            {formats.map((format) => (
+              <button key={format} type="button" onClick={() => run(format)} style={{ ...getTextButtonStyle(theme), paddingInline: 0 }}>
+                {t(`export.${format}`)}
+              </button>
+            ))}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+/*
+ * Column layout for DataTable: order, widths, hidden and pinned columns, saved per `tableId`
+ * in localStorage. Pinned columns stick to the start or end edge while the table scrolls sideways.
+ * A layout is { order: [keys], widths: { key: px }, hidden: { key: bool }, pinned: { key: 'start' | 'end' | null } };
+ * keys it does not mention fall back to the column definition.
+ */
+const COLUMN_MIN_WIDTH = 60;
+const COLUMN_RESIZE_STEP = 10;
+
+const getColumnLayoutKey = (tableId) => `unified-table:${tableId}:layout`;
+
+const readColumnLayout = (tableId) => {
+  if (!tableId || typeof window === 'undefined') return null;
+  try {
+    const parsed = JSON.parse(window.localStorage.getItem(getColumnLayoutKey(tableId)) || 'null');
+    if (!isPlainObject(parsed)) return null;
+    // Storage can hold anything; parts without the expected shape are dropped
+    const layout = {};
+    if (Array.isArray(parsed.order)) layout.order = parsed.order;
+    ['widths', 'hidden', 'pinned'].forEach((part) => {
+      if (isPlainObject(parsed[part])) layout[part] = parsed[part];
+    });
+    return layout;
+  } catch {
+    return null;
+  }
+};
+
+// 'left' / 'right' are physical sides; the layout itself works in logical start / end
+const toPinSide = (pinned, isRTL) => {
+  if (pinned === 'left') return isRTL ? 'end' : 'start';
+  if (pinned === 'right') return isRTL ? 'start' : 'end';
+  return pinned === 'start' || pinned === 'end' ? pinned : null;
+};
+
+const PIN_RANK = { start: 0, end: 2 };
+
+// Columns in layout order with widths, visibility and `pinSide` applied; start-pinned columns come
+// first and end-pinned last. Columns a saved order does not know yet follow their neighbour in `columns`.
+const applyColumnLayout = (columns, layout, isRTL) => {
+  const keys = columns.map((column) => column.key);
+  const order = (layout.order || []).filter((key) => keys.includes(key));
+  keys.forEach((key, index) => {
+    if (!order.includes(key)) order.splice(index > 0 ? order.indexOf(keys[index - 1]) + 1 : 0, 0, key);
+  });
+  const byKey = new Map(columns.map((column) => [column.key, column]));
+  return order
+    .map((key, index) => {
+      const column = byKey.get(key);
+      const pinned = layout.pinned && key in layout.pinned ? layout.pinned[key] : column.pinned;
+      return {
+        index,
+        column: {
+          ...column,
+          width: layout.widths?.[key] ?? column.width,
+          hidden: layout.hidden?.[key] ?? Boolean(column.hidden),
+          pinSide: toPinSide(pinned, isRTL)
+        }
+      };
+    })
+    .sort((a, b) => (PIN_RANK[a.column.pinSide] ?? 1) - (PIN_RANK[b.column.pinSide] ?? 1) || a.index - b.index)
+    .map(({ column }) => column);
+};
+
+// Layout state (controlled or uncontrolled) with the edits the header and column chooser make
+const useColumnLayout = ({ columns, tableId, layout: layoutProp, defaultLayout, onLayoutChange }) => {
+  const { isRTL } = useLocale();
+  const [initialLayout] = useState(() => readColumnLayout(tableId) || defaultLayout || {});
+  const [layout, setLayoutState] = useControllableState(layoutProp, initialLayout, onLayoutChange);
+  const resolved = useMemo(() => applyColumnLayout(columns, layout, isRTL), [columns, layout, isRTL]);
+
+  const setLayout = (next) => {
+    setLayoutState(next);
+    if (!tableId) return;
+    try {
+      window.localStorage.setItem(getColumnLayoutKey(tableId), JSON.stringify(next));
+    } catch {
+      // Without storage the layout lasts until reload
+    }
+  };
+  const update = (patch) => setLayout({ ...layout, ...patch });
+
+  return {
+    columns: resolved,
+    // `null` goes back to the column's own width
+    setWidth: (key, width) => {
+      const widths = layout.widths || {};
+      update({ widths: width === null ? omitKey(widths, key) : { ...widths, [key]: width } });
+    },
+    setHidden: (key, hidden) => update({ hidden: { ...layout.hidden, [key]: hidden } }),
+    setPinned: (key, side) => update({ pinned: { ...layout.pinned, [key]: side } }),
+    // Places `key` just before (or after) `targetKey`
+    moveColumn: (key, targetKey, after = false) => {
+      const order = resolved.map((column) => column.key).filter((item) => item !== key);
+      order.splice(order.indexOf(targetKey) + (after ? 1 : 0), 0, key);
+      update({ order });
+    },
+    reset: () => setLayout({})
+  };
+};
+
+// "Columns" button and popover: show/hide, pin and move columns, or reset the layout
+const ColumnChooser = ({ columns, onToggle, onPin, onMove, onReset }) => {
+  const theme = useTheme();
+  const { t } = useLocale();
+  const popover = usePopover();
+  const visibleCount = columns.filter((column) => !column.hidden).length;
+
+  const iconButtonStyle = {
+    ...getTextButtonStyle(theme),
+    display: 'flex',
+    padding: theme.spacing.xsmall,
+    color: theme.colors.textMuted
+  };
+
+  return (
+    <div ref={popover.containerRef} onKeyDown={popover.onKeyDown} style={{ position: 'relative' }}>
+      <button
+        type="button"
+        aria-haspopup="dialog"
+        aria-expanded={popover.isOpen}
+        onClick={() => popover.setIsOpen(!popover.isOpen)}
+        style={{
+          display: 'inline-flex',
+          alignItems: 'center',
+          gap: theme.spacing.small,
+          padding: '6px 12px',
+          border: `1px solid ${theme.colors.inputBorder}`,
+          borderRadius: theme.borderRadius.medium,
+          background: theme.colors.surface,
+          color: theme.colors.text,
+          fontSize: theme.typography.fontSize.medium,
+          cursor: 'pointer'
+        }}
+      >
+        {t('columns.label')}
+        <ChevronDownIcon size={14} />
+      </button>
+      {popover.isOpen && (
+        <div
+          role="dialog"
+          aria-label={t('columns.label')}
+          style={{ ...getPopoverStyle(theme), insetInlineStart: 'auto', insetInlineEnd: 0, minWidth: '300px' }}
+        >
+          <ul style={{ listStyle: 'none', margin: 0, padding: 0 }}>
+            {columns.map((column, index) => {
+              const name = getColumnName(column);
+              const locked = column.hideable === false || (!column.hidden && visibleCount === 1);
+              return (
+                <li key={column.key} style={{ display: 'flex', alignItems: 'center', gap: theme.spacing.small, paddingBlock: '2px' }}>
+                  <label style={{ display: 'flex', alignItems: 'center', gap: theme.spacing.small, flex: 1, minWidth: 0, fontSize: theme.typography.fontSize.medium }}>
+                    <input type="checkbox" checked={!column.hidden} disabled={locked} onChange={(e) => onToggle(column.key, !e.target.checked)} />
+                    <span style={{ overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>{name}</span>
+                  </label>
+                  <select
+                    value={column.pinSide || ''}
+                    onChange={(e) => onPin(column.key, e.target.value || null)}
+                    aria-label={t('columns.pin', { name })}
+                    style={{ ...getControlStyle(theme), width: 'auto', padding: '2px 4px', fontSize: theme.typography.fontSize.small }}
+                  >
+                    <option value="">{t('columns.unpinned')}</option>
+                    <option value="start">{t('columns.pinStart')}</option>
+                    <option value="end">{t('columns.pinEnd')}</option>
+                  </select>
+                  <button
+                    type="button"
+                    disabled={index === 0}
+                    onClick={() => onMove(column.key, columns[index - 1].key, false)}
+                    aria-label={t('columns.moveEarlier', { name })}
+                    style={iconButtonStyle}
+                  >
+                    <ChevronUpIcon size={14} />
+                  </button>
+                  <button
+                    type="button"
+                    disabled={index === columns.length - 1}
+                    onClick={() => onMove(column.key, columns[index + 1].key, true)}
+                    aria-label={t('columns.moveLater', { name })}
+                    style={iconButtonStyle}
+                  >
+                    <ChevronDownIcon size={14} />
+                  </button>
+                </li>
+              );
+            })}
+          </ul>
+          <button
+            type="button"
+            onClick={onReset}
+            style={{ ...getTextButtonStyle(theme), marginTop: theme.spacing.small, paddingInline: 0 }}
+          >
+            {t('columns.reset')}
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+const getCellId = (rowKeyValue, columnKey) => JSON.stringify([rowKeyValue, columnKey]);
+
+// Column `editor`: a FormField type ('text', 'number', 'select', 'date') or { type, options, format, unit, placeholder }
+const getCellEditor = (column) => (
+  typeof column.editor === 'string' ? { type: column.editor } : { type: 'text', ...column.editor }
+);
+
+const toEditorDraft = (value, type) => {
+  if (isBlank(value)) return '';
+  if (type === 'date') return toDateKey(value) ?? '';
+  return String(value);
+};
+
+// Editor text back to a cell value: numbers as numbers (NaN when unparseable), blanks as null,
+// select options keep the type of their `value`
+const fromEditorDraft = (draft, editor) => {
+  if (draft === '') return null;
+  if (editor.type === 'number') return Number(draft);
+  if (editor.type === 'select') {
+    const option = editor.options?.find((item) => String(getOptionValue(item)) === draft);
+    return option ? getOptionValue(option) : draft;
+  }
+  return draft;
+};
+
+// Column-driven table body used by UnifiedTable when `columns` is passed
+const DataTable = ({
+  columns,
+  rows = [],
+  rowKey = 'id',
+  striped = true,
+  hover = true,
+  sortBy: sortByProp,
+  defaultSortBy = [],
+  onSortChange,
+  pagination = false,
+  page: pageProp,
+  defaultPage = 1,
+  onPageChange,
+  pageSize: pageSizeProp,
+  defaultPageSize = 10,
+  pageSizeOptions = [10, 25, 50, 100],
+  onPageSizeChange,
+  serverSide = false,
+  totalRows,
+  emptyMessage,
+  virtualized = false,
+  height = 480,
+  rowHeight = 53,
+  overscan = 5,
+  selectable,
+  selectedKeys: selectedKeysProp,
+  defaultSelectedKeys = [],
+  onSelectionChange,
+  onSelectAllMatching,
+  reorderable = false,
+  onReorder,
+  listId,
+  listLabel,
+  rowLabel,
+  highlight,
+  highlightMatch,
+  onCellCommit,
+  exportable = false,
+  tableId,
+  columnLayout: columnLayoutProp,
+  defaultColumnLayout,
+  onColumnLayoutChange,
+  resizableColumns = false,
+  reorderableColumns = false,
+  columnChooser = false,
+  minWidth = '600px'
+}) => {
+  const theme = useTheme();
+  const { t, locale, direction, isRTL } = useLocale();
+  const formatters = useFormatters();
+  const [sortBy, setSortBy] = useControllableState(sortByProp, defaultSortBy, onSortChange);
+  const [page, setPage] = useControllableState(pageProp, defaultPage, onPageChange);
+  const [pageSize, setPageSize] = useControllableState(pageSizeProp, defaultPageSize, onPageSizeChange);
+  const [selectedKeys, setSelectedKeys] = useControllableState(selectedKeysProp, defaultSelectedKeys, onSelectionChange);
+  const selectionAnchor = useRef(null);
+
+  const sortedRows = useMemo(
+    () => (serverSide ? rows : sortRows(rows, sortBy, columns)),
+    [serverSide, rows, sortBy, columns]
+  );
+  const layout = useColumnLayout({
+    columns,
+    tableId,
+    layout: columnLayoutProp,
+    defaultLayout: defaultColumnLayout,
+    onLayoutChange: onColumnLayoutChange
+  });
+  const visibleColumns = useMemo(() => layout.columns.filter((column) => !column.hidden), [layout.columns]);
+  const suppressSortClick = useRef(false);
+
+  const rowCount = serverSide && totalRows !== undefined ? totalRows : sortedRows.length;
+  const pageCount = Math.max(1, Math.ceil(rowCount / pageSize));
+  const currentPage = Math.min(Math.max(1, page), pageCount);
+  const pageOffset = pagination ? (currentPage - 1) * pageSize : 0;
+  const visibleRows = pagination && !serverSide
+    ? sortedRows.slice(pageOffset, pageOffset + pageSize)
+    : sortedRows;
+
+  // A manual order only makes sense while the rows are unsorted
+  const canReorder = reorderable && sortBy.length === 0;
+  const [defaultListId] = useState(() => `table-${Math.random().toString(36).slice(2, 9)}`);
+  const handleReorder = (move) => {
+    if (!onReorder) return;
+    // Server-side rows hold only the current page
+    const offset = serverSide ? pageOffset : 0;
+    const local = {
+      from: { ...move.from, index: move.from.index - offset },
+      to: { ...move.to, index: move.to.index - offset }
+    };
+    onReorder(move, applyMove({ [move.from.listId]: rows }, local)[move.from.listId]);
+  };
+  const sortable = useSortableList({
+    listId: listId ?? defaultListId,
+    label: listLabel,
+    items: visibleRows,
+    getKey: (row, index) => getRowKey(row, pageOffset + index, rowKey),
+    getLabel: (row, index) => (rowLabel ? rowLabel(row) : String(getRowKey(row, pageOffset + index, rowKey))),
+    indexBase: pageOffset,
+    disabled: !canReorder,
+    onMove: handleReorder
+  });
+  const displayRows = canReorder ? sortable.previewItems : visibleRows;
+
+  const getVirtualKey = useCallback(
+    (index) => getRowKey(displayRows[index], pageOffset + index, rowKey),
+    [displayRows, pageOffset, rowKey]
+  );
+  const estimateHeight = useCallback(
+    (index) => (typeof rowHeight === 'function' ? rowHeight(displayRows[index], pageOffset + index) : rowHeight),
+    [rowHeight, displayRows, pageOffset]
+  );
+  const virtualWindow = useVirtualWindow({
+    enabled: virtualized,
+    count: displayRows.length,
+    getKey: getVirtualKey,
+    estimateHeight,
+    viewportHeight: height,
+    overscan
+  });
+
+  const sortByColumn = (column, additive) => {
+    if (!column.sortable) return;
+    setSortBy(toggleSort(sortBy, column.key, additive));
+    if (pagination && currentPage !== 1) setPage(1);
+  };
+
+  const handleSort = (column, e) => {
+    // The click that ends a header drag is not a sort
+    if (suppressSortClick.current) {
+      suppressSortClick.current = false;
+      return;
+    }
+    sortByColumn(column, e.shiftKey);
+  };
+
+  // Enter/Space on a focused sortable header sorts like a click; keys from the resize handle are its own
+  const handleSortKeyDown = (column, e) => {
+    if (e.target !== e.currentTarget || (e.key !== 'Enter' && e.key !== ' ')) return;
+    e.preventDefault();
+    sortByColumn(column, e.shiftKey);
+  };
+
+  const handlePageSizeChange = (size) => {
+    setPageSize(size);
+    if (currentPage !== 1) setPage(1);
+  };
+
+  const selectedSet = useMemo(() => new Set(selectedKeys), [selectedKeys]);
+  const pageKeys = useMemo(
+    () => visibleRows.map((row, index) => getRowKey(row, pageOffset + index, rowKey)),
+    [visibleRows, pageOffset, rowKey]
+  );
+  const pageSelectedCount = selectable ? pageKeys.filter((key) => selectedSet.has(key)).length : 0;
+  const allPageSelected = pageKeys.length > 0 && pageSelectedCount === pageKeys.length;
+  const canSelectAllMatching = selectable === 'multi' && allPageSelected && rowCount > pageKeys.length
+    && (!serverSide || onSelectAllMatching);
+  const columnCount = visibleColumns.length + (selectable ? 1 : 0) + (reorderable ? 1 : 0);
+
+  // Shift-click extends from the last clicked row to this one, within the current page
+  const handleRowSelect = (index, e) => {
+    const key = pageKeys[index];
+    if (selectable === 'single') {
+      setSelectedKeys(selectedSet.has(key) ? [] : [key]);
+      return;
+    }
+    const shouldSelect = !selectedSet.has(key);
+    const anchor = selectionAnchor.current;
+    const range = e.nativeEvent.shiftKey && anchor !== null && anchor < pageKeys.length
+      ? pageKeys.slice(Math.min(anchor, index), Math.max(anchor, index) + 1)
+      : [key];
+    const next = new Set(selectedSet);
+    range.forEach((rangeKey) => (shouldSelect ? next.add(rangeKey) : next.delete(rangeKey)));
+    selectionAnchor.current = index;
+    setSelectedKeys([...next]);
+  };
+
+  const handleSelectPage = () => {
+    const next = new Set(selectedSet);
+    pageKeys.forEach((key) => (allPageSelected ? next.delete(key) : next.add(key)));
+    setSelectedKeys([...next]);
+  };
+
+  // Exports follow the current sort; server-side tables can only export the rows they hold
+  const handleExport = (format, { selectedOnly, visibleOnly }) => {
+    const keyOffset = serverSide ? pageOffset : 0;
+    const options = typeof exportable === 'object' ? exportable : {};
+    exportTable(format, {
+      columns: getExportColumns(layout.columns, visibleOnly),
+      rows: selectedOnly
+        ? sortedRows.filter((row, index) => selectedSet.has(getRowKey(row, keyOffset + index, rowKey)))
+        : sortedRows,
+      filename: options.filename,
+      title: options.title,
+      direction,
+      lang: locale,
+      formatCell: (row, column) => {
+        const value = getExportValue(row, column);
+        return column.format && !isBlank(value) ? formatters.format(value, column.format) : toExportText(value);
+      }
+    });
+  };
+
+  const handleSelectAllMatching = () => {
+    if (serverSide) {
+      onSelectAllMatching();
+      return;
+    }
+    setSelectedKeys(sortedRows.map((row, index) => getRowKey(row, index, rowKey)));
+  };
+
+  const checkboxCellStyle = {
+    width: '40px',
+    padding: `0 ${theme.spacing.medium}`,
+    borderBottom: `1px solid ${theme.colors.border}`
+  };
+
+  const handleCellStyle = { ...checkboxCellStyle, width: '24px', padding: `0 ${theme.spacing.xsmall}` };
+
+  // Inline editing: `editing` is the open editor; `cellEdits` holds optimistic values
+  // ({ value, pending }) and failed saves ({ error }) by cell id
+  const [editing, setEditing] = useState(null);
+  const [cellEdits, setCellEdits] = useState({});
+  const editingRef = useRef(null);
+  editingRef.current = editing;
+  const saveCounter = useRef(0);
+  const pendingFocus = useRef(null);
+  const tableRef = useRef(null);
+
+  useLayoutEffect(() => {
+    if (!pendingFocus.current || !tableRef.current) return;
+    const target = [...tableRef.current.querySelectorAll('[data-cell-id]')]
+      .find((el) => el.getAttribute('data-cell-id') === pendingFocus.current);
+    pendingFocus.current = null;
+    if (target) target.focus();
+  });
+
+  const isEditable = (column, row) => Boolean(onCellCommit)
+    && (typeof column.editable === 'function' ? column.editable(row) : Boolean(column.editable));
+
+  const startEdit = (row, key, column, value) => {
+    const id = getCellId(key, column.key);
+    const editor = getCellEditor(column);
+    const draft = toEditorDraft(value, editor.type);
+    setCellEdits((edits) => omitKey(edits, id));
+    setEditing({ id, key, row, column, draft, initialDraft: draft });
+  };
+
+  const saveCell = (cell, value) => {
+    const token = ++saveCounter.current;
+    setCellEdits((edits) => ({ ...edits, [cell.id]: { value, pending: true, token } }));
+    // Only the latest save to a cell may settle it
+    const settle = (next) => setCellEdits((edits) => {
+      if (edits[cell.id]?.token !== token) return edits;
+      return next ? { ...edits, [cell.id]: next } : omitKey(edits, cell.id);
+    });
+    Promise.resolve()
+      .then(() => onCellCommit(cell.row, cell.column.key, value))
+      .then(
+        () => settle(null),
+        (error) => settle({ error: error?.message || t('table.saveFailed') })
+      );
+  };
+
+  // Editable cells in display order, for Tab / Shift+Tab between editors
+  const getAdjacentCell = (cell, step) => {
+    const cells = [];
+    displayRows.slice(virtualWindow.start, virtualWindow.end).forEach((row, sliceIndex) => {
+      const key = getRowKey(row, pageOffset + virtualWindow.start + sliceIndex, rowKey);
+      visibleColumns.forEach((column) => {
+        if (isEditable(column, row) && !cellEdits[getCellId(key, column.key)]?.pending) cells.push({ row, key, column });
+      });
+    });
+    const index = cells.findIndex(({ key, column }) => key === cell.key && column.key === cell.column.key);
+    return index === -1 ? null : cells[index + step] || null;
+  };
+
+  // Keyboard closes return focus to the cell; blur leaves it wherever the user moved it
+  const closeEditor = ({ commit, step = 0, refocus = true }) => {
+    const cell = editingRef.current;
+    if (!cell) return;
+    if (commit && cell.draft !== cell.initialDraft) {
+      const value = fromEditorDraft(cell.draft, getCellEditor(cell.column));
+      if (Number.isNaN(value)) {
+        setEditing({ ...cell, error: t('table.invalidNumber') });
+        return;
+      }
+      saveCell(cell, value);
+    }
+    editingRef.current = null;
+    const next = step ? getAdjacentCell(cell, step) : null;
+    if (next) {
+      const nextId = getCellId(next.key, next.column.key);
+      const nextEdit = cellEdits[nextId];
+      startEdit(next.row, next.key, next.column, nextEdit && 'value' in nextEdit ? nextEdit.value : getCellValue(next.row, next.column));
+    } else {
+      setEditing(null);
+      if (refocus) pendingFocus.current = cell.id;
+    }
+  };
+
+  const handleEditorKeyDown = (e) => {
+    if (e.key === 'Enter') {
+      e.preventDefault();
+      closeEditor({ commit: true });
+    } else if (e.key === 'Escape') {
+      // Keep an enclosing modal open
+      e.preventDefault();
+      e.stopPropagation();
+      closeEditor({ commit: false });
+    } else if (e.key === 'Tab') {
+      e.preventDefault();
+      closeEditor({ commit: true, step: e.shiftKey ? -1 : 1 });
+    }
+  };
+
+  // Column resizing: the edge handle follows the pointer (live width in `resizing`, saved on release)
+  // or steps with the arrow keys; double-click goes back to the column's own width
+  const [resizing, setResizing] = useState(null);
+
+  // Resizes and header drags listen on the window while `headerGesture` names the active one; the
+  // gesture's own handlers sit in a ref. Unmounting mid-drag detaches them, so a table that is
+  // gone never writes its layout.
+  const [headerGesture, setHeaderGesture] = useState(null);
+  const headerGestureHandlers = useRef(null);
+
+  useEffect(() => {
+    if (!headerGesture) return undefined;
+    const handleMove = (e) => headerGestureHandlers.current.move(e);
+    const handleUp = (e) => {
+      setHeaderGesture(null);
+      headerGestureHandlers.current.up(e);
+    };
+    window.addEventListener('pointermove', handleMove);
+    window.addEventListener('pointerup', handleUp);
+    return () => {
+      window.removeEventListener('pointermove', handleMove);
+      window.removeEventListener('pointerup', handleUp);
+    };
+  }, [headerGesture]);
+
+  const startResize = (column, e) => {
+    if (e.button !== 0) return;
+    e.preventDefault();
+    e.stopPropagation();
+    const startX = e.clientX;
+    const startWidth = e.currentTarget.parentElement.getBoundingClientRect().width;
+    const min = column.minWidth || COLUMN_MIN_WIDTH;
+    let width = startWidth;
+    const handleMove = (event) => {
+      width = Math.max(min, Math.round(startWidth + (event.clientX - startX) * (isRTL ? -1 : 1)));
+      setResizing({ key: column.key, width });
+    };
+    const handleUp = () => {
+      setResizing(null);
+      if (width !== startWidth) layout.setWidth(column.key, width);
+    };
+    headerGestureHandlers.current = { move: handleMove, up: handleUp };
+    setHeaderGesture('resize');
+  };
+
+  const handleResizeKeyDown = (column, e) => {
+    if (e.key !== 'ArrowLeft' && e.key !== 'ArrowRight') return;
+    e.preventDefault();
+    const width = e.currentTarget.parentElement.getBoundingClientRect().width;
+    // The handle sits on the inline-end edge, so the arrow pointing away from the column widens it
+    const grow = (e.key === 'ArrowRight') !== isRTL;
+    const step = grow ? COLUMN_RESIZE_STEP : -COLUMN_RESIZE_STEP;
+    layout.setWidth(column.key, Math.max(column.minWidth || COLUMN_MIN_WIDTH, Math.round(width + step)));
+  };
+
+  // Header drag to reorder: past a small threshold the header under the pointer becomes the
+  // target, dropping before or after it depending on which half the pointer is over
+  const [columnDrag, setColumnDrag] = useState(null);
+
+  const startColumnDrag = (column, e) => {
+    if (!reorderableColumns || e.button !== 0) return;
+    const startX = e.clientX;
+    let target = null;
+    let dragging = false;
+    const handleMove = (event) => {
+      if (!dragging && Math.abs(event.clientX - startX) < 5) return;
+      dragging = true;
+      const over = [...tableRef.current.querySelectorAll('thead th[data-column-key]')].find((th) => {
+        const rect = th.getBoundingClientRect();
+        return event.clientX >= rect.left && event.clientX <= rect.right;
+      });
+      const overKey = over && over.getAttribute('data-column-key');
+      if (!over || overKey === column.key) {
+        target = null;
+      } else {
+        const rect = over.getBoundingClientRect();
+        const pastMiddle = event.clientX > rect.left + rect.width / 2;
+        target = { targetKey: overKey, after: pastMiddle !== isRTL };
+      }
+      setColumnDrag({ key: column.key, ...target });
+    };
+    const handleUp = () => {
+      if (!dragging) return;
+      suppressSortClick.current = true;
+      setColumnDrag(null);
+      if (target) layout.moveColumn(column.key, target.targetKey, target.after);
+    };
+    headerGestureHandlers.current = { move: handleMove, up: handleUp };
+    setHeaderGesture('reorder');
+  };
+
+  // Pinned cells stick at the summed widths of the pinned header cells before them; with a
+  // start-pinned column the drag handle and checkbox columns stay put as well
+  const hasStartPinned = visibleColumns.some((column) => column.pinSide === 'start');
+  const lastStartPinned = [...visibleColumns].reverse().find((column) => column.pinSide === 'start');
+  const firstEndPinned = visibleColumns.find((column) => column.pinSide === 'end');
+  const [pinOffsets, setPinOffsets] = useState({});
+
+  // Re-measured when the columns or a resize change, and whenever a pinned header cell's width
+  // changes with its content
+  useLayoutEffect(() => {
+    if (!tableRef.current || (!hasStartPinned && !firstEndPinned)) return undefined;
+    const cells = [...tableRef.current.querySelectorAll('thead th')];
+    const measure = () => {
+      const next = {};
+      const sumWidths = (list, side) => list.reduce((offset, th) => {
+        if (offset === null || th.getAttribute('data-pin') !== side) return null;
+        next[th.getAttribute('data-pin-key')] = offset;
+        return offset + th.getBoundingClientRect().width;
+      }, 0);
+      sumWidths(cells, 'start');
+      sumWidths([...cells].reverse(), 'end');
+      setPinOffsets((prev) => (JSON.stringify(next) === JSON.stringify(prev) ? prev : next));
+    };
+    measure();
+    if (typeof ResizeObserver === 'undefined') return undefined;
+    const observer = new ResizeObserver(measure);
+    cells.filter((th) => th.hasAttribute('data-pin')).forEach((th) => observer.observe(th));
+    return () => observer.disconnect();
+  }, [visibleColumns, resizing, hasStartPinned, firstEndPinned]);
+
+  const getPinStyle = (key, side, background, isHeader) => {
+    if (!side) return null;
+    const isEdge = key === lastStartPinned?.key || key === firstEndPinned?.key;
+    // Divider on the side facing the scrolling columns
+    const edgeX = (side === 'start') !== isRTL ? -1 : 1;
+    return {
+      position: 'sticky',
+      [side === 'start' ? 'insetInlineStart' : 'insetInlineEnd']: pinOffsets[key] || 0,
+      zIndex: isHeader ? 3 : 1,
+      background,
+      ...(isEdge && { boxShadow: `inset ${edgeX}px 0 0 ${theme.colors.border}` })
+    };
+  };
+  const utilityPinSide = hasStartPinned ? 'start' : null;
+
+  const spacerRow = (spacerHeight) => (
+    <tr aria-hidden="true">
+      <td colSpan={columnCount} style={{ height: spacerHeight, padding: 0, border: 'none' }} />
+    </tr>
+  );
+
+  const renderRow = (row, index) => {
+    // Striping follows the absolute row index, not the rendered slice
+    const rowIndex = pageOffset + index;
+    // While a row is dragged the rendered order differs from `visibleRows`, so look keys up by row
+    const key = getRowKey(row, rowIndex, rowKey);
+    const isSelected = selectable && selectedSet.has(key);
+    const isDragging = canReorder && sortable.isDragging(key);
+    const background = isSelected
+      ? theme.tones.info.background
+      : striped && rowIndex % 2 === 0 ? theme.colors.surfaceAlt : theme.colors.surface;
+    return (
+      <tr
+        key={key}
+        {...(reorderable && sortable.itemProps(key, index))}
+        data-virtual-index={virtualized ? index : undefined}
+        aria-rowindex={virtualized ? rowIndex + 2 : undefined}
+        aria-selected={selectable ? Boolean(isSelected) : undefined}
+        style={{
+          background,
+          transition: hover ? 'background 0.2s' : 'none',
+          ...(isDragging && { opacity: 0.5, outline: `2px dashed ${theme.colors.primary}`, outlineOffset: '-2px' })
+        }}
+        onMouseOver={hover ? (e) => { e.currentTarget.style.background = theme.colors.hover; } : undefined}
+        onMouseOut={hover ? (e) => { e.currentTarget.style.background = background; } : undefined}
+      >
+        {reorderable && (
+          <td style={{ ...handleCellStyle, ...getPinStyle('__handle', utilityPinSide, 'inherit') }}>
+            <DragHandle
+              {...sortable.handleProps(key, index)}
+              label={rowLabel ? rowLabel(row) : String(key)}
+              disabled={!canReorder}
+            />
+          </td>
+        )}
+        {selectable && (
+          <td style={{ ...checkboxCellStyle, ...getPinStyle('__select', utilityPinSide, 'inherit') }}>
+            <input
+              type={selectable === 'single' ? 'radio' : 'checkbox'}
+              checked={Boolean(isSelected)}
+              onChange={(e) => {
+                const pageIndex = pageKeys.indexOf(key);
+                if (pageIndex !== -1) handleRowSelect(pageIndex, e);
+              }}
+              aria-label={t('table.selectRow')}
+            />
+          </td>
+        )}
+        {visibleColumns.map((column) => {
+          const cellId = getCellId(key, column.key);
+          const edit = cellEdits[cellId];
+          const value = edit && 'value' in edit ? edit.value : getCellValue(row, column);
+          const editable = isEditable(column, row);
+          const isEditing = editable && editing?.id === cellId;
+          const cellStyle = {
+            padding: theme.spacing.medium,
+            textAlign: column.align || 'start',
+            borderBottom: `1px solid ${theme.colors.border}`,
+            ...getPinStyle(column.key, column.pinSide, 'inherit')
+          };
+          if (isEditing) {
+            const editor = getCellEditor(column);
+            return (
+              <td key={column.key} data-cell-id={cellId} style={{ ...cellStyle, paddingBlock: theme.spacing.xsmall }}>
+                <FieldControl
+                  type={editor.type}
+                  options={editor.options}
+                  format={editor.format}
+                  unit={editor.unit}
+                  placeholder={editor.placeholder}
+                  value={editing.draft}
+                  error={editing.error}
+                  onChange={(e) => {
+                    const draft = e.target.value;
+                    setEditing((cell) => cell && { ...cell, draft, error: undefined });
+                  }}
+                  onKeyDown={handleEditorKeyDown}
+                  onBlur={() => closeEditor({ commit: true, refocus: false })}
+                  autoFocus
+                  aria-label={typeof column.header === 'string' ? column.header : column.key}
+                  aria-invalid={editing.error ? true : undefined}
+                  aria-describedby={editing.error ? `${cellId}-error` : undefined}
+                  style={{ padding: '4px 8px', fontSize: 'inherit' }}
+                />
+                {editing.error && (
+                  <div id={`${cellId}-error`} style={{ marginTop: '2px', color: theme.colors.danger, fontSize: theme.typography.fontSize.xsmall }}>
+                    {editing.error}
+                  </div>
+                )}
+              </td>
+            );
+          }
+          let content = column.cell
+            ? column.cell(value, row, rowIndex)
+            : column.format ? formatters.format(value, column.format) : value;
+          // Custom cells render their own markup, so only plain text is highlighted
+          if (highlight && !column.cell && column.highlight !== false
+            && (typeof content === 'string' || typeof content === 'number')) {
+            content = <HighlightedText text={content} query={highlight} match={highlightMatch} />;
+          }
+          if (!editable) {
+            return <td key={column.key} style={cellStyle}>{content}</td>;
+          }
+          const canStart = !edit?.pending;
+          return (
+            <td
+              key={column.key}
+              data-cell-id={cellId}
+              tabIndex={0}
+              aria-busy={edit?.pending || undefined}
+              aria-describedby={edit?.error ? `${cellId}-error` : undefined}
+              onClick={canStart ? () => startEdit(row, key, column, value) : undefined}
+              onKeyDown={(e) => {
+                if (canStart && (e.key === 'Enter' || e.key === 'F2') && e.target === e.currentTarget) {
+                  e.preventDefault();
+                  startEdit(row, key, column, value);
+                }
+              }}
+              style={{
+                ...cellStyle,
+                cursor: canStart ? 'text' : 'progress',
+                ...(edit?.error && { boxShadow: `inset 0 0 0 2px ${theme.colors.danger}` })
+              }}
+            >
+              <span style={edit?.pending ? { opacity: 0.6 } : undefined}>{content}</span>
+              {edit?.pending && <span style={visuallyHidden}>{t('table.saving')}</span>}
+              {edit?.error && (
+                <div id={`${cellId}-error`} style={{ marginTop: '2px', color: theme.colors.danger, fontSize: theme.typography.fontSize.xsmall }}>
+                  {edit.error}
+                </div>
+              )}
+            </td>
+          );
+        })}
+      </tr>
+    );
+  };
+
+  const table = (
+    <table
+      ref={tableRef}
+      aria-rowcount={virtualized ? rowCount + 1 : undefined}
+      style={{ 
+        width: '100%', 
+        borderCollapse: 'collapse',
+        minWidth,
+        color: theme.colors.text
+      }}
+    >
+      <thead>
+        <tr style={{ background: theme.colors.surfaceAlt }}>
+          {reorderable && (
+            <th
+              data-pin={utilityPinSide || undefined}
+              data-pin-key="__handle"
+              style={{
+                ...handleCellStyle,
+                ...(virtualized && { position: 'sticky', top: 0, zIndex: 2, background: theme.colors.surfaceAlt }),
+                ...getPinStyle('__handle', utilityPinSide, theme.colors.surfaceAlt, true)
+              }}
+            >
+              <span style={visuallyHidden}>{t('dnd.column')}</span>
+            </th>
+          )}
+          {selectable && (
+            <th
+              data-pin={utilityPinSide || undefined}
+              data-pin-key="__select"
+              style={{
+                ...checkboxCellStyle,
+                ...(virtualized && { position: 'sticky', top: 0, zIndex: 2, background: theme.colors.surfaceAlt }),
+                ...getPinStyle('__select', utilityPinSide, theme.colors.surfaceAlt, true)
+              }}
+            >
+              {selectable === 'multi' && (
+                <input
+                  type="checkbox"
+                  ref={(el) => { if (el) el.indeterminate = pageSelectedCount > 0 && !allPageSelected; }}
+                  checked={allPageSelected}
+                  onChange={handleSelectPage}
+                  aria-label={t('table.selectPage')}
+                />
+              )}
+            </th>
+          )}
+          {visibleColumns.map((column) => {
+            const sortIndex = sortBy.findIndex((s) => s.key === column.key);
+            const direction = sortIndex === -1 ? null : sortBy[sortIndex].direction;
+            const width = resizing?.key === column.key ? resizing.width : column.width;
+            const isDropTarget = columnDrag?.targetKey === column.key;
+            return (
+              <th 
+                key={column.key} 
+                data-column-key={column.key}
+                data-pin={column.pinSide || undefined}
+                data-pin-key={column.key}
+                onClick={(e) => handleSort(column, e)}
+                onKeyDown={column.sortable ? (e) => handleSortKeyDown(column, e) : undefined}
+                tabIndex={column.sortable ? 0 : undefined}
+                onPointerDown={reorderableColumns ? (e) => startColumnDrag(column, e) : undefined}
+                aria-sort={direction ? (direction === 'asc' ? 'ascending' : 'descending') : undefined}
+                style={{ 
+                  position: 'relative',
+                  padding: theme.spacing.medium, 
+                  textAlign: column.align || 'start', 
+                  width,
+                  minWidth: resizableColumns ? width : undefined,
+                  fontWeight: theme.typography.fontWeight.semibold, 
+                  color: theme.colors.textStrong, 
+                  borderBottom: `1px solid ${theme.colors.border}`,
+                  cursor: reorderableColumns ? 'grab' : column.sortable ? 'pointer' : 'default',
+                  userSelect: column.sortable || reorderableColumns ? 'none' : 'auto',
+                  whiteSpace: 'nowrap',
+                  ...(virtualized && {
+                    position: 'sticky',
+                    top: 0,
+                    zIndex: 2,
+                    background: theme.colors.surfaceAlt
+                  }),
+                  ...getPinStyle(column.key, column.pinSide, theme.colors.surfaceAlt, true),
+                  ...(columnDrag?.key === column.key && { opacity: 0.5 }),
+                  ...(isDropTarget && {
+                    boxShadow: `inset ${columnDrag.after !== isRTL ? -2 : 2}px 0 0 ${theme.colors.primary}`
+                  })
+                }}
+              >
+                <span style={{ display: 'inline-flex', alignItems: 'center', gap: theme.spacing.xsmall }}>
+                  {column.header}
+                  {direction === 'asc' && <ChevronUpIcon size={14} />}
+                  {direction === 'desc' && <ChevronDownIcon size={14} />}
+                  {direction && sortBy.length > 1 && (
+                    <span style={{ fontSize: theme.typography.fontSize.xsmall, color: theme.colors.textMuted }}>
+                      {sortIndex + 1}
+                    </span>
+                  )}
+                </span>
+                {resizableColumns && column.resizable !== false && (
+                  <span
+                    role="separator"
+                    aria-orientation="vertical"
+                    aria-label={t('columns.resize', { name: getColumnName(column) })}
+                    aria-valuenow={typeof width === 'number' ? width : undefined}
+                    tabIndex={0}
+                    data-column-resizer
+                    onPointerDown={(e) => startResize(column, e)}
+                    onKeyDown={(e) => handleResizeKeyDown(column, e)}
+                    onDoubleClick={() => layout.setWidth(column.key, null)}
+                    onClick={(e) => e.stopPropagation()}
+                    style={{
+                      position: 'absolute',
+                      top: 0,
+                      bottom: 0,
+                      insetInlineEnd: 0,
+                      width: '8px',
+                      cursor: 'col-resize',
+                      touchAction: 'none',
+                      background: resizing?.key === column.key ? theme.colors.primary : 'transparent',
+                      opacity: 0.6
+                    }}
+                  />
+                )}
+              </th>
+            );
+          })}
+        </tr>
+      </thead>
+      <tbody ref={sortable.containerRef}>
+        {displayRows.length === 0 ? (
+          <tr>
+            <td
+              colSpan={columnCount}
+              style={{ padding: theme.spacing.large, textAlign: 'center', color: theme.colors.textMuted }}
+            >
+              {emptyMessage || t('table.empty')}
+            </td>
+          </tr>
+        ) : (
+          <>
+            {virtualWindow.paddingTop > 0 && spacerRow(virtualWindow.paddingTop)}
+            {displayRows
+              .slice(virtualWindow.start, virtualWindow.end)
+              .map((row, sliceIndex) => renderRow(row, virtualWindow.start + sliceIndex))}
+            {virtualWindow.paddingBottom > 0 && spacerRow(virtualWindow.paddingBottom)}
+          </>
+        )}
+      </tbody>
+    </table>
+  );
+
+  return (
+    <>
+      {(exportable || columnChooser) && (
+        <div style={{
+          display: 'flex',
+          justifyContent: 'flex-end',
+          gap: theme.spacing.small,
+          padding: `${theme.spacing.small} ${theme.spacing.medium}`,
+          borderBottom: `1px solid ${theme.colors.border}`
+        }}>
+          {columnChooser && (
+            <ColumnChooser
+              columns={layout.columns}
+              onToggle={layout.setHidden}
+              onPin={layout.setPinned}
+              onMove={layout.moveColumn}
+              onReset={layout.reset}
+            />
+          )}
+          {exportable && <TableExportMenu
+            hasSelection={Boolean(selectable) && selectedKeys.length > 0}
+            hasHiddenColumns={layout.columns.some((column) => column.hidden && column.export !== false)}
+            formats={exportable.formats || ['csv', 'xlsx', 'print']}
+            onExport={handleExport}
+          />}
+        </div>
+      )}
+      {canSelectAllMatching && (
+        <div style={{
+          padding: `${theme.spacing.small} ${theme.spacing.medium}`,
+          background: theme.tones.info.background,
+          color: theme.tones.info.color,
+          fontSize: theme.typography.fontSize.medium,
+          textAlign: 'center'
+        }}>
+          {selectedKeys.length >= rowCount
+            ? t('table.allRowsSelected', { count: rowCount })
+            : t('table.pageRowsSelected', { count: pageKeys.length })}
+          {' '}
+          <button
+            type="button"
+            onClick={selectedKeys.length >= rowCount ? () => setSelectedKeys([]) : handleSelectAllMatching}
+            style={{
+              background: 'none',
+              border: 'none',
+              padding: 0,
+              color: theme.colors.primary,
+              fontWeight: theme.typography.fontWeight.semibold,
+              cursor: 'pointer'
+            }}
+          >
+            {selectedKeys.length >= rowCount
+              ? t('table.clearSelection')
+              : t('table.selectAllMatching', { count: rowCount })}
+          </button>
+        </div>
+      )}
+      {virtualized ? (
+        <div
+          ref={virtualWindow.containerRef}
+          onScroll={virtualWindow.onScroll}
+          style={{ height, overflowY: 'auto' }}
+        >
+          {table}
+        </div>
+      ) : table}
+      {reorderable && sortable.announcer}
+      {pagination && (
+        <TablePagination
+          page={currentPage}
+          pageSize={pageSize}
+          totalRows={rowCount}
+          pageSizeOptions={pageSizeOptions}
+          onPageChange={setPage}
+          onPageSizeChange={handlePageSizeChange}
+        />
+      )}
+    </>
+  );
+};
+
+/**
+ * Unified Table Component
+ * Pass `headers` + `<tr>` children for a hand-built table, or `columns` + `rows`
+ * for built-in sorting (shift-click to add a sort key) and pagination.
+ * @param {array} headers - Table headers array
+ * @param {ReactNode} children - Table rows
+ * @param {array} columns - Column definitions ({ key, header, accessor, cell, format, sortable, width, align, highlight, editable, editor, hidden, export, exportValue, exportHeader,
+ *   pinned, minWidth, resizable, hideable })
+ * @param {array} rows - Row data objects
+ * @param {string|function} rowKey - Row id field or (row, index) => key
+ * @param {array} sortBy - Controlled sort state ([{ key, direction }])
+ * @param {function} onSortChange - Sort change handler
+ * @param {boolean} pagination - Show the pagination footer
+ * @param {number} page - Controlled 1-based page number
+ * @param {function} onPageChange - Page change handler
+ * @param {number} pageSize - Controlled rows per page
+ * @param {function} onPageSizeChange - Page size change handler
+ * @param {boolean} serverSide - Rows are already sorted/paged; only emit the callbacks
+ * @param {number} totalRows - Total row count in server-side mode
+ * @param {boolean} virtualized - Only mount the rows in view (large lists), with a sticky header
+ * @param {number} height - Scroll viewport height in px when virtualized
+ * @param {number|function} rowHeight - Estimated row height, or (row, index) => height
+ * @param {number} overscan - Extra rows rendered above/below the viewport
+ * @param {string} selectable - Row selection mode (single, multi)
+ * @param {array} selectedKeys - Controlled selected row keys
+ * @param {function} onSelectionChange - Selection change handler, receives the key array
+ * @param {function} onSelectAllMatching - Server-side "select all matching" handler
+ * @param {boolean} reorderable - Drag handle column for manual ordering (while no sort is applied)
+ * @param {function} onReorder - Called with (move, reorderedRows) after a drop; under a
+ *   DragDropProvider the provider's onMove is called instead
+ * @param {string} listId - Id reported in moves (defaults to a generated one)
+ * @param {string} listLabel - Name announced when rows move into this table
+ * @param {function} rowLabel - (row) => text naming the row for drag handles and announcements
+ * @param {string} highlight - Search query to mark in plain-text cells (opt a column out with `highlight: false`)
+ * @param {function} highlightMatch - Matcher for highlighting, (query, text) => { ranges } | null
+ * @param {boolean|object} exportable - Export menu (CSV, XLSX, print) over the sorted rows, optionally only the
+ *   selected ones; pass { filename, title, formats } to configure. Columns take `export: false`,
+ *   `exportValue(row)` and `exportHeader`; `hidden` columns are left out unless the user includes them
+ * @param {string} tableId - Saves the column layout (order, widths, hidden, pinned) in localStorage under this id
+ * @param {object} columnLayout - Controlled layout: { order: [keys], widths: { key: px }, hidden: { key: bool },
+ *   pinned: { key: 'start' | 'end' | null } }; keys it leaves out use the column definition
+ * @param {object} defaultColumnLayout - Starting layout when nothing is saved under `tableId`
+ * @param {function} onColumnLayoutChange - Layout change handler
+ * @param {boolean} resizableColumns - Drag (or arrow keys on) a header's edge to resize; double-click resets
+ * @param {boolean} reorderableColumns - Drag headers to reorder columns
+ * @param {boolean} columnChooser - "Columns" menu to show, hide, pin and reorder columns
+ * @param {string} minWidth - Table minimum width before it scrolls sideways
+ * @param {function} onCellCommit - Saves an inline edit: (row, columnKey, value), may return a promise.
+ *   Columns opt in with `editable` (bool or (row) => bool) and `editor` (FormField type or
+ *   { type, options, format, unit }). The new value shows while saving; resolve once `rows` holds it,
+ *   reject (error message shown on the cell) to roll back.
+ * @param {boolean} striped - Striped rows
+ * @param {boolean} hover - Hover effect on rows
+ */
+export const UnifiedTable = memo(({ headers, children, columns, striped = true, hover = true, ...props }) => {
+  const theme = useTheme();
+
+  if (columns) {
+    return <DataTable columns={columns} striped={striped} hover={hover} {...props} />;
+  }
+
+  return (
+    <table style={{ 
+      width: '100%', 
+      borderCollapse: 'collapse',
+      minWidth: '600px',
+      color: theme.colors.text
+    }}>
+      <thead>
+        <tr style={{ background: theme.colors.surfaceAlt }}>
+          {headers.map((header, index) => (
+            <th 
+              key={index} 
+              style={{ 
+                padding: theme.spacing.medium, 
+                textAlign: 'start', 
+                fontWeight: theme.typography.fontWeight.semibold, 
+                color: theme.colors.textStrong, 
+                borderBottom: `1px solid ${theme.colors.border}` 
+              }}
+            >
+              {header}
+            </th>
+          ))}
+        </tr>
+      </thead>
+      <tbody>
+        {React.Children.map(children, (child, index) => {
+          if (!child) return null;
+          return React.cloneElement(child, {
+            style: { 
+              ...child.props.style,
+              background: striped && index % 2 === 0 ? theme.colors.surfaceAlt : theme.colors.surface,
+              transition: hover ? 'background 0.2s' : 'none',
+              ':hover': hover ? { background: theme.colors.hover } : {}
+            }
+          });
+        })}
+      </tbody>
+    </table>
+  );
+});
+
+UnifiedTable.propTypes = {
+  headers: PropTypes.arrayOf(PropTypes.string),
+  children: PropTypes.node,
+  columns: PropTypes.arrayOf(PropTypes.shape({
+    key: PropTypes.string.isRequired,
+    header: PropTypes.node,
+    accessor: PropTypes.oneOfType([PropTypes.string, PropTypes.func]),
+    cell: PropTypes.func,
+    format: formatSpecPropType,
+    sortable: PropTypes.bool,
+    width: PropTypes.oneOfType([PropTypes.string, PropTypes.number]),
+    align: PropTypes.oneOf(['start', 'center', 'end', 'left', 'right']),
+    highlight: PropTypes.bool,
+    hidden: PropTypes.bool,
+    pinned: PropTypes.oneOf(['start', 'end', 'left', 'right']),
+    minWidth: PropTypes.number,
+    resizable: PropTypes.bool,
+    hideable: PropTypes.bool,
+    export: PropTypes.bool,
+    exportValue: PropTypes.func,
+    exportHeader: PropTypes.string,
+    editable: PropTypes.oneOfType([PropTypes.bool, PropTypes.func]),
+    editor: PropTypes.oneOfType([
+      PropTypes.oneOf(['text', 'number', 'select', 'date']),
+      PropTypes.shape({
+        type: PropTypes.oneOf(['text', 'number', 'select', 'date']),
+        options: PropTypes.array,
+        format: PropTypes.oneOfType([PropTypes.bool, formatSpecPropType]),
+        unit: PropTypes.string,
+        placeholder: PropTypes.string
+      })
+    ])
+  })),
+  rows: PropTypes.array,
+  rowKey: PropTypes.oneOfType([PropTypes.string, PropTypes.func]),
+  sortBy: PropTypes.arrayOf(PropTypes.shape({
+    key: PropTypes.string.isRequired,
+    direction: PropTypes.oneOf(['asc', 'desc']).isRequired
+  })),
+  defaultSortBy: PropTypes.array,
+  onSortChange: PropTypes.func,
+  pagination: PropTypes.bool,
+  page: PropTypes.number,
+  defaultPage: PropTypes.number,
+  onPageChange: PropTypes.func,
+  pageSize: PropTypes.number,
+  defaultPageSize: PropTypes.number,
+  pageSizeOptions: PropTypes.arrayOf(PropTypes.number),
+  onPageSizeChange: PropTypes.func,
+  serverSide: PropTypes.bool,
+  totalRows: PropTypes.number,
+  emptyMessage: PropTypes.string,
+  virtualized: PropTypes.bool,
+  height: PropTypes.number,
+  rowHeight: PropTypes.oneOfType([PropTypes.number, PropTypes.func]),
+  overscan: PropTypes.number,
+  selectable: PropTypes.oneOf(['single', 'multi']),
+  selectedKeys: PropTypes.array,
+  defaultSelectedKeys: PropTypes.array,
+  onSelectionChange: PropTypes.func,
+  onSelectAllMatching: PropTypes.func,
+  reorderable: PropTypes.bool,
+  onReorder: PropTypes.func,
+  listId: PropTypes.string,
+  listLabel: PropTypes.string,
+  rowLabel: PropTypes.func,
+  highlight: PropTypes.string,
+  highlightMatch: PropTypes.func,
+  onCellCommit: PropTypes.func,
+  exportable: PropTypes.oneOfType([
+    PropTypes.bool,
+    PropTypes.shape({
+      filename: PropTypes.string,
+      title: PropTypes.string,
+      formats: PropTypes.arrayOf(PropTypes.oneOf(['csv', 'xlsx', 'print']))
+    })
+  ]),
+  tableId: PropTypes.string,
+  columnLayout: PropTypes.shape({
+    order: PropTypes.arrayOf(PropTypes.string),
+    widths: PropTypes.objectOf(PropTypes.number),
+    hidden: PropTypes.objectOf(PropTypes.bool),
+    pinned: PropTypes.objectOf(PropTypes.oneOf(['start', 'end', null]))
+  }),
+  defaultColumnLayout: PropTypes.object,
+  onColumnLayoutChange: PropTypes.func,
+  resizableColumns: PropTypes.bool,
+  reorderableColumns: PropTypes.bool,
+  columnChooser: PropTypes.bool,
+  minWidth: PropTypes.string,
+  striped: PropTypes.bool,
+  hover: PropTypes.bool
+};
+
+// Tinted icon button shared by ActionButtons and the ControlsBar bulk-actions bar
+const IconActionButton = ({
+  icon: Icon,
+  label,
+  onClick,
+  variant = 'neutral',
+  padding = '6px',
+  iconSize = 16,
+  showLabel = false,
+  disabled = false
+}) => {
+  const theme = useTheme();
+  const tone = theme.tones[variant] || theme.tones.neutral;
+  const color = theme.colors[variant] || theme.colors.neutral;
+
+  return (
+    <button
+      type="button"
+      onClick={onClick}
+      disabled={disabled}
+      style={{
+        padding,
+        background: tone.background,
+        border: 'none',
+        borderRadius: theme.borderRadius.small,
+        cursor: disabled ? 'not-allowed' : 'pointer',
+        opacity: disabled ? 0.6 : 1,
+        display: 'flex',
+        alignItems: 'center',
+        justifyContent: 'center',
+        gap: '6px',
+        color,
+        fontSize: theme.typography.fontSize.medium,
+        fontWeight: theme.typography.fontWeight.medium
+      }}
+      title={label}
+      aria-label={showLabel ? undefined : label}
+    >
+      <Icon size={iconSize} color={color} />
+      {showLabel && <span>{label}</span>}
+    </button>
+  );
+};
+
+/**
+ * Unified Action Buttons Component
+ * @param {function} onEdit - Edit action handler
+ * @param {function} onDelete - Delete action handler
+ * @param {function} onView - View action handler
+ * @param {string} editTitle - Edit button tooltip
+ * @param {string} deleteTitle - Delete button tooltip
+ * @param {string} viewTitle - View button tooltip
+ * @param {string} size - Button size (sm, md, lg)
+ * @param {boolean|object} confirmDelete - Ask before calling onDelete (true, or confirm() options)
+ */
+export const ActionButtons = memo(({ 
+  onEdit, 
+  onDelete, 
+  onView, 
+  editTitle, 
+  deleteTitle, 
+  viewTitle,
+  size = 'md',
+  confirmDelete = false
+}) => {
+  const theme = useTheme();
+  const { t } = useLocale();
+  const dialog = useContext(DialogContext);
+  const sizes = {
+    sm: { padding: '4px', iconSize: 14 },
+    md: { padding: '6px', iconSize: 16 },
+    lg: { padding: '8px', iconSize: 18 }
+  };
+
+  const { padding, iconSize } = sizes[size] || sizes.md;
+
+  const handleDelete = async (e) => {
+    if (!confirmDelete) {
+      onDelete(e);
+      return;
+    }
+    const options = {
+      title: t('actions.confirmDeleteTitle'),
+      message: t('actions.confirmDeleteMessage'),
+      confirmText: deleteTitle || t('actions.delete'),
+      variant: 'danger',
+      ...(typeof confirmDelete === 'object' ? confirmDelete : {})
+    };
+    // Without a DialogProvider fall back to the browser's native confirm
+    const confirmed = dialog
+      ? await dialog.confirm(options)
+      : window.confirm(options.message || options.title);
+    if (confirmed) onDelete(e);
+  };
+
+  return (
+    <div style={{ display: 'flex', justifyContent: 'center', gap: theme.spacing.small }}>
+      {onView && (
+        <IconActionButton
+          icon={EyeIcon}
+          label={viewTitle || t('actions.view')}
+          onClick={onView}
+          variant="info"
+          padding={padding}
+          iconSize={iconSize}
+        />
+      )}
+      {onEdit && (
+        <IconActionButton
+          icon={WrenchIcon}
+          label={editTitle || t('actions.edit')}
+          onClick={onEdit}
+          variant="neutral"
+          padding={padding}
+          iconSize={iconSize}
+        />
+      )}
+      {onDelete && (
+        <IconActionButton
+          icon={TrashIcon}
+          label={deleteTitle || t('actions.delete')}
+          onClick={handleDelete}
+          variant="danger"
+          padding={padding}
+          iconSize={iconSize}
+        />
+      )}
+    </div>
+  );
+});
+
+ActionButtons.propTypes = {
+  onEdit: PropTypes.func,
+  onDelete: PropTypes.func,
+  onView: PropTypes.func,
+  editTitle: PropTypes.string,
+  deleteTitle: PropTypes.string,
+  viewTitle: PropTypes.string,
+  size: PropTypes.oneOf(['sm', 'md', 'lg']),
+  confirmDelete: PropTypes.oneOfType([PropTypes.bool, PropTypes.object])
+};
+
+// Tone for a status variant; shared by StatusBadge and anything colored "like the badge"
+const getStatusTone = (theme, variant) => {
+  switch (variant?.toLowerCase()) {
+    case 'active':
+    case 'success':
+    case 'completed':
+      return theme.tones.success;
+    case 'inactive':
+    case 'error':
+    case 'cancelled':
+      return theme.tones.danger;
+    case 'pending':
+    case 'warning':
+      return theme.tones.warning;
+    case 'in progress':
+    case 'info':
+      return theme.tones.info;
+    default:
+      return theme.tones.neutral;
+  }
+};
+
+/**
+ * Unified Status Badge Component
+ * @param {string} status - Status text
+ * @param {string} variant - Status variant (active, inactive, etc.)
+ * @param {string} size - Badge size (sm, md, lg)
+ */
+export const StatusBadge = memo(({ status, variant, size = 'md' }) => {
+  const theme = useTheme();
+
+  const { fontSize } = theme.typography;
+  const sizes = {
+    sm: { padding: '2px 8px', fontSize: fontSize.xsmall },
+    md: { padding: '4px 12px', fontSize: fontSize.small },
+    lg: { padding: '6px 16px', fontSize: fontSize.medium }
+  };
+
+  const statusStyle = getStatusTone(theme, variant);
+  const sizeStyle = sizes[size] || sizes.md;
+
+  return (
+    <span style={{
+      padding: sizeStyle.padding,
+      borderRadius: theme.borderRadius.pill,
+      fontSize: sizeStyle.fontSize,
+      fontWeight: theme.typography.fontWeight.semibold,
+      display: 'inline-block',
+      background: statusStyle.background,
+      color: statusStyle.color
+    }}>
+      {status}
+    </span>
+  );
+});
+
+StatusBadge.propTypes = {
+  status: PropTypes.string.isRequired,
+  variant: PropTypes.oneOf([
+    'active', 'inactive', 'pending', 'completed', 
+    'in progress', 'cancelled', 'success', 'error', 
+    'warning', 'info'
+  ]),
+  size: PropTypes.oneOf(['sm', 'md', 'lg'])
+};
+
+const FOCUSABLE_SELECTOR = [
+  'a[href]',
+  'button:not([disabled])',
+  'input:not([disabled])',
+  'select:not([disabled])',
+  'textarea:not([disabled])',
+  '[tabindex]:not([tabindex="-1"])'
+].join(', ');
+
+// Body scroll lock is reference counted so nested dialogs unlock only when the last one closes
+let scrollLockCount = 0;
+let bodyStyleBeforeLock = null;
+
+const lockBodyScroll = () => {
+  scrollLockCount += 1;
+  if (scrollLockCount > 1) return;
+  const { body, documentElement } = document;
+  const scrollbarWidth = window.innerWidth - documentElement.clientWidth;
+  bodyStyleBeforeLock = { overflow: body.style.overflow, paddingRight: body.style.paddingRight };
+  body.style.overflow = 'hidden';
+  if (scrollbarWidth > 0) body.style.paddingRight = `${scrollbarWidth}px`;
+};
+
+const unlockBodyScroll = () => {
+  scrollLockCount = Math.max(0, scrollLockCount - 1);
+  if (scrollLockCount === 0 && bodyStyleBeforeLock) {
+    Object.assign(document.body.style, bodyStyleBeforeLock);
+    bodyStyleBeforeLock = null;
+  }
+};
+
+// Open dialogs, bottom to top – only the topmost one reacts to Escape and backdrop clicks
+const modalStack = [];
+
+/**
+ * Unified Modal Component
+ * Accessible dialog rendered into a portal: focus moves inside on open, Tab is trapped,
+ * Escape closes, page scroll is locked and focus returns to the opener on close.
+ * Modals opened on top of another stack above it; only the topmost one handles Escape/backdrop.
+ * @param {boolean} isOpen - Modal visibility
+ * @param {function} onClose - Close handler
+ * @param {string} title - Modal title
+ * @param {ReactNode} children - Modal content
+ * @param {string} width - Modal width
+ * @param {string} size - Modal size (sm, md, lg, xl)
+ * @param {boolean} closeOnOverlayClick - Close when the backdrop is clicked
+ * @param {boolean} closeOnEscape - Close on the Escape key
+ * @param {object} initialFocusRef - Element to focus on open (defaults to the first focusable content)
+ * @param {object} returnFocusRef - Element to focus on close (defaults to the previously focused element)
+ * @param {boolean} restoreFocus - Return focus on close
+ * @param {Element} container - Portal target (defaults to document.body)
+ */
+export const UnifiedModal = memo(({ 
+  isOpen, 
+  onClose, 
+  title, 
+  children, 
+  width, 
+  size,
+  closeOnOverlayClick = true,
+  closeOnEscape = true,
+  initialFocusRef,
+  returnFocusRef,
+  restoreFocus = true,
+  container
+}) => {
+  const theme = useTheme();
+  // Portaled to <body>, outside any LocaleProvider wrapper, so direction is set here
+  const { t, locale, direction } = useLocale();
+  const dialogRef = useRef(null);
+  const contentRef = useRef(null);
+  const [titleId] = useState(() => `modal-title-${Math.random().toString(36).slice(2, 9)}`);
+  const stackEntry = useRef(null);
+  const [stackDepth, setStackDepth] = useState(0);
+
+  useLayoutEffect(() => {
+    if (!isOpen) return undefined;
+    const entry = {};
+    modalStack.push(entry);
+    stackEntry.current = entry;
+    setStackDepth(modalStack.length - 1);
+    return () => {
+      modalStack.splice(modalStack.indexOf(entry), 1);
+      stackEntry.current = null;
+    };
+  }, [isOpen]);
+
+  const isTopmost = () => modalStack[modalStack.length - 1] === stackEntry.current;
+
+  // Focus handling runs once per open, so the focus props are read through a ref
+  const focusPropsRef = useRef(null);
+  focusPropsRef.current = { initialFocusRef, returnFocusRef, restoreFocus };
+
+  useEffect(() => {
+    if (!isOpen) return undefined;
+    const previouslyFocused = document.activeElement;
+    lockBodyScroll();
+
+    const initialRef = focusPropsRef.current.initialFocusRef;
+    const initialTarget = (initialRef && initialRef.current)
+      || contentRef.current.querySelector(FOCUSABLE_SELECTOR)
+      || dialogRef.current;
+    initialTarget.focus();
+
+    return () => {
+      unlockBodyScroll();
+      const focusProps = focusPropsRef.current;
+      if (!focusProps.restoreFocus) return;
+      const returnTarget = (focusProps.returnFocusRef && focusProps.returnFocusRef.current) || previouslyFocused;
+      if (returnTarget && typeof returnTarget.focus === 'function') returnTarget.focus();
+    };
+  }, [isOpen]);
+
+  if (!isOpen || typeof document === 'undefined') return null;
+
+  const sizes = {
+    sm: '400px',
+    md: '500px',
+    lg: '600px',
+    xl: '800px'
+  };
+
+  const modalWidth = width || sizes[size] || sizes.md;
+
+  const handleOverlayClick = (e) => {
+    if (e.target === e.currentTarget && closeOnOverlayClick && isTopmost()) {
+      onClose();
+    }
+  };
+
+  const handleKeyDown = (e) => {
+    if (!isTopmost()) return;
+    if (e.key === 'Escape') {
+      if (!closeOnEscape) return;
+      e.stopPropagation();
+      onClose();
+      return;
+    }
+    if (e.key !== 'Tab') return;
+
+    const focusable = Array.from(dialogRef.current.querySelectorAll(FOCUSABLE_SELECTOR));
+    if (focusable.length === 0) {
+      e.preventDefault();
+      return;
+    }
+    const first = focusable[0];
+    const last = focusable[focusable.length - 1];
+    const active = document.activeElement;
+    if (e.shiftKey && (active === first || active === dialogRef.current)) {
+      e.preventDefault();
+      last.focus();
+    } else if (!e.shiftKey && active === last) {
+      e.preventDefault();
+      first.focus();
+    }
+  };
+
+  return createPortal(
+    <div 
+      style={{
+        position: 'fixed',
+        top: 0,
+        left: 0,
+        right: 0,
+        bottom: 0,
+        background: theme.colors.overlay,
+        display: 'flex',
+        alignItems: 'center',
+        justifyContent: 'center',
+        zIndex: 1000 + stackDepth * 10,
+        padding: theme.spacing.medium
+      }}
+      onClick={handleOverlayClick}
+      dir={direction}
+      lang={locale}
+    >
+      <div
+        ref={dialogRef}
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby={titleId}
+        tabIndex={-1}
+        onKeyDown={handleKeyDown}
+        style={{
+          background: theme.colors.surface,
+          color: theme.colors.text,
+          borderRadius: theme.borderRadius.large,
+          padding: theme.spacing.large,
+          width: modalWidth,
+          maxWidth: '90vw',
+          maxHeight: '80vh',
+          overflowY: 'auto',
+          boxShadow: theme.shadows.medium,
+          outline: 'none'
+        }}
+      >
+        <div style={{ 
+          display: 'flex', 
+          justifyContent: 'space-between', 
+          alignItems: 'center', 
+          marginBottom: '20px' 
+        }}>
+          <h2 id={titleId} style={{ 
+            margin: 0, 
+            fontSize: theme.typography.fontSize.xxlarge, 
+            fontWeight: theme.typography.fontWeight.semibold,
+            color: theme.colors.text
+          }}>
+            {title}
+          </h2>
+          <button 
+            type="button"
+            onClick={onClose} 
+            style={{ 
+              background: 'none', 
+              border: 'none', 
+              cursor: 'pointer',
+              padding: theme.spacing.small,
+              borderRadius: '50%',
+              ':hover': {
+                background: theme.colors.hover
+              }
+            }}
+            aria-label={t('modal.close')}
+          >
+            <XIcon size={20} color={theme.colors.text} />
+          </button>
+        </div>
+        <div ref={contentRef}>
+          {children}
+        </div>
+      </div>
+    </div>,
+    container || document.body
+  );
+});
+
+UnifiedModal.propTypes = {
+  isOpen: PropTypes.bool.isRequired,
+  onClose: PropTypes.func.isRequired,
+  title: PropTypes.string.isRequired,
+  children: PropTypes.node,
+  width: PropTypes.string,
+  size: PropTypes.oneOf(['sm', 'md', 'lg', 'xl']),
+  closeOnOverlayClick: PropTypes.bool,
+  closeOnEscape: PropTypes.bool,
+  initialFocusRef: PropTypes.shape({ current: PropTypes.any }),
+  returnFocusRef: PropTypes.shape({ current: PropTypes.any }),
+  restoreFocus: PropTypes.bool,
+  container: PropTypes.any
+};
+
+/*
+ * Number input for FormField's `format` prop: shows the formatted value (grouping, the
+ * locale's digits) until focused, accepts Arabic-Indic digits while typing and reports the
+ * value to onChange with Western digits.
+ */
+const LocalizedNumberInput = ({ value, onChange, onFocus, onBlur, format, unit, style, ...props }) => {
+  const theme = useTheme();
+  const formatters = useFormatters();
+  const [draft, setDraft] = useState(null);
+
+  const handleChange = (e) => {
+    const text = e.target.value;
+    const parsed = parseLocalizedNumber(text);
+    setDraft(text);
+    // Unparseable text is passed through so a numeric rule can report it
+    const next = text.trim() === '' ? '' : Number.isNaN(parsed) ? text : String(parsed);
+    onChange({ target: { name: props.name, value: next, type: 'number' } });
+  };
+
+  const formatted = isBlank(value) || Number.isNaN(Number(value))
+    ? (value ?? '')
+    : formatters.format(Number(value), format === true ? 'number' : format);
+
+  return (
+    <div style={{ position: 'relative' }}>
+      <input
+        {...props}
+        type="text"
+        inputMode="decimal"
+        value={draft !== null ? draft : formatted}
+        onChange={handleChange}
+        onFocus={(e) => {
+          setDraft(isBlank(value) ? '' : String(value));
+          if (onFocus) onFocus(e);
+        }}
+        onBlur={(e) => {
+          setDraft(null);
+          if (onBlur) onBlur(e);
+        }}
+        style={unit ? { ...style, paddingInlineEnd: '48px' } : style}
+      />
+      {unit && (
+        <span style={{
+          position: 'absolute',
+          insetInlineEnd: '12px',
+          top: '50%',
+          transform: 'translateY(-50%)',
+          color: theme.colors.textMuted,
+          fontSize: theme.typography.fontSize.small,
+          pointerEvents: 'none'
+        }}>
+          {unit}
+        </span>
+      )}
+    </div>
+  );
+};
+
+// The input FormField renders for its `type`; the table's cell editor uses it without the label
+const FieldControl = ({ id, type = 'text', value, onChange, required, options, placeholder, error, format, unit, style, ...props }) => {
+  const theme = useTheme();
+  const controlStyle = {
+    width: '100%',
+    padding: '8px 12px',
+    border: `1px solid ${error ? theme.colors.danger : theme.colors.inputBorder}`,
+    background: theme.colors.surface,
+    color: theme.colors.text,
+    borderRadius: theme.borderRadius.small,
+    fontSize: theme.typography.fontSize.medium,
+    ...style
+  };
+
+  if (type === 'select') {
+    return (
+      <select id={id} value={value} onChange={onChange} style={controlStyle} required={required} {...props}>
+        {placeholder && <option value="">{placeholder}</option>}
+        {options?.map((option, index) => (
+          <option key={index} value={String(getOptionValue(option))}>
+            {getOptionLabel(option)}
+          </option>
+        ))}
+      </select>
+    );
+  }
+  if (type === 'textarea') {
+    return (
+      <textarea
+        id={id}
+        value={value}
+        onChange={onChange}
+        placeholder={placeholder}
+        style={{ minHeight: '80px', ...controlStyle }}
+        required={required}
+        {...props}
+      />
+    );
+  }
+  if (type === 'number' && (format || unit)) {
+    return (
+      <LocalizedNumberInput
+        id={id}
+        value={value}
+        onChange={onChange}
+        placeholder={placeholder}
+        format={format || 'number'}
+        unit={unit}
+        style={controlStyle}
+        required={required}
+        {...props}
+      />
+    );
+  }
+  return (
+    <input
+      id={id}
+      type={type}
+      value={value}
+      onChange={onChange}
+      placeholder={placeholder}
+      style={controlStyle}
+      required={required}
+      {...props}
+    />
+  );
+};
+
+/**
+ * Unified Form Field Component
+ * @param {string} label - Field label
+ * @param {string} type - Input type (text, select, textarea, etc.)
+ * @param {string|number} value - Field value
+ * @param {function} onChange - Change handler
+ * @param {boolean} required - Required field
+ * @param {array} options - Options for select input
+ * @param {string} placeholder - Input placeholder
+ * @param {string} error - Error message
+ * @param {string} id - Field ID
+ * @param {boolean|string|object} format - Number fields: show the value formatted for the locale (see useFormatters)
+ * @param {string} unit - Number fields: unit label shown inside the input (km, kg, SAR)
+ */
+export const FormField = memo(({ 
+  label, 
+  type = "text", 
+  value, 
+  onChange, 
+  required = false, 
+  options = null, 
+  placeholder = "", 
+  error,
+  id,
+  format,
+  unit,
+  ...props 
+}) => {
+  const theme = useTheme();
+  const inputId = id || `form-field-${Math.random().toString(36).substr(2, 9)}`;
+
+  return (
+    <div style={{ marginBottom: theme.spacing.medium }}>
+      <label 
+        htmlFor={inputId}
+        style={{ 
+          display: 'block', 
+          marginBottom: theme.spacing.small, 
+          fontWeight: theme.typography.fontWeight.medium,
+          color: theme.colors.text
+        }}
+      >
+        {label} {required && <span style={{ color: theme.colors.danger }}>*</span>}
+      </label>
+      <FieldControl
+        id={inputId}
+        type={type}
+        value={value}
+        onChange={onChange}
+        required={required}
+        options={options}
+        placeholder={placeholder}
+        error={error}
+        format={format}
+        unit={unit}
+        {...props}
+      />
+      {error && (
+        <p style={{ 
+          margin: '4px 0 0 0', 
+          color: theme.colors.danger, 
+          fontSize: theme.typography.fontSize.small 
+        }}>
+          {error}
+        </p>
+      )}
+    </div>
+  );
+});
+
+FormField.propTypes = {
+  label: PropTypes.string.isRequired,
+  type: PropTypes.oneOf(['text', 'password', 'email', 'number', 'select', 'textarea', 'date']),
+  value: PropTypes.any,
+  onChange: PropTypes.func.isRequired,
+  required: PropTypes.bool,
+  options: PropTypes.array,
+  placeholder: PropTypes.string,
+  error: PropTypes.string,
+  id: PropTypes.string,
+  format: PropTypes.oneOfType([PropTypes.bool, formatSpecPropType]),
+  unit: PropTypes.string
+};
+
+/**
+ * Unified Form Buttons Component
+ * @param {function} onCancel - Cancel handler
+ * @param {function} onSubmit - Submit handler
+ * @param {string} submitText - Submit button text
+ * @param {string} cancelText - Cancel button text
+ * @param {string} submitVariant - Submit button variant
+ * @param {boolean} loading - Loading state
+ */
+export const FormButtons = memo(({ 
+  onCancel, 
+  onSubmit, 
+  submitText, 
+  cancelText, 
+  submitVariant = "primary",
+  loading = false,
+  disabled = false
+}) => {
+  const theme = useTheme();
+  const { t } = useLocale();
+  const buttonVariants = {
+    primary: theme.colors.primary,
+    success: theme.colors.success,
+    danger: theme.colors.danger,
+    warning: theme.colors.warning,
+    info: theme.colors.info
+  };
+
+  return (
+    <div style={{ 
+      display: 'flex', 
+      gap: theme.spacing.medium, 
+      justifyContent: 'flex-end',
+      marginTop: theme.spacing.large
+    }}>
+      <button
+        type="button"
+        onClick={onCancel}
+        style={{
+          padding: '8px 16px',
+          border: `1px solid ${theme.colors.border}`,
+          borderRadius: theme.borderRadius.small,
+          background: theme.colors.surface,
+          cursor: 'pointer',
+          color: theme.colors.text,
+          transition: 'all 0.2s',
+          ':hover': {
+            background: theme.colors.hover
+          }
+        }}
+        disabled={loading}
+      >
+        {cancelText || t('form.cancel')}
+      </button>
+      <button
+        type="submit"
+        onClick={onSubmit}
+        style={{
+          padding: '8px 16px',
+          border: 'none',
+          borderRadius: theme.borderRadius.small,
+          background: buttonVariants[submitVariant] || buttonVariants.primary,
+          color: theme.colors.onPrimary,
+          cursor: 'pointer',
+          transition: 'all 0.2s',
+          opacity: disabled ? 0.7 : 1,
+          ':hover': {
+            opacity: disabled ? 0.7 : 0.9
+          }
+        }}
+        disabled={loading || disabled}
+      >
+        {loading ? t('form.processing') : (submitText || t('form.save'))}
+      </button>
+    </div>
+  );
+});
+
+FormButtons.propTypes = {
+  onCancel: PropTypes.func.isRequired,
+  onSubmit: PropTypes.func.isRequired,
+  submitText: PropTypes.string,
+  cancelText: PropTypes.string,
+  submitVariant: PropTypes.oneOf(['primary', 'success', 'danger', 'warning', 'info']),
+  loading: PropTypes.bool,
+  disabled: PropTypes.bool
+};
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const PHONE_PATTERN = /^\+?[0-9\s\-()]{7,20}$/;
+
+// "HH:MM" → minutes since midnight
+const parseTimeOfDay = (time) => {
+  const [hours, minutes] = String(time).split(':').map(Number);
+  return hours * 60 + (minutes || 0);
+};
+
+// Windows are { from, to } in "HH:MM"; a `to` before `from` runs past midnight
+const timeWindowsOverlap = (a, b) => {
+  const toInterval = ({ from, to }) => {
+    const start = parseTimeOfDay(from);
+    const end = parseTimeOfDay(to);
+    return [start, end < start ? end + 1440 : end];
+  };
+  const [startA, endA] = toInterval(a);
+  const [startB, endB] = toInterval(b);
+  return [-1440, 0, 1440].some((shift) => startA < endB + shift && startB + shift < endA);
+};
+
+// Weekly schedules are { sun: [{ from, to }], mon: [...], ... }, keyed in Date#getUTCDay() order
+export const WEEKDAY_KEYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const MINUTES_PER_DAY = 1440;
+const MINUTES_PER_WEEK = 7 * MINUTES_PER_DAY;
+
+/**
+ * Flattens a weekly schedule into solver-ready windows sorted by start. `start`/`end` are
+ * minutes from Sunday 00:00; overnight windows end on the next day, so `end` may pass the
+ * end of the week (take it modulo 10080 to wrap Saturday nights onto Sunday).
+ * Incomplete windows and windows whose start equals their end are left out.
+ * @param {object} schedule - Weekly schedule keyed by WEEKDAY_KEYS
+ * @returns {array} [{ weekday, day, index, from, to, start, end, overnight }]
+ */
+export const normalizeTimeWindows = (schedule) => WEEKDAY_KEYS
+  .flatMap((weekday, day) => ((schedule && schedule[weekday]) || []).map((window, index) => ({ ...window, weekday, day, index })))
+  .filter(({ from, to }) => !isBlank(from) && !isBlank(to) && from !== to)
+  .map(({ weekday, day, index, from, to }) => {
+    const start = day * MINUTES_PER_DAY + parseTimeOfDay(from);
+    const overnight = to < from;
+    const end = day * MINUTES_PER_DAY + parseTimeOfDay(to) + (overnight ? MINUTES_PER_DAY : 0);
+    return { weekday, day, index, from, to, start, end, overnight };
+  })
+  .sort((a, b) => a.start - b.start);
+
+/**
+ * Finds overlapping windows in a weekly schedule, including overnight windows that run into
+ * the next day's windows (Saturday night wraps onto Sunday).
+ * @param {object} schedule - Weekly schedule keyed by WEEKDAY_KEYS
+ * @returns {object} Map of `${weekday}-${index}` → true for every window in a conflict
+ */
+export const findTimeWindowConflicts = (schedule) => {
+  const windows = normalizeTimeWindows(schedule);
+  const conflicts = {};
+  windows.forEach((window, i) => windows.slice(i + 1).forEach((other) => {
+    const overlaps = [-MINUTES_PER_WEEK, 0, MINUTES_PER_WEEK]
+      .some((shift) => window.start < other.end + shift && other.start + shift < window.end);
+    if (overlaps) {
+      conflicts[`${window.weekday}-${window.index}`] = true;
+      conflicts[`${other.weekday}-${other.index}`] = true;
+    }
+  }));
+  return conflicts;
+};
+
+/**
+ * Built-in validation rules for useForm
+ * Each factory returns a rule `(value, values, locale) => message | undefined`; empty values
+ * pass every rule except `required`, so rules compose freely. Without a custom message the
+ * rule reports the catalog message for useForm's locale (see LocaleProvider).
+ */
+export const validators = {
+  required: (message) => (value, values, { t } = defaultLocale) =>
+    (isBlank(value) || (Array.isArray(value) && value.length === 0) ? message || t('validation.required') : undefined),
+  email: (message) => (value, values, { t } = defaultLocale) =>
+    (isBlank(value) || EMAIL_PATTERN.test(String(value).trim()) ? undefined : message || t('validation.email')),
+  phone: (message) => (value, values, { t } = defaultLocale) =>
+    (isBlank(value) || PHONE_PATTERN.test(String(value).trim()) ? undefined : message || t('validation.phone')),
+  numeric: (message) => (value, values, { t } = defaultLocale) =>
+    (isBlank(value) || !Number.isNaN(Number(value)) ? undefined : message || t('validation.numeric')),
+  min: (min, message) => (value, values, { t } = defaultLocale) =>
+    (isBlank(value) || Number(value) >= min ? undefined : message || t('validation.min', { min })),
+  max: (max, message) => (value, values, { t } = defaultLocale) =>
+    (isBlank(value) || Number(value) <= max ? undefined : message || t('validation.max', { max })),
+  minLength: (length, message) => (value, values, { t } = defaultLocale) =>
+    (isBlank(value) || String(value).length >= length ? undefined : message || t('validation.minLength', { length })),
+  maxLength: (length, message) => (value, values, { t } = defaultLocale) =>
+    (isBlank(value) || String(value).length <= length ? undefined : message || t('validation.maxLength', { length })),
+  pattern: (pattern, message) => (value, values, { t } = defaultLocale) =>
+    (isBlank(value) || new RegExp(pattern).test(String(value)) ? undefined : message || t('validation.pattern')),
+  // Cross-field: this value must not sort before another field's value (ISO dates, "HH:MM" times)
+  notBefore: (field, message) => (value, values, { t } = defaultLocale) =>
+    (isBlank(value) || isBlank(values[field]) || value >= values[field] ? undefined : message || t('validation.notBefore')),
+  // For UnifiedDateRangePicker values ({ from, to })
+  dateRange: (message) => (value, values, { t } = defaultLocale) =>
+    (!value || isBlank(value.from) || isBlank(value.to) || value.to >= value.from ? undefined : message || t('validation.dateRange')),
+  // For lists of { from, to } time windows, or weekly schedules from TimeWindowEditor
+  noOverlappingWindows: (message) => (windows, values, { t } = defaultLocale) => {
+    let overlaps;
+    if (windows && !Array.isArray(windows) && typeof windows === 'object') {
+      overlaps = Object.keys(findTimeWindowConflicts(windows)).length > 0;
+    } else {
+      // Same rule as normalizeTimeWindows: incomplete and zero-length windows are left out
+      const complete = (windows || []).filter((w) => !isBlank(w.from) && !isBlank(w.to) && w.from !== w.to);
+      overlaps = complete.some((window, i) => complete.slice(i + 1).some((other) => timeWindowsOverlap(window, other)));
+    }
+    return overlaps ? message || t('validation.overlappingWindows') : undefined;
+  }
+};
+
+// Runs rules in order and stops at the first message; stays synchronous until a rule returns a promise
+const runRules = (rules, value, values, locale = defaultLocale, from = 0) => {
+  for (let i = from; i < rules.length; i++) {
+    const result = rules[i](value, values, locale);
+    if (result && typeof result.then === 'function') {
+      return result.then((error) => error || runRules(rules, value, values, locale, i + 1));
+    }
+    if (result) return result;
+  }
+  return undefined;
+};
+
+/**
+ * Form state and validation hook
+ * `register(name)` returns { id, name, value, onChange, onBlur, error } ready to spread onto
+ * FormField (or UnifiedDateRangePicker/UnifiedTimeRangePicker, whose onChange passes a value).
+ * Errors show once a field is validated: on change, on blur, or on submit depending on `mode`;
+ * after that the field re-validates on every change.
+ * @param {object} initialValues - Initial values keyed by field name
+ * @param {object} rules - Field rules keyed by name; a rule or an array of rules, sync or async
+ * @param {function} validate - Cross-field validation, (values) => ({ [name]: message })
+ * @param {object} deps - Fields to re-validate when another changes ({ from: ['to'] })
+ * @param {string} mode - When errors first appear (change, blur, submit)
+ * @param {function} onSubmit - Called with the values once everything is valid; may return a promise
+ * @param {function} onInvalid - Called with (errors, firstInvalidName) when submit is blocked
+ * @param {string} idPrefix - Prefix for generated field ids
+ * A rejected onSubmit is caught and exposed as `submitError` until the next submit or reset.
+ */
+export const useForm = ({
+  initialValues = {},
+  rules = {},
+  validate,
+  deps = {},
+  mode = 'blur',
+  onSubmit,
+  onInvalid,
+  idPrefix = 'form'
+} = {}) => {
+  const [baseline, setBaseline] = useState(initialValues);
+  const [values, setValuesState] = useState(initialValues);
+  const [fieldErrors, setFieldErrors] = useState({});
+  const [shown, setShown] = useState({});
+  const [validating, setValidating] = useState({});
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [submitError, setSubmitError] = useState(null);
+  const [submitCount, setSubmitCount] = useState(0);
+  const [focusRequest, setFocusRequest] = useState(null);
+  const locale = useLocale();
+
+  const state = useRef({});
+  state.current = { ...state.current, rules, validate, deps, mode, onSubmit, onInvalid, locale };
+  if (!state.current.values) state.current.values = values;
+  if (!state.current.shown) state.current.shown = shown;
+  const tokens = useRef({});
+  const fieldOrder = useRef([]);
+
+  const fieldId = useCallback((name) => `${idPrefix}-${name}`, [idPrefix]);
+
+  const crossErrors = (validate && validate(values)) || {};
+  const knownErrors = { ...crossErrors };
+  Object.keys(fieldErrors).forEach((name) => {
+    if (fieldErrors[name]) knownErrors[name] = fieldErrors[name];
+  });
+  const errors = Object.keys(knownErrors).reduce(
+    (acc, name) => (shown[name] ? { ...acc, [name]: knownErrors[name] } : acc),
+    {}
+  );
+
+  const showFields = useCallback((names) => {
+    const next = { ...state.current.shown };
+    names.forEach((name) => { next[name] = true; });
+    state.current.shown = next;
+    setShown(next);
+  }, []);
+
+  const validateField = useCallback((name, formValues = state.current.values) => {
+    const token = (tokens.current[name] || 0) + 1;
+    tokens.current[name] = token;
+
+    const apply = (error) => {
+      if (tokens.current[name] === token) {
+        setFieldErrors((prev) => ({ ...prev, [name]: error }));
+        setValidating((prev) => (prev[name] ? { ...prev, [name]: false } : prev));
+      }
+      return error;
+    };
+
+    const { rules: formRules, locale: formLocale } = state.current;
+    const result = runRules([].concat(formRules[name] || []), formValues[name], formValues, formLocale);
+    if (result && typeof result.then === 'function') {
+      setValidating((prev) => ({ ...prev, [name]: true }));
+      return result.then(apply, (err) => apply((err && err.message) || formLocale.t('validation.failed')));
+    }
+    return apply(result);
+  }, []);
+
+  const setValue = useCallback((name, value) => {
+    const next = { ...state.current.values, [name]: value };
+    state.current.values = next;
+    setValuesState(next);
+
+    const { mode: currentMode, deps: currentDeps, shown: currentShown } = state.current;
+    if (currentMode === 'change' && !currentShown[name]) showFields([name]);
+    if (currentMode === 'change' || state.current.shown[name]) validateField(name, next);
+    (currentDeps[name] || []).forEach((dependent) => {
+      if (state.current.shown[dependent]) validateField(dependent, next);
+    });
+  }, [validateField, showFields]);
+
+  const handleBlur = useCallback((name) => {
+    if (state.current.mode === 'submit') return;
+    if (!state.current.shown[name]) showFields([name]);
+    validateField(name);
+  }, [validateField, showFields]);
+
+  const register = (name) => {
+    if (!fieldOrder.current.includes(name)) fieldOrder.current.push(name);
+    return {
+      id: fieldId(name),
+      name,
+      value: values[name] ?? '',
+      onChange: (eventOrValue) => setValue(
+        name,
+        eventOrValue && eventOrValue.target
+          ? (eventOrValue.target.type === 'checkbox' ? eventOrValue.target.checked : eventOrValue.target.value)
+          : eventOrValue
+      ),
+      onBlur: () => handleBlur(name),
+      error: errors[name]
+    };
+  };
+
+  const validateForm = useCallback(async () => {
+    const { values: formValues, rules: formRules, validate: formValidate } = state.current;
+    const cross = (formValidate && formValidate(formValues)) || {};
+    const names = [...new Set([...fieldOrder.current, ...Object.keys(formRules), ...Object.keys(cross)])];
+    showFields(names);
+
+    const results = await Promise.all(names.map((name) => validateField(name, formValues)));
+    return names.reduce((acc, name, i) => {
+      const error = results[i] || cross[name];
+      return error ? { ...acc, [name]: error } : acc;
+    }, {});
+  }, [validateField, showFields]);
+
+  // The guard is taken before validation so a double submit can't slip in while async rules run
+  const handleSubmit = useCallback(async (e) => {
+    if (e && e.preventDefault) e.preventDefault();
+    if (state.current.submitting) return false;
+    state.current.submitting = true;
+    setSubmitCount((count) => count + 1);
+    setSubmitError(null);
+
+    try {
+      const formErrors = await validateForm();
+      const firstInvalid = Object.keys(formErrors)[0];
+      if (firstInvalid) {
+        if (state.current.onInvalid) state.current.onInvalid(formErrors, firstInvalid);
+        setFocusRequest({ name: firstInvalid });
+        return false;
+      }
+
+      if (!state.current.onSubmit) return true;
+      setIsSubmitting(true);
+      await state.current.onSubmit(state.current.values);
+      return true;
+    } catch (err) {
+      setSubmitError(err || new Error());
+      return false;
+    } finally {
+      state.current.submitting = false;
+      setIsSubmitting(false);
+    }
+  }, [validateForm]);
+
+  // Focus after commit so a section opened by onInvalid has rendered the field
+  useEffect(() => {
+    if (!focusRequest) return;
+    const element = document.getElementById(fieldId(focusRequest.name));
+    if (element) element.focus();
+  }, [focusRequest, fieldId]);
+
+  const reset = useCallback((nextValues) => {
+    const next = nextValues || baseline;
+    Object.keys(tokens.current).forEach((name) => { tokens.current[name] += 1; });
+    state.current.values = next;
+    state.current.shown = {};
+    setBaseline(next);
+    setValuesState(next);
+    setFieldErrors({});
+    setShown({});
+    setValidating({});
+    setSubmitError(null);
+  }, [baseline]);
+
+  const dirty = [...new Set([...Object.keys(values), ...Object.keys(baseline)])]
+    .some((name) => values[name] !== baseline[name]);
+
+  return {
+    values,
+    errors,
+    dirty,
+    isValid: Object.keys(knownErrors).length === 0,
+    isValidating: Object.values(validating).some(Boolean),
+    isSubmitting,
+    submitError,
+    submitCount,
+    register,
+    fieldId,
+    setValue,
+    validateField,
+    validateForm,
+    handleSubmit,
+    reset
+  };
+};
+
+// Declarative `visibleWhen`: a predicate, or { field, equals } / { field, oneOf } / { field } (non-empty)
+const isFieldVisible = (field, values) => {
+  const { visibleWhen } = field;
+  if (!visibleWhen) return true;
+  if (typeof visibleWhen === 'function') return visibleWhen(values);
+  const value = values[visibleWhen.field];
+  if ('equals' in visibleWhen) return value === visibleWhen.equals;
+  if (visibleWhen.oneOf) return visibleWhen.oneOf.includes(value);
+  return !isBlank(value);
+};
+
+// Schema constraints become useForm rules; hidden fields never report errors
+const buildSchemaRule = (field) => {
+  const { label } = field;
+  const rules = [];
+  // Reports a catalog message that names the field instead of the rule's generic one
+  const labelled = (rule, key, params) => (value, values, locale = defaultLocale) =>
+    (rule(value, values, locale) ? locale.t(key, { label, ...params }) : undefined);
+
+  if (field.required) rules.push(labelled(validators.required(), 'schema.required'));
+
+  if (field.type === 'number') {
+    rules.push(labelled(validators.numeric(), 'schema.numeric'));
+    if (field.min !== undefined) rules.push(labelled(validators.min(field.min), 'schema.min', { min: field.min }));
+    if (field.max !== undefined) rules.push(labelled(validators.max(field.max), 'schema.max', { max: field.max }));
+  } else if (field.type === 'date') {
+    if (field.min) rules.push(labelled((value) => !isBlank(value) && value < field.min, 'schema.minDate', { min: field.min }));
+    if (field.max) rules.push(labelled((value) => !isBlank(value) && value > field.max, 'schema.maxDate', { max: field.max }));
+  } else if (field.type === 'email') {
+    rules.push(validators.email());
+  }
+
+  if (field.format === 'phone') rules.push(validators.phone());
+  if (field.minLength !== undefined) {
+    rules.push(labelled(validators.minLength(field.minLength), 'schema.minLength', { length: field.minLength }));
+  }
+  if (field.maxLength !== undefined) {
+    rules.push(labelled(validators.maxLength(field.maxLength), 'schema.maxLength', { length: field.maxLength }));
+  }
+  if (field.pattern) {
+    rules.push(field.patternMessage
+      ? validators.pattern(field.pattern, field.patternMessage)
+      : labelled(validators.pattern(field.pattern), 'schema.pattern'));
+  }
+  if (field.validate) rules.push(field.validate);
+
+  return (value, values, locale) => (isFieldVisible(field, values) ? runRules(rules, value, values, locale) : undefined);
+};
+
+// Inputs hold strings; number fields are submitted as numbers (or null when empty)
+const coerceSchemaValue = (field, value) => {
+  if (field.type !== 'number') return value;
+  return isBlank(value) ? null : Number(value);
+};
+
+const getSchemaSections = (schema) => schema.sections || [{ fields: schema.fields || [] }];
+
+/**
+ * Schema-driven Form Component
+ * Renders FormField/FormButtons from a field description, tracks values, dirty state and
+ * submission, and reports field errors through FormField's `error` prop.
+ * `initialValues` is read on mount – remount with a new `key` to load another record.
+ * @param {object} schema - { fields, validate } or { sections: [{ title, collapsed, fields }], validate }
+ * @param {object} initialValues - Initial values keyed by field name
+ * @param {function} onSubmit - Submit handler, receives the visible values; may return a promise, whose rejection is shown
+ * @param {function} onCancel - Cancel handler (defaults to resetting the form)
+ * @param {function} onChange - Called with the full values object on every change
+ * @param {function} onDirtyChange - Called when the dirty flag flips
+ * @param {string} submitText - Submit button text
+ * @param {string} cancelText - Cancel button text
+ * @param {string} submitVariant - Submit button variant
+ * @param {string} mode - When field errors first appear (change, blur, submit)
+ * @param {string} idPrefix - Prefix for generated field ids
+ */
+export const SchemaForm = ({
+  schema,
+  initialValues = {},
+  onSubmit,
+  onCancel,
+  onChange,
+  onDirtyChange,
+  submitText,
+  cancelText,
+  submitVariant,
+  mode = 'blur',
+  idPrefix = 'schema-form'
+}) => {
+  const theme = useTheme();
+  const { t } = useLocale();
+  const sections = useMemo(() => getSchemaSections(schema), [schema]);
+  const fields = useMemo(() => sections.flatMap((section) => section.fields), [sections]);
+  const rules = useMemo(
+    () => fields.reduce((acc, field) => ({ ...acc, [field.name]: buildSchemaRule(field) }), {}),
+    [fields]
+  );
+  const [openSections, setOpenSections] = useState(
+    () => sections.map((section) => !section.collapsed)
+  );
+
+  const [initial] = useState(() => fields.reduce((acc, field) => ({
+    ...acc,
+    [field.name]: initialValues[field.name] ?? field.defaultValue ?? ''
+  }), {}));
+
+  const form = useForm({
+    initialValues: initial,
+    rules,
+    validate: schema.validate,
+    mode,
+    idPrefix,
+    onInvalid: (errors, firstInvalid) => {
+      const sectionIndex = sections.findIndex((section) => section.fields.some((field) => field.name === firstInvalid));
+      if (sectionIndex !== -1 && !openSections[sectionIndex]) {
+        setOpenSections((prev) => prev.map((open, i) => open || i === sectionIndex));
+      }
+    },
+    onSubmit: async (values) => {
+      const submitted = fields
+        .filter((field) => isFieldVisible(field, values))
+        .reduce((acc, field) => ({ ...acc, [field.name]: coerceSchemaValue(field, values[field.name]) }), {});
+      await onSubmit(submitted);
+      form.reset(values);
+    }
+  });
+  const { values, dirty, isSubmitting, submitError } = form;
+
+  const lastDirty = useRef(dirty);
+  useEffect(() => {
+    if (lastDirty.current === dirty) return;
+    lastDirty.current = dirty;
+    if (onDirtyChange) onDirtyChange(dirty);
+  }, [dirty, onDirtyChange]);
+
+  const lastValues = useRef(values);
+  useEffect(() => {
+    if (lastValues.current === values) return;
+    lastValues.current = values;
+    if (onChange) onChange(values);
+  }, [values, onChange]);
+
+  const renderField = (field) => (
+    <FormField
+      key={field.name}
+      {...form.register(field.name)}
+      label={field.label}
+      type={field.type || 'text'}
+      required={field.required}
+      options={field.options}
+      placeholder={field.placeholder || (field.type === 'select' ? t('form.selectPlaceholder') : '')}
+      min={field.min}
+      max={field.max}
+      step={field.step}
+      unit={field.unit}
+      disabled={field.disabled || isSubmitting}
+    />
+  );
+
+  return (
+    <form onSubmit={form.handleSubmit} noValidate>
+      {sections.map((section, index) => {
+        const content = section.fields
+          .filter((field) => isFieldVisible(field, values))
+          .map(renderField);
+
+        if (!section.title) return <div key={index}>{content}</div>;
+
+        return (
+          <div key={section.title} style={{ marginBottom: theme.spacing.medium }}>
+            <CollapsiblePanel
+              title={section.title}
+              open={openSections[index]}
+              onToggle={(open) => setOpenSections((prev) => prev.map((value, i) => (i === index ? open : value)))}
+            >
+              {content}
+            </CollapsiblePanel>
+          </div>
+        );
+      })}
+      {submitError && (
+        <div role="alert" style={{
+          marginBottom: theme.spacing.medium,
+          padding: `${theme.spacing.xsmall} ${theme.spacing.small}`,
+          borderRadius: theme.borderRadius.small,
+          background: theme.tones.danger.background,
+          color: theme.tones.danger.color,
+          fontSize: theme.typography.fontSize.small
+        }}>
+          {submitError.message || t('form.submitFailed')}
+        </div>
+      )}
+      <FormButtons
+        onCancel={onCancel || (() => form.reset())}
+        onSubmit={form.handleSubmit}
+        submitText={submitText}
+        cancelText={cancelText}
+        submitVariant={submitVariant}
+        loading={isSubmitting}
+      />
+    </form>
+  );
+};
+
+const schemaFieldShape = PropTypes.shape({
+  name: PropTypes.string.isRequired,
+  label: PropTypes.string.isRequired,
+  type: PropTypes.oneOf(['text', 'password', 'email', 'number', 'select', 'textarea', 'date']),
+  required: PropTypes.bool,
+  options: PropTypes.array,
+  placeholder: PropTypes.string,
+  defaultValue: PropTypes.any,
+  min: PropTypes.oneOfType([PropTypes.number, PropTypes.string]),
+  max: PropTypes.oneOfType([PropTypes.number, PropTypes.string]),
+  step: PropTypes.oneOfType([PropTypes.number, PropTypes.string]),
+  unit: PropTypes.string,
+  minLength: PropTypes.number,
+  maxLength: PropTypes.number,
+  pattern: PropTypes.string,
+  patternMessage: PropTypes.string,
+  format: PropTypes.oneOf(['phone']),
+  validate: PropTypes.func,
+  visibleWhen: PropTypes.oneOfType([PropTypes.func, PropTypes.object]),
+  disabled: PropTypes.bool
+});
+
+SchemaForm.propTypes = {
+  schema: PropTypes.shape({
+    fields: PropTypes.arrayOf(schemaFieldShape),
+    sections: PropTypes.arrayOf(PropTypes.shape({
+      title: PropTypes.string,
+      collapsed: PropTypes.bool,
+      fields: PropTypes.arrayOf(schemaFieldShape).isRequired
+    })),
+    validate: PropTypes.func
+  }).isRequired,
+  initialValues: PropTypes.object,
+  onSubmit: PropTypes.func.isRequired,
+  onCancel: PropTypes.func,
+  onChange: PropTypes.func,
+  onDirtyChange: PropTypes.func,
+  submitText: PropTypes.string,
+  cancelText: PropTypes.string,
+  submitVariant: PropTypes.oneOf(['primary', 'success', 'danger', 'warning', 'info']),
+  mode: PropTypes.oneOf(['change', 'blur', 'submit']),
+  idPrefix: PropTypes.string
+};
+
+const DialogContext = createContext(null);
+
+const ConfirmDialog = ({ options, onResolve }) => {
+  const theme = useTheme();
+  const { t } = useLocale();
+  return (
+    <UnifiedModal isOpen onClose={() => onResolve(false)} title={options.title || t('dialog.confirmTitle')} size="sm">
+      {options.message && (
+        <p style={{ margin: 0, color: theme.colors.textMuted, fontSize: theme.typography.fontSize.medium }}>
+          {options.message}
+        </p>
+      )}
+      <FormButtons
+        onCancel={() => onResolve(false)}
+        onSubmit={() => onResolve(true)}
+        submitText={options.confirmText || t('dialog.confirm')}
+        cancelText={options.cancelText}
+        submitVariant={options.variant}
+      />
+    </UnifiedModal>
+  );
+};
+
+const PromptDialog = ({ options, onResolve }) => {
+  const theme = useTheme();
+  const { t } = useLocale();
+  const [value, setValue] = useState(options.defaultValue ?? '');
+  const [error, setError] = useState();
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    const message = options.required && isBlank(value)
+      ? t('validation.required')
+      : options.validate && options.validate(value);
+    if (message) {
+      setError(message);
+      return;
+    }
+    onResolve(value);
+  };
+
+  return (
+    <UnifiedModal isOpen onClose={() => onResolve(null)} title={options.title || t('dialog.promptTitle')} size="sm">
+      <form onSubmit={handleSubmit} noValidate>
+        {options.message && (
+          <p style={{ margin: `0 0 ${theme.spacing.medium} 0`, color: theme.colors.textMuted }}>
+            {options.message}
+          </p>
+        )}
+        <FormField
+          label={options.label || t('dialog.promptLabel')}
+          type={options.type || 'text'}
+          value={value}
+          onChange={(e) => {
+            setValue(e.target.value);
+            setError(undefined);
+          }}
+          placeholder={options.placeholder}
+          required={options.required}
+          error={error}
+        />
+        <FormButtons
+          onCancel={() => onResolve(null)}
+          onSubmit={handleSubmit}
+          submitText={options.confirmText || t('dialog.ok')}
+          cancelText={options.cancelText}
+          submitVariant={options.variant}
+        />
+      </form>
+    </UnifiedModal>
+  );
+};
+
+/**
+ * Dialog Provider Component
+ * Hosts the imperative dialogs returned by useDialog(); mount once near the app root.
+ * @param {ReactNode} children - Child components
+ */
+export const DialogProvider = ({ children }) => {
+  const [dialogs, setDialogs] = useState([]);
+
+  const open = useCallback((kind, options) => new Promise((resolve) => {
+    const normalized = typeof options === 'string' ? { message: options } : options || {};
+    const id = `dialog-${Math.random().toString(36).slice(2, 9)}`;
+    setDialogs((prev) => [...prev, { id, kind, options: normalized, resolve }]);
+  }), []);
+
+  const value = useMemo(() => ({
+    confirm: (options) => open('confirm', options),
+    prompt: (options) => open('prompt', options)
+  }), [open]);
+
+  const resolveDialog = (dialog, result) => {
+    setDialogs((prev) => prev.filter((d) => d.id !== dialog.id));
+    dialog.resolve(result);
+  };
+
+  return (
+    <DialogContext.Provider value={value}>
+      {children}
+      {dialogs.map((dialog) => {
+        const Dialog = dialog.kind === 'prompt' ? PromptDialog : ConfirmDialog;
+        return (
+          <Dialog
+            key={dialog.id}
+            options={dialog.options}
+            onResolve={(result) => resolveDialog(dialog, result)}
+          />
+        );
+      })}
+    </DialogContext.Provider>
+  );
+};
+
+DialogProvider.propTypes = {
+  children: PropTypes.node
+};
+
+/**
+ * Imperative confirm/prompt dialogs
+ * confirm({ title, message, confirmText, cancelText, variant }) resolves true/false;
+ * prompt({ title, message, label, type, defaultValue, placeholder, required, validate, ... })
+ * resolves the entered string, or null when cancelled. Both also accept a plain message string.
+ * @returns {object} { confirm, prompt }
+ */
+export const useDialog = () => {
+  const dialog = useContext(DialogContext);
+  if (!dialog) throw new Error('useDialog must be used inside a DialogProvider');
+  return dialog;
+};
+
+/**
+ * Unified Avatar Component
+ * @param {ReactComponent} icon - Icon component
+ * @param {string} name - Name for fallback
+ * @param {string} label - Short text shown instead of the name's initial (e.g. a stop number)
+ * @param {string} gradient - Background gradient
+ * @param {string} size - Avatar size (sm, md, lg)
+ */
+export const Avatar = memo(({ 
+  icon: Icon, 
+  name, 
+  label,
+  gradient, 
   size = 'md',
   src,
+  style,
   ...props 
 }) => {
-  const sizes = {
-    sm: { width: '32px', height: '32px', fontSize: '12px' },
-    md: { width: '40px', height: '40px', fontSize: '14px' },
-    lg: { width: '48px', height: '48px', fontSize: '16px' }
+  const theme = useTheme();
+  const sizes = {
+    sm: { width: '32px', height: '32px', fontSize: '12px' },
+    md: { width: '40px', height: '40px', fontSize: '14px' },
+    lg: { width: '48px', height: '48px', fontSize: '16px' }
+  };
+
+  const sizeStyle = sizes[size] || sizes.md;
+
+  return (
+    <div 
+      style={{
+        width: sizeStyle.width,
+        height: sizeStyle.height,
+        background: src ? 'transparent' : gradient || brandGradient(theme),
+        borderRadius: '50%',
+        display: 'flex',
+        alignItems: 'center',
+        justifyContent: 'center',
+        overflow: 'hidden',
+        ...style
+      }}
+      {...props}
+    >
+      {src ? (
+        <img 
+          src={src} 
+          alt={name || ''} 
+          style={{ 
+            width: '100%', 
+            height: '100%', 
+            objectFit: 'cover' 
+          }} 
+        />
+      ) : Icon ? (
+        <Icon size={parseInt(sizeStyle.width) / 2} color={theme.colors.onPrimary} />
+      ) : (
+        <span style={{ 
+          color: theme.colors.onPrimary, 
+          fontWeight: 'bold', 
+          fontSize: sizeStyle.fontSize,
+          textTransform: 'uppercase'
+        }}>
+          {label ?? (name?.charAt(0) || 'A')}
+        </span>
+      )}
+    </div>
+  );
+});
+
+Avatar.propTypes = {
+  icon: PropTypes.elementType,
+  name: PropTypes.string,
+  label: PropTypes.string,
+  style: PropTypes.object,
+  gradient: PropTypes.string,
+  size: PropTypes.oneOf(['sm', 'md', 'lg']),
+  src: PropTypes.string
+};
+
+/**
+ * Unified Contact Info Component
+ * @param {string} email - Email address
+ * @param {string} phone - Phone number
+ * @param {ReactComponent} MailIcon - Mail icon component
+ * @param {ReactComponent} PhoneIcon - Phone icon component
+ * @param {string} size - Size of the component (sm, md, lg)
+ */
+export const ContactInfo = memo(({ 
+  email, 
+  phone, 
+  MailIcon, 
+  PhoneIcon,
+  size = 'md'
+}) => {
+  const theme = useTheme();
+  const sizes = {
+    sm: { fontSize: '12px', iconSize: 12 },
+    md: { fontSize: '14px', iconSize: 14 },
+    lg: { fontSize: '16px', iconSize: 16 }
+  };
+
+  const sizeStyle = sizes[size] || sizes.md;
+
+  return (
+    <div style={{ display: 'flex', flexDirection: 'column', gap: '4px' }}>
+      {email && (
+        <div style={{ display: 'flex', alignItems: 'center', gap: '6px' }}>
+          <MailIcon size={sizeStyle.iconSize} color={theme.colors.textMuted} />
+          <span style={{ 
+            fontSize: sizeStyle.fontSize, 
+            color: theme.colors.textStrong 
+          }}>
+            {email}
+          </span>
+        </div>
+      )}
+      {phone && (
+        <div style={{ display: 'flex', alignItems: 'center', gap: '6px' }}>
+          <PhoneIcon size={sizeStyle.iconSize} color={theme.colors.textMuted} />
+          <span style={{ 
+            fontSize: sizeStyle.fontSize, 
+            color: theme.colors.textStrong 
+          }}>
+            {phone}
+          </span>
+        </div>
+      )}
+    </div>
+  );
+});
+
+ContactInfo.propTypes = {
+  email: PropTypes.string,
+  phone: PropTypes.string,
+  MailIcon: PropTypes.elementType,
+  PhoneIcon: PropTypes.elementType,
+  size: PropTypes.oneOf(['sm', 'md', 'lg'])
+};
+
+// "start"/"end" corners follow the text direction; "left"/"right" stay put in RTL
+const TOAST_POSITIONS = [
+  'top-start', 'top-end', 'bottom-start', 'bottom-end',
+  'top-left', 'top-right', 'bottom-left', 'bottom-right'
+];
+
+// The provider stacks by logical corner, so "top-left" and "top-start" share a stack in LTR
+const LOGICAL_TOAST_POSITIONS = TOAST_POSITIONS.slice(0, 4);
+
+const toLogicalToastPosition = (position, isRTL) => {
+  const [vertical, horizontal] = position.split('-');
+  if (horizontal !== 'left' && horizontal !== 'right') return position;
+  return `${vertical}-${(horizontal === 'left') !== isRTL ? 'start' : 'end'}`;
+};
+
+const getToastPositionStyle = (theme, position) => {
+  const [vertical, horizontal] = position.split('-');
+  const horizontalProperty = {
+    start: 'insetInlineStart',
+    end: 'insetInlineEnd',
+    left: 'left',
+    right: 'right'
+  }[horizontal] || 'insetInlineEnd';
+  return {
+    [vertical === 'top' ? 'top' : 'bottom']: theme.spacing.large,
+    [horizontalProperty]: theme.spacing.large
+  };
+};
+
+// setTimeout that pauses and resumes without losing elapsed time; a new `resetKey` restarts it
+const usePausableTimer = (duration, onExpire, paused, resetKey) => {
+  const onExpireRef = useRef(onExpire);
+  onExpireRef.current = onExpire;
+  const remaining = useRef(duration);
+  const lastStart = useRef({ duration, resetKey });
+
+  useEffect(() => {
+    if (lastStart.current.duration !== duration || lastStart.current.resetKey !== resetKey) {
+      lastStart.current = { duration, resetKey };
+      remaining.current = duration;
+    }
+    if (!duration || paused) return undefined;
+
+    const startedAt = Date.now();
+    const timer = setTimeout(() => {
+      if (onExpireRef.current) onExpireRef.current();
+    }, remaining.current);
+    return () => {
+      clearTimeout(timer);
+      remaining.current = Math.max(0, remaining.current - (Date.now() - startedAt));
+    };
+  }, [duration, paused, resetKey]);
+};
+
+// Toast body shared by the standalone Toast and ToastProvider stacks
+const ToastCard = ({ message, type = 'info', onClose, onExpire, duration, action, count = 1, resetKey, role }) => {
+  const theme = useTheme();
+  const { t } = useLocale();
+  const [paused, setPaused] = useState(false);
+  usePausableTimer(duration, onExpire, paused, resetKey);
+
+  const toastStyles = {
+    success: { ...theme.tones.success, icon: CheckIcon },
+    error: { ...theme.tones.danger, icon: XIcon },
+    warning: { ...theme.tones.warning, icon: ExclamationIcon },
+    info: { ...theme.tones.info, icon: ExclamationIcon }
+  };
+
+  const { background, color, icon: Icon } = toastStyles[type] || toastStyles.info;
+
+  return (
+    <div 
+      role={role}
+      onMouseEnter={() => setPaused(true)}
+      onMouseLeave={() => setPaused(false)}
+      onFocus={() => setPaused(true)}
+      onBlur={(e) => {
+        if (!e.currentTarget.contains(e.relatedTarget)) setPaused(false);
+      }}
+      style={{
+        padding: `${theme.spacing.medium} ${theme.spacing.large}`,
+        background,
+        color,
+        borderRadius: theme.borderRadius.medium,
+        boxShadow: theme.shadows.medium,
+        display: 'flex',
+        alignItems: 'center',
+        gap: theme.spacing.small,
+        animation: 'fadeIn 0.3s ease-out'
+      }}
+    >
+      <Icon size={20} color={color} />
+      <span>{message}</span>
+      {count > 1 && (
+        <span style={{
+          padding: '0 6px',
+          borderRadius: theme.borderRadius.pill,
+          border: `1px solid ${color}`,
+          fontSize: theme.typography.fontSize.small,
+          fontWeight: theme.typography.fontWeight.semibold
+        }}>
+          ×{count}
+        </span>
+      )}
+      {action && (
+        <button
+          type="button"
+          onClick={action.onClick}
+          style={{
+            background: 'none',
+            border: `1px solid ${color}`,
+            borderRadius: theme.borderRadius.small,
+            padding: '2px 10px',
+            marginInlineStart: theme.spacing.small,
+            color,
+            fontWeight: theme.typography.fontWeight.semibold,
+            cursor: 'pointer'
+          }}
+        >
+          {action.label}
+        </button>
+      )}
+      {onClose && (
+        <button 
+          type="button"
+          onClick={onClose} 
+          style={{ 
+            background: 'none', 
+            border: 'none', 
+            cursor: 'pointer',
+            marginInlineStart: theme.spacing.small,
+            color
+          }}
+          aria-label={t('toast.close')}
+        >
+          <XIcon size={16} />
+        </button>
+      )}
+    </div>
+  );
+};
+
+/**
+ * Unified Toast Notification Component
+ * Standalone, self-positioned toast. Use ToastProvider/useToast to queue and stack several.
+ * @param {string} message - Toast message
+ * @param {string} type - Toast type (success, error, warning, info)
+ * @param {function} onClose - Close handler
+ * @param {number} duration - Auto-close duration in ms (paused while hovered or focused)
+ * @param {string} position - Screen corner (top-start, bottom-end, ...; -start/-end follow the text direction, -left/-right are fixed)
+ * @param {object} action - Optional action button ({ label, onClick })
+ */
+export const Toast = memo(({ 
+  message, 
+  type = 'info', 
+  onClose, 
+  duration = 5000,
+  position = 'bottom-end',
+  action
+}) => {
+  const theme = useTheme();
+  const [visible, setVisible] = React.useState(true);
+
+  if (!visible) return null;
+
+  return (
+    <div style={{ position: 'fixed', zIndex: 1100, ...getToastPositionStyle(theme, position) }}>
+      <ToastCard
+        message={message}
+        type={type}
+        duration={duration}
+        action={action}
+        onClose={onClose}
+        onExpire={() => {
+          setVisible(false);
+          if (onClose) onClose();
+        }}
+        role={type === 'error' ? 'alert' : 'status'}
+      />
+    </div>
+  );
+});
+
+Toast.propTypes = {
+  message: PropTypes.string.isRequired,
+  type: PropTypes.oneOf(['success', 'error', 'warning', 'info']),
+  onClose: PropTypes.func,
+  duration: PropTypes.number,
+  position: PropTypes.oneOf(TOAST_POSITIONS),
+  action: PropTypes.shape({
+    label: PropTypes.string.isRequired,
+    onClick: PropTypes.func.isRequired
+  })
+};
+
+const ToastContext = createContext(null);
+
+/**
+ * Toast Provider Component
+ * Queues toasts fired through useToast(), stacks them per screen corner and announces
+ * them through ARIA live regions. A toast identical to one already shown or queued
+ * (same type, position and message) bumps that toast's counter and restarts its timer.
+ * @param {ReactNode} children - Child components
+ * @param {number} maxVisible - Toasts shown per position; the rest wait in the queue
+ * @param {number} defaultDuration - Auto-close duration in ms (0 keeps toasts open)
+ * @param {string} defaultPosition - Position used when a toast does not name one
+ */
+export const ToastProvider = ({
+  children,
+  maxVisible = 3,
+  defaultDuration = 5000,
+  defaultPosition = 'bottom-end'
+}) => {
+  const theme = useTheme();
+  const { isRTL } = useLocale();
+  const [toasts, setToasts] = useState([]);
+  const [announcements, setAnnouncements] = useState({ polite: '', assertive: '' });
+  const toastsRef = useRef([]);
+  const nextId = useRef(0);
+
+  const commit = useCallback((next) => {
+    toastsRef.current = next;
+    setToasts(next);
+  }, []);
+
+  const dismiss = useCallback((id) => {
+    commit(toastsRef.current.filter((toast) => toast.id !== id));
+  }, [commit]);
+
+  const clear = useCallback(() => commit([]), [commit]);
+
+  const show = useCallback((options) => {
+    const { message, type = 'info', position = defaultPosition, duration = defaultDuration, action } =
+      typeof options === 'string' ? { message: options } : options;
+    const dedupeKey = `${type}|${toLogicalToastPosition(position, isRTL)}|${message}`;
+    const existing = toastsRef.current.find((toast) => toast.dedupeKey === dedupeKey);
+
+    setAnnouncements((prev) => ({ ...prev, [type === 'error' ? 'assertive' : 'polite']: message }));
+
+    if (existing) {
+      commit(toastsRef.current.map((toast) => (
+        toast === existing ? { ...toast, count: toast.count + 1, resetKey: toast.resetKey + 1 } : toast
+      )));
+      return existing.id;
+    }
+
+    nextId.current += 1;
+    const id = `toast-${nextId.current}`;
+    commit([...toastsRef.current, { id, message, type, position, duration, action, dedupeKey, count: 1, resetKey: 0 }]);
+    return id;
+  }, [commit, defaultDuration, defaultPosition, isRTL]);
+
+  const value = useMemo(() => ({
+    show,
+    dismiss,
+    clear,
+    success: (message, options) => show({ ...options, message, type: 'success' }),
+    error: (message, options) => show({ ...options, message, type: 'error' }),
+    warning: (message, options) => show({ ...options, message, type: 'warning' }),
+    info: (message, options) => show({ ...options, message, type: 'info' })
+  }), [show, dismiss, clear]);
+
+  return (
+    <ToastContext.Provider value={value}>
+      {children}
+      {LOGICAL_TOAST_POSITIONS.map((position) => {
+        const stack = toasts
+          .filter((toast) => toLogicalToastPosition(toast.position, isRTL) === position)
+          .slice(0, maxVisible);
+        if (stack.length === 0) return null;
+        return (
+          <div
+            key={position}
+            style={{
+              position: 'fixed',
+              zIndex: 1100,
+              display: 'flex',
+              flexDirection: position.startsWith('top') ? 'column' : 'column-reverse',
+              gap: theme.spacing.small,
+              ...getToastPositionStyle(theme, position)
+            }}
+          >
+            {stack.map((toast) => (
+              <ToastCard
+                key={toast.id}
+                message={toast.message}
+                type={toast.type}
+                duration={toast.duration}
+                count={toast.count}
+                resetKey={toast.resetKey}
+                action={toast.action && {
+                  label: toast.action.label,
+                  onClick: () => {
+                    toast.action.onClick();
+                    dismiss(toast.id);
+                  }
+                }}
+                onClose={() => dismiss(toast.id)}
+                onExpire={() => dismiss(toast.id)}
+              />
+            ))}
+          </div>
+        );
+      })}
+      <div role="status" aria-live="polite" style={visuallyHidden}>{announcements.polite}</div>
+      <div role="alert" aria-live="assertive" style={visuallyHidden}>{announcements.assertive}</div>
+    </ToastContext.Provider>
+  );
+};
+
+ToastProvider.propTypes = {
+  children: PropTypes.node,
+  maxVisible: PropTypes.number,
+  defaultDuration: PropTypes.number,
+  defaultPosition: PropTypes.oneOf(TOAST_POSITIONS)
+};
+
+/**
+ * Fire toasts from anywhere below a ToastProvider
+ * show({ message, type, duration, position, action }) returns the toast id; success/error/
+ * warning/info(message, options) are shorthands; dismiss(id) and clear() remove toasts.
+ * @returns {object} { show, success, error, warning, info, dismiss, clear }
+ */
+export const useToast = () => {
+  const toast = useContext(ToastContext);
+  if (!toast) throw new Error('useToast must be used inside a ToastProvider');
+  return toast;
+};
+
+/**
+ * Unified Empty State Component
+ * @param {ReactComponent} icon - Icon component
+ * @param {string} title - Title text
+ * @param {string} description - Description text
+ * @param {ReactNode} action - Action button/component
+ */
+export const EmptyState = memo(({ 
+  icon: Icon, 
+  title, 
+  description, 
+  action 
+}) => {
+  const theme = useTheme();
+
+  return (
+    <div style={{ 
+      textAlign: 'center', 
+      padding: theme.spacing.large,
+      maxWidth: '400px',
+      margin: '0 auto'
+    }}>
+      {Icon && (
+        <div style={{ 
+          marginBottom: theme.spacing.medium,
+          color: theme.colors.textSubtle
+        }}>
+          <Icon size={48} />
+        </div>
+      )}
+      <h3 style={{ 
+        margin: `0 0 ${theme.spacing.small} 0`, 
+        fontSize: theme.typography.fontSize.xlarge, 
+        fontWeight: theme.typography.fontWeight.semibold,
+        color: theme.colors.text
+      }}>
+        {title}
+      </h3>
+      <p style={{ 
+        margin: `0 0 ${theme.spacing.medium} 0`, 
+        color: theme.colors.textMuted, 
+        fontSize: theme.typography.fontSize.medium 
+      }}>
+        {description}
+      </p>
+      {action}
+    </div>
+  );
+});
+
+EmptyState.propTypes = {
+  icon: PropTypes.elementType,
+  title: PropTypes.string,
+  description: PropTypes.string,
+  action: PropTypes.node
+};
+
+/**
+ * Unified Loading Component
+ * @param {string} size - Loading size (sm, md, lg)
+ * @param {string} color - Loading color
+ */
+export const Loading = memo(({ 
+  size = 'md', 
+  color: colorProp 
+}) => {
+  const theme = useTheme();
+  const color = colorProp || theme.colors.primary;
+  const sizes = {
+    sm: { width: '16px', height: '16px', borderWidth: '2px' },
+    md: { width: '24px', height: '24px', borderWidth: '3px' },
+    lg: { width: '32px', height: '32px', borderWidth: '4px' }
+  };
+
+  const sizeStyle = sizes[size] || sizes.md;
+
+  return (
+    <div style={{ 
+      display: 'inline-block',
+      width: sizeStyle.width,
+      height: sizeStyle.height,
+      border: `${sizeStyle.borderWidth} solid ${color}20`,
+      borderTop: `${sizeStyle.borderWidth} solid ${color}`,
+      borderRadius: '50%',
+      animation: 'spin 1s linear infinite'
+    }} />
+  );
+});
+
+Loading.propTypes = {
+  size: PropTypes.oneOf(['sm', 'md', 'lg']),
+  color: PropTypes.string
+};
+
+export const UnifiedInput = ({ label, value, onChange, type = 'text', placeholder = '', required = false, id }) => {
+  const theme = useTheme();
+  const inputId = id || `input-${Math.random().toString(36).substr(2, 9)}`;
+  return (
+    <div style={{ marginBottom: theme.spacing.medium }}>
+      <label htmlFor={inputId} style={{ display: 'block', marginBottom: '6px', fontWeight: theme.typography.fontWeight.medium, color: theme.colors.text }}>
+        {label} {required && <span style={{ color: theme.colors.danger }}>*</span>}
+      </label>
+      <input
+        id={inputId}
+        type={type}
+        value={value}
+        onChange={onChange}
+        placeholder={placeholder}
+        required={required}
+        style={{
+          width: '100%',
+          padding: '10px 12px',
+          border: `1px solid ${theme.colors.inputBorder}`,
+          borderRadius: '6px',
+          background: theme.colors.surface,
+          color: theme.colors.text,
+          fontSize: theme.typography.fontSize.medium
+        }}
+      />
+    </div>
+  );
+};
+
+export const UnifiedSelect = ({ label, value, onChange, options = [], placeholder = '', required = false, id }) => {
+  const theme = useTheme();
+  const selectId = id || `select-${Math.random().toString(36).slice(2, 9)}`;
+  return (
+    <div style={{ marginBottom: theme.spacing.medium }}>
+      <label htmlFor={selectId} style={{ display: 'block', marginBottom: '6px', fontWeight: theme.typography.fontWeight.medium, color: theme.colors.text }}>
+        {label} {required && <span style={{ color: theme.colors.danger }}>*</span>}
+      </label>
+      <select
+        id={selectId}
+        value={value}
+        onChange={onChange}
+        required={required}
+        style={{
+          width: '100%',
+          padding: '10px 12px',
+          border: `1px solid ${theme.colors.inputBorder}`,
+          borderRadius: '6px',
+          background: theme.colors.surface,
+          color: theme.colors.text,
+          fontSize: theme.typography.fontSize.medium
+        }}
+      >
+        {placeholder && <option value="">{placeholder}</option>}
+        {options.map((opt, i) => (
+          <option key={i} value={opt.value ?? opt}>{opt.label ?? opt}</option>
+        ))}
+      </select>
+    </div>
+  );
+};
+
+
+export const UnifiedButton = ({ children, onClick, type = 'button', variant = 'primary', style = {} }) => {
+  const theme = useTheme();
+  const colors = {
+    primary: theme.colors.primary,
+    secondary: theme.colors.neutral,
+    success: theme.colors.success,
+    danger: theme.colors.danger
+  };
+  return (
+    <button
+      type={type}
+      onClick={onClick}
+      style={{
+        padding: '10px 20px',
+        backgroundColor: colors[variant] || colors.primary,
+        color: theme.colors.onPrimary,
+        border: 'none',
+        borderRadius: theme.borderRadius.medium,
+        fontSize: theme.typography.fontSize.medium,
+        fontWeight: theme.typography.fontWeight.semibold,
+        cursor: 'pointer',
+        ...style
+      }}
+    >
+      {children}
+    </button>
+  );
+};
+// 🔧 UnifiedDateRangePicker.jsx – تاريخ من إلى
+
+// Calendar dates are handled as "YYYY-MM-DD" strings and UTC Date objects so that the
+// browser's own zone never shifts a day; only "today" depends on the picker's time zone.
+const ISO_DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const parseISODate = (iso) => {
+  const [year, month, day] = iso.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day));
+};
+
+const toISODate = (date) => date.toISOString().slice(0, 10);
+
+const addDays = (iso, days) => {
+  const date = parseISODate(iso);
+  date.setUTCDate(date.getUTCDate() + days);
+  return toISODate(date);
+};
+
+// `monthISO` is the first day of a month
+const addMonths = (monthISO, months) => {
+  const date = parseISODate(monthISO);
+  return toISODate(new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + months, 1)));
+};
+
+const startOfMonth = (iso) => `${iso.slice(0, 7)}-01`;
+
+const startOfWeek = (iso, weekStartsOn) => {
+  const offset = (parseISODate(iso).getUTCDay() - weekStartsOn + 7) % 7;
+  return addDays(iso, -offset);
+};
+
+// Same month and year, clamped to the target month's length (Jan 31 → Feb 28)
+const shiftMonthKeepDay = (iso, months) => {
+  const target = addMonths(startOfMonth(iso), months);
+  const lastDay = addDays(addMonths(target, 1), -1);
+  const day = `${target.slice(0, 8)}${iso.slice(8)}`;
+  return day > lastDay ? lastDay : day;
+};
+
+const todayInTimeZone = (timeZone) => {
+  // en-CA formats dates as YYYY-MM-DD
+  return new Intl.DateTimeFormat('en-CA', { timeZone, year: 'numeric', month: '2-digit', day: '2-digit' }).format(new Date());
+};
+
+// Day 0 is Sunday; 2023-01-01 was a Sunday
+const getWeekdayName = (day, format = 'short', locale) =>
+  parseISODate(addDays('2023-01-01', day)).toLocaleDateString(locale, { weekday: format, timeZone: 'UTC' });
+
+// Six rows of seven days starting on `weekStartsOn`; days outside the month are null
+const buildMonthGrid = (monthISO, weekStartsOn) => {
+  const first = startOfWeek(monthISO, weekStartsOn);
+  const month = monthISO.slice(0, 7);
+  return Array.from({ length: 6 }, (_, week) => Array.from({ length: 7 }, (__, day) => {
+    const iso = addDays(first, week * 7 + day);
+    return iso.slice(0, 7) === month ? iso : null;
+  }));
+};
+
+/**
+ * Default quick ranges for UnifiedDateRangePicker. Each `getRange(today, options)` receives
+ * today's date in the picker's time zone plus { weekStartsOn, deliveryCycle }. Presets show
+ * `label`, or the catalog message named by `messageKey`.
+ */
+export const DEFAULT_DATE_PRESETS = [
+  { messageKey: 'datePicker.today', getRange: (today) => ({ from: today, to: today }) },
+  { messageKey: 'datePicker.tomorrow', getRange: (today) => ({ from: addDays(today, 1), to: addDays(today, 1) }) },
+  {
+    messageKey: 'datePicker.thisWeek',
+    getRange: (today, { weekStartsOn }) => {
+      const from = startOfWeek(today, weekStartsOn);
+      return { from, to: addDays(from, 6) };
+    }
+  },
+  { messageKey: 'datePicker.last7Days', getRange: (today) => ({ from: addDays(today, -6), to: today }) },
+  { messageKey: 'datePicker.last30Days', getRange: (today) => ({ from: addDays(today, -29), to: today }) },
+  {
+    messageKey: 'datePicker.nextDeliveryCycle',
+    // The next cycle starts on the first `deliveryCycle.weekday` after today
+    getRange: (today, { deliveryCycle }) => {
+      const offset = ((deliveryCycle.weekday - parseISODate(today).getUTCDay() + 7) % 7) || 7;
+      const from = addDays(today, offset);
+      return { from, to: addDays(from, deliveryCycle.days - 1) };
+    }
+  }
+];
+
+/**
+ * Unified Date Range Picker Component
+ * Trigger button that opens a two-month calendar popover with range highlighting and presets.
+ * Dates are "YYYY-MM-DD" strings; the range is always emitted with `to` on or after `from`.
+ * @param {string} label - Field label
+ * @param {string} from - Start date (or pass `value`)
+ * @param {string} to - End date (or pass `value`)
+ * @param {object} value - Range as { from, to } (useForm register() compatible)
+ * @param {function} onChange - Called with { from, to } once both ends are picked
+ * @param {function} onBlur - Called when focus leaves the picker
+ * @param {string} error - Error message
+ * @param {string} min - Earliest selectable date
+ * @param {string} max - Latest selectable date
+ * @param {array|function} disabledDates - Dates that cannot be picked (e.g. depot holidays)
+ * @param {array} presets - Quick ranges ({ label or messageKey, getRange }); defaults to DEFAULT_DATE_PRESETS
+ * @param {string} timeZone - IANA zone that decides what "today" is (defaults to the browser's)
+ * @param {number} weekStartsOn - First day of the week (0 = Sunday)
+ * @param {object} deliveryCycle - { weekday, days } used by the "Next delivery cycle" preset
+ */
+export const UnifiedDateRangePicker = ({
+  label,
+  from,
+  to,
+  value,
+  onChange,
+  onBlur,
+  error,
+  id,
+  name,
+  min,
+  max,
+  disabledDates,
+  presets = DEFAULT_DATE_PRESETS,
+  timeZone,
+  weekStartsOn = 0,
+  deliveryCycle = { weekday: 0, days: 7 },
+  placeholder
+}) => {
+  const theme = useTheme();
+  const { t, locale, isRTL } = useLocale();
+  // `value` ({ from, to }) lets the picker take useForm's register() props directly
+  const range = value || { from, to };
+  const inputId = id || (name ? `date-range-${name}` : undefined);
+  const zone = timeZone || Intl.DateTimeFormat().resolvedOptions().timeZone;
+  const today = todayInTimeZone(zone);
+  const hasFrom = ISO_DATE_PATTERN.test(range.from || '');
+  const hasTo = ISO_DATE_PATTERN.test(range.to || '');
+
+  const [isOpen, setIsOpen] = useState(false);
+  const [anchor, setAnchor] = useState(null);
+  const [hovered, setHovered] = useState(null);
+  const [activeDate, setActiveDate] = useState(today);
+  const [viewMonth, setViewMonth] = useState(startOfMonth(today));
+  const containerRef = useRef(null);
+  const triggerRef = useRef(null);
+  const gridRef = useRef(null);
+
+  const isDisabled = useCallback((iso) => {
+    if (min && iso < min) return true;
+    if (max && iso > max) return true;
+    if (typeof disabledDates === 'function') return Boolean(disabledDates(iso));
+    return Boolean(disabledDates && disabledDates.includes(iso));
+  }, [min, max, disabledDates]);
+
+  const open = () => {
+    const start = hasFrom ? range.from : today;
+    setActiveDate(start);
+    setViewMonth(startOfMonth(start));
+    setAnchor(null);
+    setIsOpen(true);
+  };
+
+  const close = useCallback((returnFocus = true) => {
+    setIsOpen(false);
+    setAnchor(null);
+    setHovered(null);
+    if (returnFocus && triggerRef.current) triggerRef.current.focus();
+  }, []);
+
+  // Clicking outside the picker closes the popover without changing the range
+  useEffect(() => {
+    if (!isOpen) return undefined;
+    const handleMouseDown = (e) => {
+      if (containerRef.current && !containerRef.current.contains(e.target)) close(false);
+    };
+    document.addEventListener('mousedown', handleMouseDown);
+    return () => document.removeEventListener('mousedown', handleMouseDown);
+  }, [isOpen, close]);
+
+  // Roving focus: the active day is the only tabbable cell; it takes focus when the popover
+  // opens and follows the keyboard while focus is inside the grid
+  const focusActiveCell = useCallback((force) => {
+    if (!gridRef.current) return;
+    const cell = gridRef.current.querySelector(`[data-date="${activeDate}"]`);
+    if (cell && (force || gridRef.current.contains(document.activeElement))) cell.focus();
+  }, [activeDate]);
+
+  const wasOpen = useRef(false);
+  useEffect(() => {
+    if (!isOpen) {
+      wasOpen.current = false;
+      return;
+    }
+    focusActiveCell(!wasOpen.current);
+    wasOpen.current = true;
+  }, [isOpen, focusActiveCell]);
+
+  // Paging with the header buttons carries the active day along, so the grid keeps a tabbable cell
+  const showMonth = (months) => {
+    setViewMonth(addMonths(viewMonth, months));
+    setActiveDate(shiftMonthKeepDay(activeDate, months));
+  };
+
+  const moveActive = (next) => {
+    setActiveDate(next);
+    const month = startOfMonth(next);
+    if (month < viewMonth) setViewMonth(month);
+    else if (month > addMonths(viewMonth, 1)) setViewMonth(addMonths(month, -1));
+  };
+
+  const commit = (nextRange) => {
+    onChange(nextRange);
+    close();
+  };
+
+  const selectDate = (iso) => {
+    if (isDisabled(iso)) return;
+    if (!anchor) {
+      setAnchor(iso);
+      setActiveDate(iso);
+      return;
+    }
+    commit(iso < anchor ? { from: iso, to: anchor } : { from: anchor, to: iso });
+  };
+
+  const handleGridKeyDown = (e) => {
+    const moves = {
+      // Left/right follow the visual layout, which mirrors in RTL
+      ArrowLeft: () => addDays(activeDate, isRTL ? 1 : -1),
+      ArrowRight: () => addDays(activeDate, isRTL ? -1 : 1),
+      ArrowUp: () => addDays(activeDate, -7),
+      ArrowDown: () => addDays(activeDate, 7),
+      Home: () => startOfWeek(activeDate, weekStartsOn),
+      End: () => addDays(startOfWeek(activeDate, weekStartsOn), 6),
+      PageUp: () => shiftMonthKeepDay(activeDate, e.shiftKey ? -12 : -1),
+      PageDown: () => shiftMonthKeepDay(activeDate, e.shiftKey ? 12 : 1)
+    };
+    if (moves[e.key]) {
+      e.preventDefault();
+      moveActive(moves[e.key]());
+    } else if (e.key === 'Enter' || e.key === ' ') {
+      e.preventDefault();
+      selectDate(activeDate);
+    }
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'Escape' && isOpen) {
+      e.stopPropagation();
+      close();
+    }
+  };
+
+  // Focus moving between the trigger and the popover is not a blur of the field
+  const handleBlur = (e) => {
+    if (onBlur && !e.currentTarget.contains(e.relatedTarget)) onBlur(e);
+  };
+
+  // While picking, the highlighted range follows the pointer or keyboard focus
+  const previewEnd = anchor ? (hovered || activeDate) : null;
+  const [rangeStart, rangeEnd] = anchor
+    ? [anchor < previewEnd ? anchor : previewEnd, anchor < previewEnd ? previewEnd : anchor]
+    : [hasFrom ? range.from : null, hasTo ? range.to : null];
+
+  const formatDate = (iso) => parseISODate(iso).toLocaleDateString(locale, {
+    day: 'numeric', month: 'short', year: 'numeric', timeZone: 'UTC'
+  });
+  const monthTitle = (monthISO) => parseISODate(monthISO).toLocaleDateString(locale, {
+    month: 'long', year: 'numeric', timeZone: 'UTC'
+  });
+  const weekdayNames = Array.from({ length: 7 }, (_, i) => ({
+    short: getWeekdayName((weekStartsOn + i) % 7, 'narrow', locale),
+    long: getWeekdayName((weekStartsOn + i) % 7, 'long', locale)
+  }));
+
+  const navButtonStyle = {
+    background: 'none',
+    border: `1px solid ${theme.colors.border}`,
+    borderRadius: theme.borderRadius.small,
+    color: theme.colors.textStrong,
+    cursor: 'pointer',
+    width: '28px',
+    height: '28px'
+  };
+
+  const renderMonth = (monthISO, index) => (
+    <div key={monthISO}>
+      <div style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', marginBottom: theme.spacing.small }}>
+        {index === 0 ? (
+          <button type="button" aria-label={t('datePicker.previousMonth')} onClick={() => showMonth(-1)} style={navButtonStyle}>{isRTL ? '›' : '‹'}</button>
+        ) : <span style={{ width: '28px' }} />}
+        <span id={`${inputId || 'date-range'}-month-${index}`} style={{ fontWeight: theme.typography.fontWeight.semibold, color: theme.colors.text }}>
+          {monthTitle(monthISO)}
+        </span>
+        {index === 1 ? (
+          <button type="button" aria-label={t('datePicker.nextMonth')} onClick={() => showMonth(1)} style={navButtonStyle}>{isRTL ? '‹' : '›'}</button>
+        ) : <span style={{ width: '28px' }} />}
+      </div>
+      <table role="grid" aria-labelledby={`${inputId || 'date-range'}-month-${index}`} style={{ borderCollapse: 'collapse' }}>
+        <thead>
+          <tr>
+            {weekdayNames.map((day) => (
+              <th key={day.long} scope="col" abbr={day.long} style={{ width: '36px', padding: '4px 0', fontSize: theme.typography.fontSize.small, fontWeight: theme.typography.fontWeight.medium, color: theme.colors.textSubtle }}>
+                {day.short}
+              </th>
+            ))}
+          </tr>
+        </thead>
+        <tbody>
+          {buildMonthGrid(monthISO, weekStartsOn).map((week, w) => (
+            <tr key={w}>
+              {week.map((iso, d) => {
+                if (!iso) return <td key={d} />;
+                const disabled = isDisabled(iso);
+                const isEdge = iso === rangeStart || iso === rangeEnd;
+                const inRange = rangeStart && rangeEnd && iso > rangeStart && iso < rangeEnd;
+                return (
+                  <td key={d} role="gridcell" aria-selected={Boolean(isEdge || inRange)} style={{ padding: '1px 0' }}>
+                    <button
+                      type="button"
+                      data-date={iso}
+                      tabIndex={iso === activeDate ? 0 : -1}
+                      aria-disabled={disabled || undefined}
+                      aria-current={iso === today ? 'date' : undefined}
+                      aria-label={formatDate(iso)}
+                      onClick={() => selectDate(iso)}
+                      onMouseEnter={() => setHovered(iso)}
+                      onFocus={() => setActiveDate(iso)}
+                      style={{
+                        width: '36px',
+                        height: '32px',
+                        border: iso === today ? `1px solid ${theme.colors.primary}` : '1px solid transparent',
+                        borderRadius: isEdge ? theme.borderRadius.small : 0,
+                        background: isEdge ? theme.colors.primary : inRange ? theme.tones.info.background : 'transparent',
+                        color: isEdge ? theme.colors.onPrimary : disabled ? theme.colors.textSubtle : theme.colors.text,
+                        textDecoration: disabled ? 'line-through' : 'none',
+                        cursor: disabled ? 'not-allowed' : 'pointer',
+                        fontSize: theme.typography.fontSize.medium
+                      }}
+                    >
+                      {Number(iso.slice(8))}
+                    </button>
+                  </td>
+                );
+              })}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+
+  return (
+    <div ref={containerRef} onBlur={handleBlur} onKeyDown={handleKeyDown} style={{ position: 'relative' }}>
+      <label htmlFor={inputId} style={{ display: 'block', fontWeight: 600, marginBottom: 4, color: theme.colors.text }}>{label}</label>
+      <button
+        ref={triggerRef}
+        id={inputId}
+        name={name}
+        type="button"
+        aria-haspopup="dialog"
+        aria-expanded={isOpen}
+        aria-invalid={Boolean(error)}
+        onClick={() => (isOpen ? close() : open())}
+        style={{
+          width: '100%',
+          padding: 6,
+          textAlign: 'start',
+          border: `1px solid ${error ? theme.colors.danger : theme.colors.inputBorder}`,
+          borderRadius: theme.borderRadius.small,
+          background: theme.colors.surface,
+          color: hasFrom ? theme.colors.text : theme.colors.textSubtle,
+          cursor: 'pointer'
+        }}
+      >
+        {hasFrom ? `${formatDate(range.from)} – ${hasTo ? formatDate(range.to) : ''}` : placeholder || t('datePicker.placeholder')}
+      </button>
+      {isOpen && (
+        <div
+          role="dialog"
+          aria-label={label ? t('datePicker.calendar', { label }) : t('datePicker.chooseDates')}
+          style={{
+            position: 'absolute',
+            top: '100%',
+            insetInlineStart: 0,
+            zIndex: 1050,
+            marginTop: theme.spacing.xsmall,
+            display: 'flex',
+            gap: theme.spacing.medium,
+            padding: theme.spacing.medium,
+            background: theme.colors.surface,
+            border: `1px solid ${theme.colors.border}`,
+            borderRadius: theme.borderRadius.medium,
+            boxShadow: theme.shadows.medium
+          }}
+        >
+          {presets.length > 0 && (
+            <div style={{ display: 'flex', flexDirection: 'column', gap: theme.spacing.xsmall, minWidth: '150px' }}>
+              {presets.map((preset) => {
+                const presetLabel = preset.label || t(preset.messageKey);
+                const presetRange = preset.getRange(today, { weekStartsOn, deliveryCycle });
+                const unavailable = isDisabled(presetRange.from) || isDisabled(presetRange.to);
+                return (
+                  <button
+                    key={presetLabel}
+                    type="button"
+                    disabled={unavailable}
+                    onClick={() => commit(presetRange)}
+                    style={{
+                      textAlign: 'start',
+                      padding: '6px 10px',
+                      border: 'none',
+                      borderRadius: theme.borderRadius.small,
+                      background: range.from === presetRange.from && range.to === presetRange.to ? theme.tones.info.background : 'transparent',
+                      color: unavailable ? theme.colors.textSubtle : theme.colors.textStrong,
+                      cursor: unavailable ? 'not-allowed' : 'pointer'
+                    }}
+                  >
+                    {presetLabel}
+                  </button>
+                );
+              })}
+            </div>
+          )}
+          <div>
+            <div
+              ref={gridRef}
+              onKeyDown={handleGridKeyDown}
+              onMouseLeave={() => setHovered(null)}
+              style={{ display: 'flex', gap: theme.spacing.large }}
+            >
+              {[viewMonth, addMonths(viewMonth, 1)].map(renderMonth)}
+            </div>
+            <p style={{ margin: `${theme.spacing.small} 0 0 0`, fontSize: theme.typography.fontSize.small, color: theme.colors.textMuted }}>
+              {anchor ? t('datePicker.pickEnd', { date: formatDate(anchor) }) : t('datePicker.pickStart')}
+              {' · '}
+              {t('datePicker.timeZone', { zone })}
+            </p>
+          </div>
+        </div>
+      )}
+      {error && (
+        <p style={{ margin: '4px 0 0 0', color: theme.colors.danger, fontSize: theme.typography.fontSize.small }}>
+          {error}
+        </p>
+      )}
+    </div>
+  );
+};
+
+UnifiedDateRangePicker.propTypes = {
+  label: PropTypes.string,
+  from: PropTypes.string,
+  to: PropTypes.string,
+  value: PropTypes.shape({ from: PropTypes.string, to: PropTypes.string }),
+  onChange: PropTypes.func.isRequired,
+  onBlur: PropTypes.func,
+  error: PropTypes.string,
+  id: PropTypes.string,
+  name: PropTypes.string,
+  min: PropTypes.string,
+  max: PropTypes.string,
+  disabledDates: PropTypes.oneOfType([PropTypes.arrayOf(PropTypes.string), PropTypes.func]),
+  presets: PropTypes.arrayOf(PropTypes.shape({
+    label: PropTypes.string,
+    messageKey: PropTypes.string,
+    getRange: PropTypes.func.isRequired
+  })),
+  timeZone: PropTypes.string,
+  weekStartsOn: PropTypes.number,
+  deliveryCycle: PropTypes.shape({ weekday: PropTypes.number, days: PropTypes.number }),
+  placeholder: PropTypes.string
+};
+// ✅ UnifiedTimeRangePicker inline component – no duplicate imports
+export const UnifiedTimeRangePicker = ({ label, from, to, value, onChange, onBlur, error, id, name }) => {
+  const theme = useTheme();
+  // `value` ({ from, to }) lets the picker take useForm's register() props directly
+  const range = value || { from, to };
+  const inputId = id || (name ? `time-range-${name}` : undefined);
+  const inputStyle = {
+    flex: 1,
+    padding: 6,
+    border: `1px solid ${error ? theme.colors.danger : theme.colors.inputBorder}`,
+    borderRadius: theme.borderRadius.small,
+    background: theme.colors.surface,
+    color: theme.colors.text
+  };
+  return (
+    <div onBlur={onBlur}>
+      <label htmlFor={inputId} style={{ display: 'block', fontWeight: 600, marginBottom: 4, color: theme.colors.text }}>{label}</label>
+      <div style={{ display: 'flex', gap: 8 }}>
+        <input
+          id={inputId}
+          type="time"
+          value={range.from}
+          onChange={(e) => onChange({ from: e.target.value, to: range.to })}
+          style={inputStyle}
+          aria-invalid={Boolean(error)}
+        />
+        <input
+          type="time"
+          value={range.to}
+          onChange={(e) => onChange({ from: range.from, to: e.target.value })}
+          style={inputStyle}
+          aria-invalid={Boolean(error)}
+        />
+      </div>
+      {error && (
+        <p style={{ margin: '4px 0 0 0', color: theme.colors.danger, fontSize: theme.typography.fontSize.small }}>
+          {error}
+        </p>
+      )}
+    </div>
+  );
+};
+
+// 24h bar of one day's windows; overnight windows continue on the next day's bar
+const TimeWindowBar = ({ segments, label }) => {
+  const theme = useTheme();
+  return (
+    <div
+      role="img"
+      aria-label={label}
+      style={{
+        position: 'relative',
+        flex: 1,
+        height: '16px',
+        background: theme.colors.hover,
+        borderRadius: theme.borderRadius.small,
+        overflow: 'hidden'
+      }}
+    >
+      {[6, 12, 18].map((hour) => (
+        <span key={hour} style={{
+          position: 'absolute',
+          insetInlineStart: `${(hour / 24) * 100}%`,
+          top: 0,
+          bottom: 0,
+          borderInlineStart: `1px dashed ${theme.colors.border}`
+        }} />
+      ))}
+      {segments.map((segment) => (
+        <span
+          key={segment.key}
+          title={`${segment.from}–${segment.to}`}
+          style={{
+            position: 'absolute',
+            top: '2px',
+            bottom: '2px',
+            insetInlineStart: `${(segment.start / MINUTES_PER_DAY) * 100}%`,
+            width: `${((segment.end - segment.start) / MINUTES_PER_DAY) * 100}%`,
+            background: segment.conflict ? theme.colors.danger : theme.colors.primary,
+            opacity: segment.carried ? 0.55 : 1,
+            borderRadius: theme.borderRadius.small
+          }}
+        />
+      ))}
+    </div>
+  );
+};
+
+/**
+ * Time Window Editor Component
+ * Edits delivery windows per weekday with UnifiedTimeRangePicker rows. A window whose end is
+ * at or before its start runs overnight (22:00–06:00). Overlaps, including overnight spill
+ * into the next day, are flagged per window; use normalizeTimeWindows() to feed the solver.
+ * @param {string} label - Field label
+ * @param {object} value - Weekly schedule ({ sun: [{ from, to }], mon: [...], ... })
+ * @param {object} defaultValue - Initial schedule when uncontrolled
+ * @param {function} onChange - Called with the new schedule
+ * @param {function} onWindowsChange - Called with normalizeTimeWindows() of the new schedule
+ * @param {function} onBlur - Blur handler (useForm register() compatible)
+ * @param {string} error - Field-level error message
+ * @param {number} weekStartsOn - First weekday shown (0 = Sunday)
+ * @param {array} days - Weekdays to show (WEEKDAY_KEYS entries); defaults to the whole week
+ */
+export const TimeWindowEditor = ({
+  label,
+  value,
+  defaultValue = {},
+  onChange,
+  onWindowsChange,
+  onBlur,
+  error,
+  id,
+  name,
+  weekStartsOn = 0,
+  days
+}) => {
+  const theme = useTheme();
+  const { t, locale } = useLocale();
+  const handleChange = (next) => {
+    if (onChange) onChange(next);
+    if (onWindowsChange) onWindowsChange(normalizeTimeWindows(next));
+  };
+  const [current, setSchedule] = useControllableState(value, defaultValue, handleChange);
+  // useForm's register() hands out '' for fields without an initial value
+  const schedule = useMemo(() => current || {}, [current]);
+  const baseId = id || (name ? `time-windows-${name}` : 'time-windows');
+
+  const conflicts = useMemo(() => findTimeWindowConflicts(schedule), [schedule]);
+  const segmentsByDay = useMemo(() => {
+    const byDay = WEEKDAY_KEYS.map(() => []);
+    normalizeTimeWindows(schedule).forEach((window) => {
+      const key = `${window.weekday}-${window.index}`;
+      const common = { from: window.from, to: window.to, conflict: Boolean(conflicts[key]) };
+      const dayStart = window.day * MINUTES_PER_DAY;
+      byDay[window.day].push({
+        ...common,
+        key,
+        start: window.start - dayStart,
+        end: Math.min(window.end - dayStart, MINUTES_PER_DAY)
+      });
+      if (window.overnight) {
+        byDay[(window.day + 1) % 7].push({ ...common, key: `${key}-carried`, start: 0, end: window.end - dayStart - MINUTES_PER_DAY, carried: true });
+      }
+    });
+    return byDay;
+  }, [schedule, conflicts]);
+
+  const updateDay = (weekday, windows) => setSchedule({ ...schedule, [weekday]: windows });
+  const dayWindows = (weekday) => schedule[weekday] || [];
+
+  const shownDays = (days || WEEKDAY_KEYS.map((_, i) => WEEKDAY_KEYS[(weekStartsOn + i) % 7]));
+
+  const smallButtonStyle = {
+    display: 'inline-flex',
+    alignItems: 'center',
+    gap: theme.spacing.xsmall,
+    padding: '4px 10px',
+    border: `1px solid ${theme.colors.border}`,
+    borderRadius: theme.borderRadius.small,
+    background: theme.colors.surface,
+    color: theme.colors.textStrong,
+    fontSize: theme.typography.fontSize.small,
+    cursor: 'pointer'
   };
 
-  const sizeStyle = sizes[size] || sizes.md;
+  return (
+    <div
+      id={baseId}
+      role="group"
+      aria-labelledby={label ? `${baseId}-label` : undefined}
+      onBlur={(e) => {
+        if (onBlur && !e.currentTarget.contains(e.relatedTarget)) onBlur(e);
+      }}
+    >
+      {label && (
+        <span id={`${baseId}-label`} style={{ display: 'block', fontWeight: 600, marginBottom: 4, color: theme.colors.text }}>
+          {label}
+        </span>
+      )}
+      <div style={{ display: 'flex', paddingInlineStart: '96px', paddingInlineEnd: '118px', marginBottom: theme.spacing.xsmall }}>
+        {[0, 6, 12, 18].map((hour) => (
+          <span key={hour} style={{ flex: 1, fontSize: theme.typography.fontSize.xsmall, color: theme.colors.textSubtle }}>
+            {`${String(hour).padStart(2, '0')}:00`}
+          </span>
+        ))}
+      </div>
+      {shownDays.map((weekday) => {
+        const day = WEEKDAY_KEYS.indexOf(weekday);
+        const dayName = getWeekdayName(day, 'long', locale);
+        const windows = dayWindows(weekday);
+        return (
+          <div key={weekday} style={{ padding: `${theme.spacing.small} 0`, borderBottom: `1px solid ${theme.colors.border}` }}>
+            <div style={{ display: 'flex', alignItems: 'center', gap: theme.spacing.small }}>
+              <span style={{ width: '88px', fontWeight: theme.typography.fontWeight.medium, color: theme.colors.textStrong }}>
+                {dayName}
+              </span>
+              <TimeWindowBar
+                segments={segmentsByDay[day]}
+                label={windows.length > 0
+                  ? `${dayName}: ${windows.map((w) => `${w.from}–${w.to}`).join(', ')}`
+                  : t('timeWindows.none', { day: dayName })}
+              />
+              <button
+                type="button"
+                onClick={() => updateDay(weekday, [...windows, { from: '', to: '' }])}
+                style={{ ...smallButtonStyle, width: '110px', justifyContent: 'center' }}
+              >
+                <PlusIcon size={14} />
+                {t('timeWindows.add')}
+              </button>
+            </div>
+            {windows.length > 0 && (
+              <div style={{ display: 'flex', flexWrap: 'wrap', gap: theme.spacing.medium, marginTop: theme.spacing.small, paddingInlineStart: '96px' }}>
+                {windows.map((window, index) => {
+                  const overnight = !isBlank(window.from) && !isBlank(window.to) && window.to < window.from;
+                  const windowError = window.from && window.from === window.to
+                    ? t('timeWindows.sameStartEnd')
+                    : conflicts[`${weekday}-${index}`] ? t('timeWindows.overlap') : undefined;
+                  return (
+                    <div key={index} style={{ display: 'flex', alignItems: 'flex-start', gap: theme.spacing.xsmall, minWidth: '240px' }}>
+                      <div style={{ flex: 1 }}>
+                        <UnifiedTimeRangePicker
+                          id={`${baseId}-${weekday}-${index}`}
+                          label={t(overnight ? 'timeWindows.windowOvernight' : 'timeWindows.window', { number: index + 1 })}
+                          value={window}
+                          error={windowError}
+                          onChange={(range) => updateDay(weekday, windows.map((w, i) => (i === index ? range : w)))}
+                        />
+                      </div>
+                      <button
+                        type="button"
+                        aria-label={t('timeWindows.remove', { number: index + 1, day: dayName })}
+                        onClick={() => updateDay(weekday, windows.filter((_, i) => i !== index))}
+                        style={{ ...smallButtonStyle, marginTop: '26px', color: theme.colors.danger }}
+                      >
+                        <TrashIcon size={14} />
+                      </button>
+                    </div>
+                  );
+                })}
+              </div>
+            )}
+          </div>
+        );
+      })}
+      {error && (
+        <p style={{ margin: '4px 0 0 0', color: theme.colors.danger, fontSize: theme.typography.fontSize.small }}>
+          {error}
+        </p>
+      )}
+    </div>
+  );
+};
+
+const timeWindowShape = PropTypes.shape({ from: PropTypes.string, to: PropTypes.string });
+
+TimeWindowEditor.propTypes = {
+  label: PropTypes.string,
+  value: PropTypes.oneOfType([PropTypes.objectOf(PropTypes.arrayOf(timeWindowShape)), PropTypes.oneOf([''])]),
+  defaultValue: PropTypes.objectOf(PropTypes.arrayOf(timeWindowShape)),
+  onChange: PropTypes.func,
+  onWindowsChange: PropTypes.func,
+  onBlur: PropTypes.func,
+  error: PropTypes.string,
+  id: PropTypes.string,
+  name: PropTypes.string,
+  weekStartsOn: PropTypes.number,
+  days: PropTypes.arrayOf(PropTypes.oneOf(WEEKDAY_KEYS))
+};
+
+//import { ChevronUpIcon, ChevronDownIcon } from './icons';
+export const CollapsiblePanel = ({ 
+  title, 
+  children, 
+  isOpen: initialOpen = false,
+  open,
+  onToggle,
+  className = '',
+  headerClassName = '',
+  contentClassName = '' 
+}) => {
+  const theme = useTheme();
+  // `isOpen` is the initial state; pass `open` + `onToggle` to control the panel
+  const [isOpen, setIsOpen] = useControllableState(open, initialOpen, onToggle);
+
+  return (
+    <div className={`collapsible-panel ${className}`}>
+      <div 
+        className={`panel-header ${headerClassName}`}
+        style={{
+          display: 'flex',
+          justifyContent: 'space-between',
+          alignItems: 'center',
+          padding: '12px 16px',
+          backgroundColor: theme.colors.surfaceAlt,
+          color: theme.colors.text,
+          border: `1px solid ${theme.colors.border}`,
+          borderRadius: theme.borderRadius.medium,
+          cursor: 'pointer',
+          userSelect: 'none',
+          transition: 'background-color 0.2s'
+        }}
+        role="button"
+        tabIndex={0}
+        aria-expanded={isOpen}
+        onClick={() => setIsOpen(!isOpen)}
+        onKeyDown={(e) => {
+          if (e.key === 'Enter' || e.key === ' ') {
+            e.preventDefault();
+            setIsOpen(!isOpen);
+          }
+        }}
+      >
+        <h3 style={{ margin: 0, fontSize: '16px', fontWeight: 600 }}>{title}</h3>
+        {isOpen ? (
+          <ChevronUpIcon size={20} />
+        ) : (
+          <ChevronDownIcon size={20} />
+        )}
+      </div>
+      
+      {isOpen && (
+        <div 
+          className={`panel-content ${contentClassName}`}
+          style={{
+            padding: theme.spacing.medium,
+            border: `1px solid ${theme.colors.border}`,
+            borderTop: 'none',
+            borderBottomLeftRadius: theme.borderRadius.medium,
+            borderBottomRightRadius: theme.borderRadius.medium,
+            backgroundColor: theme.colors.surface,
+            color: theme.colors.text
+          }}
+        >
+          {children}
+        </div>
+      )}
+    </div>
+  );
+};
+
+const TIME_OF_DAY_PATTERN = /^\d{1,2}:\d{2}$/;
+
+// Minutes since midnight for "HH:MM" strings, or for dates/ISO strings in `timeZone`
+const toMinutesOfDay = (value, timeZone) => {
+  if (typeof value === 'string' && TIME_OF_DAY_PATTERN.test(value)) return parseTimeOfDay(value);
+  const parts = new Intl.DateTimeFormat('en-GB', { hour: '2-digit', minute: '2-digit', hourCycle: 'h23', timeZone })
+    .formatToParts(new Date(value));
+  const part = (type) => Number(parts.find((p) => p.type === type).value);
+  return part('hour') * 60 + part('minute');
+};
+
+const formatStopTime = (value, locale, timeZone) => {
+  if (typeof value === 'string' && TIME_OF_DAY_PATTERN.test(value)) return value;
+  return new Date(value).toLocaleTimeString(locale, { hour: '2-digit', minute: '2-digit', timeZone });
+};
+
+// 'early' or 'late' when the arrival misses its { from, to } window (overnight windows allowed)
+const getWindowViolation = (arrival, window, timeZone) => {
+  if (isBlank(arrival) || !window || isBlank(window.from) || isBlank(window.to)) return null;
+  const minute = toMinutesOfDay(arrival, timeZone);
+  const from = parseTimeOfDay(window.from);
+  const to = parseTimeOfDay(window.to);
+  const inside = from <= to ? minute >= from && minute <= to : minute >= from || minute <= to;
+  if (inside) return null;
+  return (minute - to + 1440) % 1440 < (from - minute + 1440) % 1440 ? 'late' : 'early';
+};
+
+/**
+ * Route Timeline Component
+ * Vertical list of a route's stops with planned vs actual arrival, time window, service time
+ * and status, plus the driving leg between stops. The collapsible header summarizes the route.
+ * Arrival times are "HH:MM" strings or dates/ISO strings shown in `timeZone`; a window turns
+ * red when the stop is reached late (actual arrival, or planned while no actual exists) and
+ * amber when early.
+ * @param {string} title - Route name shown in the summary header
+ * @param {array} stops - Stops in sequence ({ id, name, address, plannedArrival, actualArrival,
+ *   timeWindow: { from, to }, serviceDuration (s), status, statusVariant, leg: { distance (m), duration (s) } })
+ *   where `leg` is the drive from the previous stop
+ * @param {object} driver - Driver shown in the header ({ name, src })
+ * @param {string} timeZone - IANA zone for date arrivals (defaults to the browser's)
+ * @param {boolean} defaultOpen - Start expanded (uncontrolled)
+ * @param {boolean} open - Controlled expanded state
+ * @param {function} onToggle - Called with the new expanded state
+ * @param {function} onStopClick - Called with (stop, index) when a stop is activated
+ */
+export const RouteTimeline = ({
+  title,
+  stops = [],
+  driver,
+  timeZone,
+  defaultOpen = true,
+  open,
+  onToggle,
+  onStopClick
+}) => {
+  const theme = useTheme();
+  const { t, locale } = useLocale();
+  const formatters = useFormatters();
+
+  const violations = stops.map((stop) => getWindowViolation(stop.actualArrival || stop.plannedArrival, stop.timeWindow, timeZone));
+  const lateCount = violations.filter((violation) => violation === 'late').length;
+  const totalDistance = stops.reduce((sum, stop) => sum + ((stop.leg && stop.leg.distance) || 0), 0);
+  const totalDuration = stops.reduce((sum, stop) => sum + ((stop.leg && stop.leg.duration) || 0), 0);
+
+  const summary = (
+    <span style={{ display: 'flex', alignItems: 'center', flexWrap: 'wrap', gap: theme.spacing.small }}>
+      {driver && <Avatar name={driver.name} src={driver.src} size="sm" />}
+      <span>{title}</span>
+      <span style={{ fontSize: theme.typography.fontSize.small, fontWeight: theme.typography.fontWeight.medium, color: theme.colors.textMuted }}>
+        {[
+          stops.length === 1 ? t('route.stop') : t('route.stops', { count: formatters.number(stops.length) }),
+          totalDistance > 0 && formatters.distance(totalDistance),
+          totalDuration > 0 && formatters.duration(totalDuration)
+        ].filter(Boolean).join(' · ')}
+      </span>
+      {lateCount > 0 && <StatusBadge status={t('route.late', { count: formatters.number(lateCount) })} variant="error" size="sm" />}
+    </span>
+  );
+
+  const mutedText = { fontSize: theme.typography.fontSize.small, color: theme.colors.textMuted };
 
   return (
-    <div 
-      style={{
-        width: sizeStyle.width,
-        height: sizeStyle.height,
-        background: src ? 'transparent' : gradient,
-        borderRadius: '50%',
-        display: 'flex',
-        alignItems: 'center',
-        justifyContent: 'center',
-        overflow: 'hidden',
-        ...props.style
-      }}
-      {...props}
-    >
-      {src ? (
-        <img 
-          src={src} 
-          alt={name || ''} 
-          style={{ 
-            width: '100%', 
-            height: '100%', 
-            objectFit: 'cover' 
-          }} 
-        />
-      ) : Icon ? (
-        <Icon size={parseInt(sizeStyle.width) / 2} color="white" />
+    <CollapsiblePanel title={summary} isOpen={defaultOpen} open={open} onToggle={onToggle}>
+      {stops.length === 0 ? (
+        <p style={{ margin: 0, ...mutedText }}>{t('route.empty')}</p>
       ) : (
-        <span style={{ 
-          color: 'white', 
-          fontWeight: 'bold', 
-          fontSize: sizeStyle.fontSize,
-          textTransform: 'uppercase'
-        }}>
-          {name?.charAt(0) || 'A'}
-        </span>
+        <ol style={{ listStyle: 'none', margin: 0, padding: 0 }}>
+          {stops.map((stop, index) => {
+            const violation = violations[index];
+            const tone = violation === 'late' ? theme.tones.danger : violation === 'early' ? theme.tones.warning : theme.tones.neutral;
+            const isLast = index === stops.length - 1;
+            return (
+              <li key={stop.id ?? index}>
+                {index > 0 && stop.leg && (
+                  <div style={{ display: 'flex', alignItems: 'center', gap: theme.spacing.medium, minHeight: '28px' }}>
+                    <span style={{ width: '32px', alignSelf: 'stretch', display: 'flex', justifyContent: 'center' }}>
+                      <span style={{ borderInlineStart: `2px dashed ${theme.colors.border}` }} />
+                    </span>
+                    <span style={mutedText}>
+                      {t('route.leg', {
+                        distance: formatters.distance(stop.leg.distance),
+                        duration: formatters.duration(stop.leg.duration)
+                      })}
+                    </span>
+                  </div>
+                )}
+                <div
+                  onClick={onStopClick ? () => onStopClick(stop, index) : undefined}
+                  onKeyDown={onStopClick ? (e) => {
+                    if (e.key === 'Enter' || e.key === ' ') {
+                      e.preventDefault();
+                      onStopClick(stop, index);
+                    }
+                  } : undefined}
+                  role={onStopClick ? 'button' : undefined}
+                  tabIndex={onStopClick ? 0 : undefined}
+                  style={{
+                    display: 'flex',
+                    gap: theme.spacing.medium,
+                    paddingBottom: isLast ? 0 : theme.spacing.small,
+                    cursor: onStopClick ? 'pointer' : 'default'
+                  }}
+                >
+                  <Avatar
+                    label={String(stop.sequence ?? index + 1)}
+                    size="sm"
+                    gradient={violation === 'late' ? theme.colors.danger : undefined}
+                    style={{ flexShrink: 0 }}
+                  />
+                  <div style={{ flex: 1, minWidth: 0 }}>
+                    <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'flex-start', gap: theme.spacing.small }}>
+                      <div style={{ minWidth: 0 }}>
+                        {stop.name && (
+                          <div style={{ fontWeight: theme.typography.fontWeight.semibold, color: theme.colors.text }}>{stop.name}</div>
+                        )}
+                        <div style={{ color: stop.name ? theme.colors.textMuted : theme.colors.text, fontSize: theme.typography.fontSize.medium }}>
+                          {stop.address}
+                        </div>
+                      </div>
+                      {stop.status && <StatusBadge status={stop.status} variant={stop.statusVariant || stop.status} size="sm" />}
+                    </div>
+                    <div style={{ display: 'flex', flexWrap: 'wrap', alignItems: 'center', gap: `${theme.spacing.xsmall} ${theme.spacing.medium}`, marginTop: theme.spacing.xsmall, ...mutedText }}>
+                      {!isBlank(stop.plannedArrival) && (
+                        <span>{t('route.planned', { time: formatStopTime(stop.plannedArrival, locale, timeZone) })}</span>
+                      )}
+                      {!isBlank(stop.actualArrival) && (
+                        <span style={{ color: violation ? tone.color : theme.colors.textStrong }}>
+                          {t('route.actual', { time: formatStopTime(stop.actualArrival, locale, timeZone) })}
+                        </span>
+                      )}
+                      {stop.timeWindow && (
+                        <span
+                          title={violation ? t(violation === 'late' ? 'route.windowLate' : 'route.windowEarly') : undefined}
+                          style={{
+                            padding: '1px 8px',
+                            borderRadius: theme.borderRadius.pill,
+                            background: tone.background,
+                            color: tone.color,
+                            fontWeight: violation ? theme.typography.fontWeight.semibold : undefined
+                          }}
+                        >
+                          {t('route.window', { from: stop.timeWindow.from, to: stop.timeWindow.to })}
+                          {violation && <span style={visuallyHidden}>{` (${t(violation === 'late' ? 'route.windowLate' : 'route.windowEarly')})`}</span>}
+                        </span>
+                      )}
+                      {!isBlank(stop.serviceDuration) && (
+                        <span>{t('route.service', { duration: formatters.duration(stop.serviceDuration) })}</span>
+                      )}
+                    </div>
+                  </div>
+                </div>
+              </li>
+            );
+          })}
+        </ol>
       )}
-    </div>
+    </CollapsiblePanel>
   );
-});
+};
 
-Avatar.propTypes = {
-  icon: PropTypes.elementType,
-  name: PropTypes.string,
-  gradient: PropTypes.string,
-  size: PropTypes.oneOf(['sm', 'md', 'lg']),
-  src: PropTypes.string
+const timeValuePropType = PropTypes.oneOfType([PropTypes.string, PropTypes.number, PropTypes.instanceOf(Date)]);
+
+RouteTimeline.propTypes = {
+  title: PropTypes.node,
+  stops: PropTypes.arrayOf(PropTypes.shape({
+    id: PropTypes.oneOfType([PropTypes.string, PropTypes.number]),
+    sequence: PropTypes.number,
+    name: PropTypes.string,
+    address: PropTypes.string,
+    plannedArrival: timeValuePropType,
+    actualArrival: timeValuePropType,
+    timeWindow: PropTypes.shape({ from: PropTypes.string, to: PropTypes.string }),
+    serviceDuration: PropTypes.number,
+    status: PropTypes.string,
+    statusVariant: PropTypes.string,
+    leg: PropTypes.shape({ distance: PropTypes.number, duration: PropTypes.number })
+  })),
+  driver: PropTypes.shape({ name: PropTypes.string, src: PropTypes.string }),
+  timeZone: PropTypes.string,
+  defaultOpen: PropTypes.bool,
+  open: PropTypes.bool,
+  onToggle: PropTypes.func,
+  onStopClick: PropTypes.func
 };
 
 /**
- * Unified Contact Info Component
- * @param {string} email - Email address
- * @param {string} phone - Phone number
- * @param {ReactComponent} MailIcon - Mail icon component
- * @param {ReactComponent} PhoneIcon - Phone icon component
- * @param {string} size - Size of the component (sm, md, lg)
+ * Stop List Component
+ * Sortable list of stops: drag a stop by its handle, or focus the handle and press Space,
+ * move with the arrow keys and press Space again. Sequence numbers follow the new order
+ * while dragging. Put several lists under a DragDropProvider to move stops between routes.
+ * @param {string} id - List id reported in moves
+ * @param {string} label - Heading, also announced when stops move into this list
+ * @param {array} stops - Stops in sequence ({ id, name, address, status, statusVariant })
+ * @param {string|function} itemKey - Stop id field or (stop, index) => key
+ * @param {function} renderStop - Custom content, (stop, index) => node
+ * @param {function} onReorder - Called with (move, reorderedStops) after a drop; under a
+ *   DragDropProvider the provider's onMove is called instead
+ * @param {boolean} disabled - Turn reordering off
+ * @param {string} emptyMessage - Shown (and used as the drop area) when there are no stops
  */
-export const ContactInfo = memo(({ 
-  email, 
-  phone, 
-  MailIcon, 
-  PhoneIcon,
-  size = 'md'
+export const StopList = ({
+  id,
+  label,
+  stops = [],
+  itemKey = 'id',
+  renderStop,
+  onReorder,
+  disabled = false,
+  emptyMessage
 }) => {
-  const sizes = {
-    sm: { fontSize: '12px', iconSize: 12 },
-    md: { fontSize: '14px', iconSize: 14 },
-    lg: { fontSize: '16px', iconSize: 16 }
-  };
+  const theme = useTheme();
+  const { t } = useLocale();
+  const [generatedId] = useState(() => `stops-${Math.random().toString(36).slice(2, 9)}`);
+  const listId = id ?? generatedId;
+  const getStopLabel = (stop, index) => stop.name || stop.address || String(getRowKey(stop, index, itemKey));
 
-  const sizeStyle = sizes[size] || sizes.md;
+  const sortable = useSortableList({
+    listId,
+    label,
+    items: stops,
+    getKey: (stop, index) => getRowKey(stop, index, itemKey),
+    getLabel: getStopLabel,
+    disabled,
+    onMove: (move) => {
+      if (onReorder) onReorder(move, applyMove({ [listId]: stops }, move)[listId]);
+    }
+  });
 
   return (
-    <div style={{ display: 'flex', flexDirection: 'column', gap: '4px' }}>
-      {email && (
-        <div style={{ display: 'flex', alignItems: 'center', gap: '6px' }}>
-          <MailIcon size={sizeStyle.iconSize} color="#6B7280" />
-          <span style={{ 
-            fontSize: sizeStyle.fontSize, 
-            color: '#374151' 
-          }}>
-            {email}
-          </span>
-        </div>
+    <div>
+      {label && (
+        <h4
+          id={`${listId}-label`}
+          style={{ margin: `0 0 ${theme.spacing.small}`, fontSize: theme.typography.fontSize.large, color: theme.colors.text }}
+        >
+          {label}
+        </h4>
       )}
-      {phone && (
-        <div style={{ display: 'flex', alignItems: 'center', gap: '6px' }}>
-          <PhoneIcon size={sizeStyle.iconSize} color="#6B7280" />
-          <span style={{ 
-            fontSize: sizeStyle.fontSize, 
-            color: '#374151' 
+      <ol
+        ref={sortable.containerRef}
+        aria-labelledby={label ? `${listId}-label` : undefined}
+        style={{
+          listStyle: 'none',
+          margin: 0,
+          padding: 0,
+          display: 'flex',
+          flexDirection: 'column',
+          gap: theme.spacing.small,
+          minHeight: '48px'
+        }}
+      >
+        {sortable.previewItems.length === 0 && (
+          <li style={{
+            padding: theme.spacing.medium,
+            border: `1px dashed ${theme.colors.border}`,
+            borderRadius: theme.borderRadius.medium,
+            color: theme.colors.textMuted,
+            textAlign: 'center'
           }}>
-            {phone}
-          </span>
-        </div>
-      )}
+            {emptyMessage || t('stops.empty')}
+          </li>
+        )}
+        {sortable.previewItems.map((stop, index) => {
+          const key = getRowKey(stop, index, itemKey);
+          const isDragging = sortable.isDragging(key);
+          return (
+            <li
+              key={key}
+              {...sortable.itemProps(key, index)}
+              style={{
+                display: 'flex',
+                alignItems: 'center',
+                gap: theme.spacing.small,
+                padding: theme.spacing.small,
+                background: isDragging ? theme.tones.info.background : theme.colors.surface,
+                border: isDragging ? `2px dashed ${theme.colors.primary}` : `1px solid ${theme.colors.border}`,
+                borderRadius: theme.borderRadius.medium,
+                opacity: isDragging ? 0.6 : 1
+              }}
+            >
+              <DragHandle {...sortable.handleProps(key, index)} label={getStopLabel(stop, index)} disabled={disabled} />
+              <Avatar label={String(index + 1)} size="sm" style={{ flexShrink: 0 }} />
+              <div style={{ flex: 1, minWidth: 0 }}>
+                {renderStop ? renderStop(stop, index) : (
+                  <>
+                    {stop.name && <div style={{ fontWeight: theme.typography.fontWeight.semibold, color: theme.colors.text }}>{stop.name}</div>}
+                    <div style={{ fontSize: theme.typography.fontSize.medium, color: stop.name ? theme.colors.textMuted : theme.colors.text }}>
+                      {stop.address}
+                    </div>
+                  </>
+                )}
+              </div>
+              {!renderStop && stop.status && (
+                <StatusBadge status={stop.status} variant={stop.statusVariant || stop.status} size="sm" />
+              )}
+            </li>
+          );
+        })}
+      </ol>
+      {sortable.announcer}
     </div>
   );
-});
+};
 
-ContactInfo.propTypes = {
-  email: PropTypes.string,
-  phone: PropTypes.string,
-  MailIcon: PropTypes.elementType,
-  PhoneIcon: PropTypes.elementType,
-  size: PropTypes.oneOf(['sm', 'md', 'lg'])
+StopList.propTypes = {
+  id: PropTypes.string,
+  label: PropTypes.string,
+  stops: PropTypes.arrayOf(PropTypes.object),
+  itemKey: PropTypes.oneOfType([PropTypes.string, PropTypes.func]),
+  renderStop: PropTypes.func,
+  onReorder: PropTypes.func,
+  disabled: PropTypes.bool,
+  emptyMessage: PropTypes.string
+};
+
+const HOUR_MS = 3600000;
+
+// Visible span, tick spacing and scale per zoom level
+const SCHEDULE_ZOOMS = {
+  hour: { days: 1, tickHours: 1, pxPerHour: 120 },
+  day: { days: 1, tickHours: 2, pxPerHour: 48 },
+  week: { days: 7, tickHours: 24, pxPerHour: 8 }
+};
+
+// Bar variant when an item has neither `variant` nor `status`
+const SCHEDULE_TYPE_VARIANTS = { shift: 'default', route: 'info', break: 'warning', idle: 'default' };
+
+const startOfLocalDay = (value) => {
+  const date = new Date(value);
+  date.setHours(0, 0, 0, 0);
+  return date;
+};
+
+const addLocalDays = (date, days) => {
+  const next = new Date(date);
+  next.setDate(next.getDate() + days);
+  return next;
 };
 
 /**
- * Unified Toast Notification Component
- * @param {string} message - Toast message
- * @param {string} type - Toast type (success, error, warning, info)
- * @param {function} onClose - Close handler
- * @param {number} duration - Auto-close duration in ms
+ * Vehicle Schedule Component
+ * Gantt view of every vehicle's shifts, routes, breaks and idle time on one time axis.
+ * Hover or focus a bar for details; clicking it calls `onItemClick` and opens a UnifiedModal
+ * with the item's details. Bars use the StatusBadge colors of their `variant` (or `status`).
+ * Times are Date objects, timestamps or ISO strings, shown in the browser's time zone.
+ * @param {array} vehicles - Rows ({ id, name, description, src, icon, items: [{ id, type (shift,
+ *   route, break, idle), start, end, label, status, variant, details }] })
+ * @param {string} zoom - Controlled zoom level (hour, day, week)
+ * @param {string} defaultZoom - Initial zoom level (uncontrolled)
+ * @param {function} onZoomChange - Zoom change handler
+ * @param {Date|string} date - Day to show first (defaults to today)
+ * @param {function} onRangeChange - Called with { start, end } when the visible period changes
+ * @param {number} weekStartsOn - First day of the week view (0 = Sunday)
+ * @param {Date} now - Time of the "now" marker (defaults to the clock, refreshed every minute)
+ * @param {function} onItemClick - Called with (item, vehicle) when a bar is clicked
+ * @param {boolean} showDetails - Open the details modal on click
+ * @param {function} renderDetails - Custom modal content, (item, vehicle) => node
+ * @param {string} emptyMessage - Shown when there are no vehicles
  */
-export const Toast = memo(({ 
-  message, 
-  type = 'info', 
-  onClose, 
-  duration = 5000,
-  position = 'bottom-right'
+export const VehicleSchedule = ({
+  vehicles = [],
+  zoom: zoomProp,
+  defaultZoom = 'day',
+  onZoomChange,
+  date,
+  onRangeChange,
+  weekStartsOn = 0,
+  now: nowProp,
+  onItemClick,
+  showDetails = true,
+  renderDetails,
+  emptyMessage
 }) => {
-  const [visible, setVisible] = React.useState(true);
+  const theme = useTheme();
+  const { t, locale, isRTL } = useLocale();
+  const formatters = useFormatters();
+  const [zoom, setZoom] = useControllableState(zoomProp, defaultZoom, onZoomChange);
+  const [anchor, setAnchor] = useState(() => startOfLocalDay(date ?? Date.now()));
+  const [clock, setClock] = useState(() => new Date());
+  const [tooltip, setTooltip] = useState(null);
+  const [selected, setSelected] = useState(null);
+  const nowMarkerRef = useRef(null);
 
-  React.useEffect(() => {
-    if (duration) {
-      const timer = setTimeout(() => {
-        setVisible(false);
-        if (onClose) onClose();
-      }, duration);
-      return () => clearTimeout(timer);
-    }
-  }, [duration, onClose]);
+  // Follow a new `date` prop, compared by day so inline Date objects don't reset navigation
+  const dateKey = date === undefined ? undefined : startOfLocalDay(date).getTime();
+  useEffect(() => {
+    if (dateKey !== undefined) setAnchor(new Date(dateKey));
+  }, [dateKey]);
 
-  const toastStyles = {
-    success: { background: '#D1FAE5', color: '#065F46', icon: CheckIcon },
-    error: { background: '#FEE2E2', color: '#991B1B', icon: XIcon },
-    warning: { background: '#FEF3C7', color: '#92400E', icon: ExclamationIcon },
-    info: { background: '#DBEAFE', color: '#1E40AF', icon: ExclamationIcon }
+  useEffect(() => {
+    if (nowProp) return undefined;
+    const timer = setInterval(() => setClock(new Date()), 60000);
+    return () => clearInterval(timer);
+  }, [nowProp]);
+
+  const config = SCHEDULE_ZOOMS[zoom] || SCHEDULE_ZOOMS.day;
+  const viewStart = zoom === 'week'
+    ? addLocalDays(anchor, -((anchor.getDay() - weekStartsOn + 7) % 7))
+    : anchor;
+  const viewEnd = addLocalDays(viewStart, config.days);
+  const startMs = viewStart.getTime();
+  const endMs = viewEnd.getTime();
+  const timelineWidth = ((endMs - startMs) / HOUR_MS) * config.pxPerHour;
+  const toX = (ms) => ((ms - startMs) / HOUR_MS) * config.pxPerHour;
+  const nameWidth = 200;
+  const rowHeight = 48;
+
+  const onRangeChangeRef = useRef(onRangeChange);
+  onRangeChangeRef.current = onRangeChange;
+  useEffect(() => {
+    if (onRangeChangeRef.current) onRangeChangeRef.current({ start: new Date(startMs), end: new Date(endMs) });
+  }, [startMs, endMs]);
+
+  const ticks = [];
+  for (let tick = new Date(viewStart); tick < viewEnd; tick.setHours(tick.getHours() + config.tickHours)) {
+    ticks.push(new Date(tick));
+  }
+
+  const formatTime = (value) => new Date(value).toLocaleTimeString(locale, { hour: '2-digit', minute: '2-digit' });
+  const formatDay = (value, options) => new Date(value).toLocaleDateString(locale, options);
+  const formatRange = (item) => {
+    const sameDay = startOfLocalDay(item.start).getTime() === startOfLocalDay(item.end).getTime();
+    const from = sameDay ? formatTime(item.start) : `${formatDay(item.start, { weekday: 'short' })} ${formatTime(item.start)}`;
+    const to = sameDay ? formatTime(item.end) : `${formatDay(item.end, { weekday: 'short' })} ${formatTime(item.end)}`;
+    return t('schedule.time', { start: from, end: to });
   };
+  const getDuration = (item) => formatters.duration((new Date(item.end) - new Date(item.start)) / 1000);
+  const getVariant = (item) => item.variant || item.status || SCHEDULE_TYPE_VARIANTS[item.type] || 'default';
+  const getItemTitle = (item) => item.label || t(`schedule.${item.type || 'route'}`);
 
-  const positionStyles = {
-    'top-left': { top: theme.spacing.large, left: theme.spacing.large },
-    'top-right': { top: theme.spacing.large, right: theme.spacing.large },
-    'bottom-left': { bottom: theme.spacing.large, left: theme.spacing.large },
-    'bottom-right': { bottom: theme.spacing.large, right: theme.spacing.large }
+  const periodTitle = zoom === 'week'
+    ? `${formatDay(viewStart, { day: 'numeric', month: 'short' })} – ${formatDay(addLocalDays(viewEnd, -1), { day: 'numeric', month: 'short', year: 'numeric' })}`
+    : formatDay(viewStart, { weekday: 'long', day: 'numeric', month: 'long', year: 'numeric' });
+
+  const nowMs = (nowProp ? new Date(nowProp) : clock).getTime();
+  const showNow = nowMs >= startMs && nowMs < endMs;
+
+  const shiftPeriod = (direction) => {
+    setAnchor((current) => addLocalDays(current, direction * config.days));
+    setTooltip(null);
   };
 
-  const { background, color, icon: Icon } = toastStyles[type] || toastStyles.info;
-  const positionStyle = positionStyles[position] || positionStyles['bottom-right'];
+  const goToNow = () => {
+    setAnchor(startOfLocalDay(nowMs));
+    setTooltip(null);
+    // Wait for the marker to render in the new period
+    setTimeout(() => nowMarkerRef.current?.scrollIntoView?.({ inline: 'center', block: 'nearest' }), 0);
+  };
 
-  if (!visible) return null;
+  const showTooltip = (item, vehicle, e) => {
+    const rect = e.currentTarget.getBoundingClientRect();
+    setTooltip({ item, vehicle, x: rect.left + rect.width / 2, y: rect.bottom + 6 });
+  };
+
+  const handleItemClick = (item, vehicle) => {
+    setTooltip(null);
+    if (onItemClick) onItemClick(item, vehicle);
+    if (showDetails) setSelected({ item, vehicle });
+  };
+
+  const getBarStyle = (item) => {
+    const tone = getStatusTone(theme, getVariant(item));
+    const base = {
+      position: 'absolute',
+      display: 'flex',
+      alignItems: 'center',
+      padding: `0 ${theme.spacing.xsmall}`,
+      overflow: 'hidden',
+      whiteSpace: 'nowrap',
+      textOverflow: 'ellipsis',
+      fontSize: theme.typography.fontSize.small,
+      fontFamily: 'inherit',
+      textAlign: 'start',
+      borderRadius: theme.borderRadius.small,
+      cursor: 'pointer',
+      color: tone.color
+    };
+    switch (item.type) {
+      case 'shift':
+        return { ...base, top: '4px', bottom: '4px', zIndex: 0, alignItems: 'flex-start', background: tone.background, border: `1px solid ${theme.colors.border}`, fontSize: theme.typography.fontSize.xsmall };
+      case 'break':
+        return { ...base, top: '12px', height: '24px', zIndex: 1, border: `1px solid ${tone.color}`, background: `repeating-linear-gradient(45deg, ${tone.background} 0 6px, ${theme.colors.surface} 6px 12px)` };
+      case 'idle':
+        return { ...base, top: '16px', height: '16px', zIndex: 1, background: 'transparent', border: `1px dashed ${theme.colors.textSubtle}`, color: theme.colors.textMuted };
+      default:
+        return { ...base, top: '12px', height: '24px', zIndex: 1, background: tone.background, border: 'none', borderInlineStart: `3px solid ${tone.color}`, fontWeight: theme.typography.fontWeight.medium };
+    }
+  };
+
+  const navButtonStyle = {
+    padding: '4px 10px',
+    border: `1px solid ${theme.colors.inputBorder}`,
+    borderRadius: theme.borderRadius.small,
+    background: theme.colors.surface,
+    color: theme.colors.text,
+    cursor: 'pointer'
+  };
 
   return (
-    <div 
-      style={{
-        position: 'fixed',
-        padding: `${theme.spacing.medium} ${theme.spacing.large}`,
-        background,
-        color,
-        borderRadius: theme.borderRadius.medium,
-        boxShadow: '0 4px 6px rgba(0, 0, 0, 0.1)',
+    <div style={{
+      background: theme.colors.surface,
+      border: `1px solid ${theme.colors.border}`,
+      borderRadius: theme.borderRadius.large,
+      color: theme.colors.text
+    }}>
+      <div style={{
         display: 'flex',
+        flexWrap: 'wrap',
         alignItems: 'center',
+        justifyContent: 'space-between',
         gap: theme.spacing.small,
-        zIndex: 1100,
-        animation: 'fadeIn 0.3s ease-out',
-        ...positionStyle
-      }}
-    >
-      <Icon size={20} color={color} />
-      <span>{message}</span>
-      {onClose && (
-        <button 
-          onClick={onClose} 
-          style={{ 
-            background: 'none', 
-            border: 'none', 
-            cursor: 'pointer',
-            marginLeft: theme.spacing.small,
-            color
+        padding: `12px ${theme.spacing.medium}`,
+        borderBottom: `1px solid ${theme.colors.border}`
+      }}>
+        <div style={{ display: 'flex', alignItems: 'center', gap: theme.spacing.small }}>
+          <button type="button" onClick={() => shiftPeriod(-1)} aria-label={t('schedule.previous')} style={navButtonStyle}>
+            {isRTL ? '›' : '‹'}
+          </button>
+          <button type="button" onClick={goToNow} style={navButtonStyle}>{t('schedule.now')}</button>
+          <button type="button" onClick={() => shiftPeriod(1)} aria-label={t('schedule.next')} style={navButtonStyle}>
+            {isRTL ? '‹' : '›'}
+          </button>
+          <span aria-live="polite" style={{ fontWeight: theme.typography.fontWeight.semibold }}>{periodTitle}</span>
+        </div>
+        <div role="group" aria-label={t('schedule.zoom')} style={{ display: 'flex' }}>
+          {Object.keys(SCHEDULE_ZOOMS).map((level, index, levels) => (
+            <button
+              key={level}
+              type="button"
+              aria-pressed={zoom === level}
+              onClick={() => setZoom(level)}
+              style={{
+                ...navButtonStyle,
+                borderRadius: 0,
+                marginInlineStart: index === 0 ? 0 : '-1px',
+                ...(index === 0 && { borderStartStartRadius: theme.borderRadius.small, borderEndStartRadius: theme.borderRadius.small }),
+                ...(index === levels.length - 1 && { borderStartEndRadius: theme.borderRadius.small, borderEndEndRadius: theme.borderRadius.small }),
+                background: zoom === level ? theme.colors.primary : theme.colors.surface,
+                color: zoom === level ? theme.colors.onPrimary : theme.colors.text
+              }}
+            >
+              {t(`schedule.zoom.${level}`)}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      {vehicles.length === 0 ? (
+        <p style={{ margin: 0, padding: theme.spacing.large, textAlign: 'center', color: theme.colors.textMuted }}>
+          {emptyMessage || t('schedule.empty')}
+        </p>
+      ) : (
+        <div style={{ overflowX: 'auto' }} onScroll={() => setTooltip(null)}>
+          <div style={{ position: 'relative', width: nameWidth + timelineWidth }}>
+            {/* Grid lines and the "now" marker span every row */}
+            <div aria-hidden="true" style={{ position: 'absolute', top: 0, bottom: 0, insetInlineStart: nameWidth, width: timelineWidth, pointerEvents: 'none' }}>
+              {ticks.map((tick) => (
+                <span
+                  key={tick.getTime()}
+                  style={{ position: 'absolute', top: 0, bottom: 0, insetInlineStart: toX(tick.getTime()), borderInlineStart: `1px solid ${theme.colors.border}` }}
+                />
+              ))}
+            </div>
+            {showNow && (
+              <div
+                ref={nowMarkerRef}
+                title={t('schedule.now')}
+                style={{
+                  position: 'absolute',
+                  top: 0,
+                  bottom: 0,
+                  insetInlineStart: nameWidth + toX(nowMs),
+                  width: '2px',
+                  background: theme.colors.danger,
+                  zIndex: 2,
+                  pointerEvents: 'none'
+                }}
+              >
+                <span style={visuallyHidden}>{t('schedule.nowAt', { time: formatTime(nowMs) })}</span>
+              </div>
+            )}
+
+            <div style={{ display: 'flex', height: '32px', borderBottom: `1px solid ${theme.colors.border}` }}>
+              <div style={{
+                position: 'sticky',
+                insetInlineStart: 0,
+                zIndex: 3,
+                width: nameWidth,
+                flexShrink: 0,
+                display: 'flex',
+                alignItems: 'center',
+                paddingInlineStart: theme.spacing.medium,
+                boxSizing: 'border-box',
+                background: theme.colors.surfaceAlt,
+                fontSize: theme.typography.fontSize.small,
+                fontWeight: theme.typography.fontWeight.semibold,
+                color: theme.colors.textStrong
+              }}>
+                {t('schedule.vehicle')}
+              </div>
+              <div style={{ position: 'relative', width: timelineWidth, background: theme.colors.surfaceAlt }}>
+                {ticks.map((tick) => (
+                  <span
+                    key={tick.getTime()}
+                    style={{
+                      position: 'absolute',
+                      top: '8px',
+                      insetInlineStart: toX(tick.getTime()) + 4,
+                      fontSize: theme.typography.fontSize.xsmall,
+                      color: theme.colors.textMuted,
+                      whiteSpace: 'nowrap'
+                    }}
+                  >
+                    {zoom === 'week' ? formatDay(tick, { weekday: 'short', day: 'numeric' }) : formatTime(tick)}
+                  </span>
+                ))}
+              </div>
+            </div>
+
+            <ul style={{ listStyle: 'none', margin: 0, padding: 0 }}>
+              {vehicles.map((vehicle, vehicleIndex) => (
+                <li
+                  key={vehicle.id ?? vehicleIndex}
+                  aria-label={vehicle.name}
+                  style={{ display: 'flex', height: rowHeight, borderBottom: `1px solid ${theme.colors.border}` }}
+                >
+                  <div style={{
+                    position: 'sticky',
+                    insetInlineStart: 0,
+                    zIndex: 3,
+                    width: nameWidth,
+                    flexShrink: 0,
+                    display: 'flex',
+                    alignItems: 'center',
+                    gap: theme.spacing.small,
+                    paddingInlineStart: theme.spacing.medium,
+                    boxSizing: 'border-box',
+                    background: theme.colors.surface
+                  }}>
+                    <Avatar name={vehicle.name} src={vehicle.src} icon={vehicle.icon} size="sm" style={{ flexShrink: 0 }} />
+                    <div style={{ minWidth: 0 }}>
+                      <div style={{ fontWeight: theme.typography.fontWeight.semibold, overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>
+                        {vehicle.name}
+                      </div>
+                      {vehicle.description && (
+                        <div style={{ fontSize: theme.typography.fontSize.small, color: theme.colors.textMuted }}>{vehicle.description}</div>
+                      )}
+                    </div>
+                  </div>
+                  <div style={{ position: 'relative', width: timelineWidth }}>
+                    {(vehicle.items || []).map((item, itemIndex) => {
+                      const itemStart = Math.max(new Date(item.start).getTime(), startMs);
+                      const itemEnd = Math.min(new Date(item.end).getTime(), endMs);
+                      if (itemEnd <= itemStart) return null;
+                      const width = Math.max(2, toX(itemEnd) - toX(itemStart));
+                      const title = getItemTitle(item);
+                      return (
+                        <button
+                          key={item.id ?? itemIndex}
+                          type="button"
+                          aria-label={[title, formatRange(item), item.status].filter(Boolean).join(', ')}
+                          onClick={() => handleItemClick(item, vehicle)}
+                          onMouseEnter={(e) => showTooltip(item, vehicle, e)}
+                          onMouseLeave={() => setTooltip(null)}
+                          onFocus={(e) => showTooltip(item, vehicle, e)}
+                          onBlur={() => setTooltip(null)}
+                          style={{ ...getBarStyle(item), insetInlineStart: toX(itemStart), width }}
+                        >
+                          {width > 48 && <span style={{ overflow: 'hidden', textOverflow: 'ellipsis' }}>{title}</span>}
+                        </button>
+                      );
+                    })}
+                  </div>
+                </li>
+              ))}
+            </ul>
+          </div>
+        </div>
+      )}
+
+      <div style={{ padding: `0 ${theme.spacing.medium} 12px` }}>
+        <ChartLegend
+          items={Object.keys(SCHEDULE_TYPE_VARIANTS).map((type) => ({
+            name: t(`schedule.${type}`),
+            color: type === 'idle' ? theme.colors.textSubtle : getStatusTone(theme, SCHEDULE_TYPE_VARIANTS[type]).color
+          }))}
+        />
+      </div>
+
+      {tooltip && (
+        <div
+          role="tooltip"
+          style={{
+            ...getTooltipStyle(theme),
+            position: 'fixed',
+            top: tooltip.y,
+            left: tooltip.x,
+            transform: 'translateX(-50%)',
+            zIndex: 1100
           }}
-          aria-label="Close toast"
         >
-          <XIcon size={16} />
-        </button>
+          <div style={{ fontWeight: theme.typography.fontWeight.semibold }}>{getItemTitle(tooltip.item)}</div>
+          <div>{formatRange(tooltip.item)} · {getDuration(tooltip.item)}</div>
+          {tooltip.item.status && <div>{tooltip.item.status}</div>}
+        </div>
+      )}
+
+      {selected && (
+        <UnifiedModal
+          isOpen
+          onClose={() => setSelected(null)}
+          title={getItemTitle(selected.item)}
+          size="sm"
+        >
+          {renderDetails ? renderDetails(selected.item, selected.vehicle) : (
+            <dl style={{ display: 'grid', gridTemplateColumns: 'auto 1fr', gap: `${theme.spacing.small} ${theme.spacing.medium}`, margin: 0 }}>
+              <dt style={{ color: theme.colors.textMuted }}>{t('schedule.vehicle')}</dt>
+              <dd style={{ margin: 0 }}>{selected.vehicle.name}</dd>
+              <dt style={{ color: theme.colors.textMuted }}>{t('schedule.type')}</dt>
+              <dd style={{ margin: 0 }}>{t(`schedule.${selected.item.type || 'route'}`)}</dd>
+              <dt style={{ color: theme.colors.textMuted }}>{t('schedule.period')}</dt>
+              <dd style={{ margin: 0 }}>{formatRange(selected.item)}</dd>
+              <dt style={{ color: theme.colors.textMuted }}>{t('schedule.duration')}</dt>
+              <dd style={{ margin: 0 }}>{getDuration(selected.item)}</dd>
+              {selected.item.status && (
+                <>
+                  <dt style={{ color: theme.colors.textMuted }}>{t('schedule.status')}</dt>
+                  <dd style={{ margin: 0 }}>
+                    <StatusBadge status={selected.item.status} variant={getVariant(selected.item)} size="sm" />
+                  </dd>
+                </>
+              )}
+              {selected.item.details && (
+                <dd style={{ margin: 0, gridColumn: '1 / -1' }}>{selected.item.details}</dd>
+              )}
+            </dl>
+          )}
+        </UnifiedModal>
       )}
     </div>
   );
-});
+};
 
-Toast.propTypes = {
-  message: PropTypes.string.isRequired,
-  type: PropTypes.oneOf(['success', 'error', 'warning', 'info']),
-  onClose: PropTypes.func,
-  duration: PropTypes.number,
-  position: PropTypes.oneOf(['top-left', 'top-right', 'bottom-left', 'bottom-right'])
+const scheduleTimePropType = PropTypes.oneOfType([PropTypes.string, PropTypes.number, PropTypes.instanceOf(Date)]);
+
+VehicleSchedule.propTypes = {
+  vehicles: PropTypes.arrayOf(PropTypes.shape({
+    id: PropTypes.oneOfType([PropTypes.string, PropTypes.number]),
+    name: PropTypes.string.isRequired,
+    description: PropTypes.string,
+    src: PropTypes.string,
+    icon: PropTypes.elementType,
+    items: PropTypes.arrayOf(PropTypes.shape({
+      id: PropTypes.oneOfType([PropTypes.string, PropTypes.number]),
+      type: PropTypes.oneOf(['shift', 'route', 'break', 'idle']),
+      start: scheduleTimePropType.isRequired,
+      end: scheduleTimePropType.isRequired,
+      label: PropTypes.string,
+      status: PropTypes.string,
+      variant: PropTypes.string,
+      details: PropTypes.node
+    }))
+  })),
+  zoom: PropTypes.oneOf(['hour', 'day', 'week']),
+  defaultZoom: PropTypes.oneOf(['hour', 'day', 'week']),
+  onZoomChange: PropTypes.func,
+  date: scheduleTimePropType,
+  onRangeChange: PropTypes.func,
+  weekStartsOn: PropTypes.number,
+  now: scheduleTimePropType,
+  onItemClick: PropTypes.func,
+  showDetails: PropTypes.bool,
+  renderDetails: PropTypes.func,
+  emptyMessage: PropTypes.string
 };
 
-/**
- * Unified Empty State Component
- * @param {ReactComponent} icon - Icon component
- * @param {string} title - Title text
- * @param {string} description - Description text
- * @param {ReactNode} action - Action button/component
- */
-export const EmptyState = memo(({ 
-  icon: Icon, 
-  title, 
-  description, 
-  action 
-}) => (
-  <div style={{ 
-    textAlign: 'center', 
-    padding: theme.spacing.large,
-    maxWidth: '400px',
-    margin: '0 auto'
-  }}>
-    {Icon && (
-      <div style={{ 
-        marginBottom: theme.spacing.medium,
-        color: '#9CA3AF'
-      }}>
-        <Icon size={48} />
-      </div>
-    )}
-    <h3 style={{ 
-      margin: `0 0 ${theme.spacing.small} 0`, 
-      fontSize: '18px', 
-      fontWeight: '600',
-      color: theme.colors.dark
-    }}>
-      {title}
-    </h3>
-    <p style={{ 
-      margin: `0 0 ${theme.spacing.medium} 0`, 
-      color: '#6B7280', 
-      fontSize: '14px' 
-    }}>
-      {description}
-    </p>
-    {action}
-  </div>
-));
+// Dispatch order lifecycle; titles come from the message catalog, colors from StatusBadge variants
+export const DEFAULT_KANBAN_COLUMNS = [
+  { id: 'pending', messageKey: 'kanban.pending', variant: 'pending' },
+  { id: 'assigned', messageKey: 'kanban.assigned' },
+  { id: 'in progress', messageKey: 'kanban.inProgress', variant: 'in progress' },
+  { id: 'completed', messageKey: 'kanban.completed', variant: 'completed' },
+  { id: 'cancelled', messageKey: 'kanban.cancelled', variant: 'cancelled' }
+];
 
-EmptyState.propTypes = {
-  icon: PropTypes.elementType,
-  title: PropTypes.string,
-  description: PropTypes.string,
-  action: PropTypes.node
+const KanbanColumn = ({
+  column,
+  title,
+  items,
+  itemKey,
+  getItemLabel,
+  renderCard,
+  collapsed,
+  onToggleCollapse,
+  canMove,
+  enforceWipLimits
+}) => {
+  const theme = useTheme();
+  const { t } = useLocale();
+  const { wipLimit } = column;
+  const overLimit = wipLimit !== undefined && items.length > wipLimit;
+  const tone = overLimit ? theme.tones.danger : getStatusTone(theme, column.variant);
+
+  const sortable = useSortableList({
+    listId: column.id,
+    label: title,
+    items,
+    getKey: (item, index) => getRowKey(item, index, itemKey),
+    getLabel: getItemLabel,
+    accepts: (item, fromColumnId) => {
+      if (enforceWipLimits && wipLimit !== undefined && items.length >= wipLimit) {
+        return t('kanban.wipReached', { limit: wipLimit });
+      }
+      return canMove ? canMove(item, fromColumnId, column.id) : true;
+    }
+  });
+
+  const borderColor = sortable.blockedReason
+    ? theme.colors.danger
+    : sortable.isDropTarget ? theme.colors.primary : theme.colors.border;
+  // A collapsed column still shows a card that is being moved into it, so keyboard focus stays on it
+  const cards = collapsed
+    ? sortable.previewItems.filter((item, index) => sortable.isDragging(getRowKey(item, index, itemKey)))
+    : sortable.previewItems;
+
+  const countLabel = wipLimit === undefined
+    ? String(items.length)
+    : t('kanban.wip', { count: items.length, limit: wipLimit });
+
+  return (
+    <section
+      aria-label={title}
+      style={{
+        flex: collapsed ? '0 0 48px' : '0 0 280px',
+        display: 'flex',
+        flexDirection: 'column',
+        background: theme.colors.surfaceAlt,
+        border: `${sortable.blockedReason || sortable.isDropTarget ? 2 : 1}px solid ${borderColor}`,
+        borderRadius: theme.borderRadius.large,
+        boxShadow: `inset 0 3px 0 ${tone.color}`,
+        minHeight: '200px'
+      }}
+    >
+      <header style={{
+        display: 'flex',
+        flexDirection: collapsed ? 'column' : 'row',
+        alignItems: 'center',
+        gap: theme.spacing.small,
+        padding: theme.spacing.small
+      }}>
+        <button
+          type="button"
+          onClick={onToggleCollapse}
+          aria-expanded={!collapsed}
+          aria-label={t(collapsed ? 'kanban.expand' : 'kanban.collapse', { column: title })}
+          style={{
+            border: 'none',
+            background: 'transparent',
+            color: theme.colors.textMuted,
+            cursor: 'pointer',
+            padding: theme.spacing.xsmall,
+            display: 'flex'
+          }}
+        >
+          {collapsed ? <ChevronDownIcon size={16} /> : <ChevronUpIcon size={16} />}
+        </button>
+        <h3 style={{
+          margin: 0,
+          flex: collapsed ? undefined : 1,
+          fontSize: theme.typography.fontSize.medium,
+          fontWeight: theme.typography.fontWeight.semibold,
+          color: theme.colors.text,
+          ...(collapsed && { writingMode: 'vertical-rl', whiteSpace: 'nowrap' })
+        }}>
+          {title}
+        </h3>
+        <span
+          title={overLimit ? t('kanban.overLimit', { limit: wipLimit }) : undefined}
+          style={{
+            padding: '2px 8px',
+            borderRadius: theme.borderRadius.pill,
+            background: tone.background,
+            color: tone.color,
+            fontSize: theme.typography.fontSize.xsmall,
+            fontWeight: theme.typography.fontWeight.semibold
+          }}
+        >
+          {countLabel}
+          {overLimit && <span style={visuallyHidden}>{` (${t('kanban.overLimit', { limit: wipLimit })})`}</span>}
+        </span>
+      </header>
+      {sortable.blockedReason && !collapsed && (
+        <div role="alert" style={{
+          margin: `0 ${theme.spacing.small} ${theme.spacing.small}`,
+          padding: `${theme.spacing.xsmall} ${theme.spacing.small}`,
+          borderRadius: theme.borderRadius.small,
+          background: theme.tones.danger.background,
+          color: theme.tones.danger.color,
+          fontSize: theme.typography.fontSize.small
+        }}>
+          {sortable.blockedReason}
+        </div>
+      )}
+      <ol
+        ref={sortable.containerRef}
+        style={{
+          listStyle: 'none',
+          margin: 0,
+          padding: collapsed ? 0 : `0 ${theme.spacing.small} ${theme.spacing.small}`,
+          display: 'flex',
+          flexDirection: 'column',
+          gap: theme.spacing.small,
+          flex: 1,
+          overflowY: 'auto'
+        }}
+      >
+        {!collapsed && cards.length === 0 && (
+          <li style={{
+            padding: theme.spacing.medium,
+            border: `1px dashed ${theme.colors.border}`,
+            borderRadius: theme.borderRadius.medium,
+            color: theme.colors.textSubtle,
+            fontSize: theme.typography.fontSize.small,
+            textAlign: 'center'
+          }}>
+            {t('kanban.empty')}
+          </li>
+        )}
+        {cards.map((item, index) => {
+          const key = getRowKey(item, index, itemKey);
+          const isDragging = sortable.isDragging(key);
+          return (
+            <li
+              key={key}
+              {...sortable.itemProps(key, index)}
+              style={{
+                display: 'flex',
+                alignItems: 'flex-start',
+                gap: theme.spacing.xsmall,
+                padding: theme.spacing.small,
+                background: theme.colors.surface,
+                border: isDragging ? `2px dashed ${theme.colors.primary}` : `1px solid ${theme.colors.border}`,
+                borderRadius: theme.borderRadius.medium,
+                boxShadow: theme.shadows.small,
+                opacity: isDragging ? 0.6 : 1,
+                ...(collapsed && visuallyHidden)
+              }}
+            >
+              <DragHandle {...sortable.handleProps(key, index)} label={getItemLabel(item, index)} />
+              <div style={{ flex: 1, minWidth: 0 }}>
+                {renderCard ? renderCard(item, { column, isDragging }) : (
+                  <>
+                    <div style={{ fontWeight: theme.typography.fontWeight.semibold, color: theme.colors.text }}>
+                      {getItemLabel(item, index)}
+                    </div>
+                    {item.description && (
+                      <div style={{ fontSize: theme.typography.fontSize.small, color: theme.colors.textMuted }}>
+                        {item.description}
+                      </div>
+                    )}
+                  </>
+                )}
+              </div>
+            </li>
+          );
+        })}
+      </ol>
+    </section>
+  );
 };
 
 /**
- * Unified Loading Component
- * @param {string} size - Loading size (sm, md, lg)
- * @param {string} color - Loading color
+ * Kanban Board Component
+ * Items sit in the column whose id matches their `columnKey` field; drag a card (or pick it
+ * up with Space and use the arrow keys) to reorder it or move it to another column.
+ * `canMove` can veto a move between columns; the column then shows the reason and a drop
+ * there is cancelled. Collapsed columns still accept drops.
+ * @param {array} columns - Column definitions ({ id, title, messageKey, variant, wipLimit })
+ * @param {array} items - Cards, in display order within each column
+ * @param {string} columnKey - Item field holding its column id
+ * @param {string|function} itemKey - Item id field or (item, index) => key
+ * @param {function} renderCard - Card content, (item, { column, isDragging }) => node
+ * @param {function} getItemLabel - (item) => text naming the card for screen readers
+ * @param {function} canMove - (item, fromColumnId, toColumnId) => true, false or a reason string
+ * @param {function} onMove - Called with (move, nextItems) after a drop; move.from/to.listId
+ *   are column ids and nextItems has the card's `columnKey` updated
+ * @param {boolean} enforceWipLimits - Refuse drops into columns at their `wipLimit`
+ * @param {array} collapsedColumns - Controlled collapsed column ids
+ * @param {array} defaultCollapsedColumns - Initially collapsed column ids (uncontrolled)
+ * @param {function} onCollapsedChange - Called with the collapsed column ids
  */
-export const Loading = memo(({ 
-  size = 'md', 
-  color = theme.colors.primary 
+export const KanbanBoard = ({
+  columns = DEFAULT_KANBAN_COLUMNS,
+  items = [],
+  columnKey = 'status',
+  itemKey = 'id',
+  renderCard,
+  getItemLabel,
+  canMove,
+  onMove,
+  enforceWipLimits = false,
+  collapsedColumns: collapsedProp,
+  defaultCollapsedColumns = [],
+  onCollapsedChange
 }) => {
-  const sizes = {
-    sm: { width: '16px', height: '16px', borderWidth: '2px' },
-    md: { width: '24px', height: '24px', borderWidth: '3px' },
-    lg: { width: '32px', height: '32px', borderWidth: '4px' }
+  const theme = useTheme();
+  const { t } = useLocale();
+  const [collapsedColumns, setCollapsedColumns] = useControllableState(collapsedProp, defaultCollapsedColumns, onCollapsedChange);
+
+  const itemsByColumn = useMemo(() => {
+    const groups = Object.fromEntries(columns.map((column) => [column.id, []]));
+    items.forEach((item) => {
+      if (groups[item[columnKey]]) groups[item[columnKey]].push(item);
+    });
+    return groups;
+  }, [columns, items, columnKey]);
+
+  const labelItem = (item, index) => (
+    getItemLabel ? getItemLabel(item) : String(item.title ?? item.name ?? getRowKey(item, index, itemKey))
+  );
+
+  // Rebuild the flat list column by column; items in unknown columns keep their place at the end
+  const handleMove = (move) => {
+    if (!onMove) return;
+    const lists = applyMove(itemsByColumn, move);
+    lists[move.to.listId] = lists[move.to.listId].map((item) => (
+      item === move.item ? { ...item, [columnKey]: move.to.listId } : item
+    ));
+    const known = new Set(columns.map((column) => column.id));
+    const nextItems = [
+      ...columns.flatMap((column) => lists[column.id]),
+      ...items.filter((item) => !known.has(item[columnKey]))
+    ];
+    onMove(move, nextItems);
   };
 
-  const sizeStyle = sizes[size] || sizes.md;
+  const toggleColumn = (columnId) => {
+    setCollapsedColumns(collapsedColumns.includes(columnId)
+      ? collapsedColumns.filter((id) => id !== columnId)
+      : [...collapsedColumns, columnId]);
+  };
 
   return (
-    <div style={{ 
-      display: 'inline-block',
-      width: sizeStyle.width,
-      height: sizeStyle.height,
-      border: `${sizeStyle.borderWidth} solid ${color}20`,
-      borderTop: `${sizeStyle.borderWidth} solid ${color}`,
-      borderRadius: '50%',
-      animation: 'spin 1s linear infinite'
-    }} />
+    <DragDropProvider onMove={handleMove}>
+      <div style={{
+        display: 'flex',
+        alignItems: 'stretch',
+        gap: theme.spacing.medium,
+        overflowX: 'auto',
+        paddingBottom: theme.spacing.small
+      }}>
+        {columns.map((column) => (
+          <KanbanColumn
+            key={column.id}
+            column={column}
+            title={column.title ?? t(column.messageKey)}
+            items={itemsByColumn[column.id]}
+            itemKey={itemKey}
+            getItemLabel={labelItem}
+            renderCard={renderCard}
+            collapsed={collapsedColumns.includes(column.id)}
+            onToggleCollapse={() => toggleColumn(column.id)}
+            canMove={canMove}
+            enforceWipLimits={enforceWipLimits}
+          />
+        ))}
+      </div>
+    </DragDropProvider>
   );
-});
+};
 
-Loading.propTypes = {
-  size: PropTypes.oneOf(['sm', 'md', 'lg']),
-  color: PropTypes.string
+KanbanBoard.propTypes = {
+  columns: PropTypes.arrayOf(PropTypes.shape({
+    id: PropTypes.string.isRequired,
+    title: PropTypes.string,
+    messageKey: PropTypes.string,
+    variant: PropTypes.string,
+    wipLimit: PropTypes.number
+  })),
+  items: PropTypes.arrayOf(PropTypes.object),
+  columnKey: PropTypes.string,
+  itemKey: PropTypes.oneOfType([PropTypes.string, PropTypes.func]),
+  renderCard: PropTypes.func,
+  getItemLabel: PropTypes.func,
+  canMove: PropTypes.func,
+  onMove: PropTypes.func,
+  enforceWipLimits: PropTypes.bool,
+  collapsedColumns: PropTypes.arrayOf(PropTypes.string),
+  defaultCollapsedColumns: PropTypes.arrayOf(PropTypes.string),
+  onCollapsedChange: PropTypes.func
 };
 
-export const UnifiedInput = ({ label, value, onChange, type = 'text', placeholder = '', required = false, id }) => {
-  const inputId = id || `input-${Math.random().toString(36).substr(2, 9)}`;
-  return (
-    <div style={{ marginBottom: '16px' }}>
-      <label htmlFor={inputId} style={{ display: 'block', marginBottom: '6px', fontWeight: '500' }}>
-        {label} {required && <span style={{ color: '#EF4444' }}>*</span>}
-      </label>
-      <input
-        id={inputId}
-        type={type}
-        value={value}
-        onChange={onChange}
-        placeholder={placeholder}
-        required={required}
-        style={{
-          width: '100%',
-          padding: '10px 12px',
-          border: '1px solid #D1D5DB',
-          borderRadius: '6px',
-          fontSize: '14px'
-        }}
-      />
-    </div>
-  );
+/*
+ * Spreadsheet import: CSV and XLSX files are read in the browser (XLSX through the
+ * platform's DecompressionStream), mapped onto schema fields (SchemaForm's field shape)
+ * and validated row by row with the same rules SchemaForm applies.
+ */
+const CSV_DELIMITERS = [',', ';', '\t'];
+
+// The delimiter that splits the header line most often (Excel uses ";" in many locales)
+const detectDelimiter = (text) => {
+  const firstLine = text.slice(0, text.search(/\r?\n|$/));
+  return CSV_DELIMITERS.reduce((best, delimiter) => (
+    firstLine.split(delimiter).length > firstLine.split(best).length ? delimiter : best
+  ), ',');
 };
 
-export const UnifiedSelect = ({ label, value, onChange, options = [], placeholder = '', required = false, id }) => {
-  const selectId = id || `select-${Math.random().toString(36).slice(2, 9)}`;
-  return (
-    <div style={{ marginBottom: '16px' }}>
-      <label htmlFor={selectId} style={{ display: 'block', marginBottom: '6px', fontWeight: 500 }}>
-        {label} {required && <span style={{ color: '#EF4444' }}>*</span>}
-      </label>
-      <select
-        id={selectId}
-        value={value}
-        onChange={onChange}
-        required={required}
-        style={{
-          width: '100%',
-          padding: '10px 12px',
-          border: '1px solid #D1D5DB',
-          borderRadius: '6px',
-          fontSize: '14px'
-        }}
-      >
-        {placeholder && <option value="">{placeholder}</option>}
-        {options.map((opt, i) => (
-          <option key={i} value={opt.value ?? opt}>{opt.label ?? opt}</option>
-        ))}
-      </select>
-    </div>
-  );
+/**
+ * Parse CSV text (RFC 4180 quoting, any line ending, optional BOM) into rows of cells
+ * @param {string} text - File contents
+ * @param {object} options - { delimiter } (detected from the header line when omitted)
+ * @returns {array} Rows of strings, blank lines dropped
+ */
+export const parseCSV = (text, { delimiter } = {}) => {
+  const source = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+  const separator = delimiter || detectDelimiter(source);
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+    if (quoted) {
+      if (char !== '"') cell += char;
+      else if (source[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else quoted = false;
+    } else if (char === '"' && cell === '') {
+      quoted = true;
+    } else if (char === separator) {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && source[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+  if (cell !== '' || row.length) rows.push([...row, cell]);
+  return rows.filter((cells) => cells.some((value) => value.trim() !== ''));
 };
 
+// Zip entries by path, each read lazily as text
+const readZipEntries = (bytes) => {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  let end = bytes.length - 22;
+  while (end >= 0 && view.getUint32(end, true) !== 0x06054b50) end--;
+  if (end < 0) throw new Error('Not a zip file');
+  const decoder = new TextDecoder();
+  const entries = {};
+  let at = view.getUint32(end + 16, true);
+  for (let count = view.getUint16(end + 10, true); count > 0; count--) {
+    const method = view.getUint16(at + 10, true);
+    const size = view.getUint32(at + 20, true);
+    const nameLength = view.getUint16(at + 28, true);
+    const offset = view.getUint32(at + 42, true);
+    const name = decoder.decode(bytes.subarray(at + 46, at + 46 + nameLength));
+    const start = offset + 30 + view.getUint16(offset + 26, true) + view.getUint16(offset + 28, true);
+    const data = bytes.subarray(start, start + size);
+    entries[name] = async () => {
+      if (method === 0) return decoder.decode(data);
+      const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+      return decoder.decode(await new Response(stream).arrayBuffer());
+    };
+    at += 46 + nameLength + view.getUint16(at + 30, true) + view.getUint16(at + 32, true);
+  }
+  return entries;
+};
 
-export const UnifiedButton = ({ children, onClick, type = 'button', variant = 'primary', style = {} }) => {
-  const colors = {
-    primary: '#667eea',
-    secondary: '#6B7280',
-    success: '#10B981',
-    danger: '#EF4444'
-  };
-  return (
-    <button
-      type={type}
-      onClick={onClick}
-      style={{
-        padding: '10px 20px',
-        backgroundColor: colors[variant] || colors.primary,
-        color: '#fff',
-        border: 'none',
-        borderRadius: '8px',
-        fontSize: '14px',
-        fontWeight: 600,
-        cursor: 'pointer',
-        ...style
-      }}
-    >
-      {children}
-    </button>
-  );
+// Built-in number formats 14–22 and 45–47 are dates/times; custom ones are when they use d, m, y, h or s
+const isDateFormat = (id, code) => (id >= 14 && id <= 22) || (id >= 45 && id <= 47)
+  || (code !== undefined && /[dmyhs]/i.test(code.replace(/"[^"]*"|\[[^\]]*\]|\\./g, '')));
+
+const fromExcelDate = (serial) => {
+  const utc = new Date(Math.round((serial - 25569) * 86400000));
+  return new Date(utc.getUTCFullYear(), utc.getUTCMonth(), utc.getUTCDate(), utc.getUTCHours(), utc.getUTCMinutes(), utc.getUTCSeconds());
 };
-// 🔧 UnifiedDateRangePicker.jsx – تاريخ من إلى
 
-export const UnifiedDateRangePicker = ({ label, from, to, onChange }) => {
-  return (
-    <div>
-      <label style={{ display: 'block', fontWeight: 600, marginBottom: 4 }}>{label}</label>
-      <div style={{ display: 'flex', gap: 8 }}>
-        <input 
-          type="date" 
-          value={from} 
-          onChange={(e) => onChange({ from: e.target.value, to })} 
-          style={{ flex: 1, padding: 6 }} 
-        />
-        <input 
-          type="date" 
-          value={to} 
-          onChange={(e) => onChange({ from, to: e.target.value })} 
-          style={{ flex: 1, padding: 6 }} 
-        />
-      </div>
-    </div>
-  );
+// Column index from an A1 reference ("C7" → 2)
+const fromColumnName = (ref) => [...ref.replace(/\d+$/, '')].reduce((sum, char) => sum * 26 + char.charCodeAt(0) - 64, 0) - 1;
+
+// Cells of the workbook's first sheet as text; dates become "YYYY-MM-DD" (plus " HH:MM" when timed)
+const readXLSXRows = async (bytes) => {
+  const entries = readZipEntries(bytes);
+  const readXml = async (path) => (entries[path]
+    ? new DOMParser().parseFromString(await entries[path](), 'application/xml')
+    : null);
+  const [workbook, relations, sharedStrings, styles] = await Promise.all([
+    readXml('xl/workbook.xml'),
+    readXml('xl/_rels/workbook.xml.rels'),
+    readXml('xl/sharedStrings.xml'),
+    readXml('xl/styles.xml')
+  ]);
+  if (!workbook) throw new Error('Not an XLSX workbook');
+
+  const sheet = workbook.getElementsByTagName('sheet')[0];
+  const relationId = [...sheet.attributes].find((attr) => attr.localName === 'id' && attr.prefix)?.value;
+  const target = [...(relations?.getElementsByTagName('Relationship') || [])]
+    .find((relation) => relation.getAttribute('Id') === relationId)?.getAttribute('Target') || 'worksheets/sheet1.xml';
+  const sheetDoc = await readXml(target.startsWith('/') ? target.slice(1) : `xl/${target}`);
+
+  const strings = sharedStrings
+    ? [...sharedStrings.getElementsByTagName('si')].map((item) => (
+      [...item.getElementsByTagName('t')].filter((node) => node.parentNode.localName !== 'rPh').map((node) => node.textContent).join('')
+    ))
+    : [];
+  const customFormats = {};
+  const dateStyles = new Set();
+  if (styles) {
+    [...styles.getElementsByTagName('numFmt')].forEach((format) => {
+      customFormats[format.getAttribute('numFmtId')] = format.getAttribute('formatCode');
+    });
+    const cellFormats = styles.getElementsByTagName('cellXfs')[0];
+    [...(cellFormats?.getElementsByTagName('xf') || [])].forEach((format, index) => {
+      const id = Number(format.getAttribute('numFmtId'));
+      if (isDateFormat(id, customFormats[id])) dateStyles.add(index);
+    });
+  }
+
+  return [...sheetDoc.getElementsByTagName('row')].map((row) => {
+    const cells = [];
+    [...row.getElementsByTagName('c')].forEach((cell, position) => {
+      const ref = cell.getAttribute('r');
+      const index = ref ? fromColumnName(ref) : position;
+      const type = cell.getAttribute('t');
+      const raw = cell.getElementsByTagName('v')[0]?.textContent ?? '';
+      let value = raw;
+      if (type === 's') value = strings[Number(raw)] ?? '';
+      else if (type === 'inlineStr') value = [...cell.getElementsByTagName('t')].map((node) => node.textContent).join('');
+      else if (type === 'b') value = raw === '1' ? 'TRUE' : 'FALSE';
+      else if (!type || type === 'n') {
+        if (raw !== '' && dateStyles.has(Number(cell.getAttribute('s')))) value = toExportText(fromExcelDate(Number(raw)));
+      }
+      while (cells.length < index) cells.push('');
+      cells[index] = value;
+    });
+    return cells;
+  }).filter((cells) => cells.some((value) => String(value).trim() !== ''));
 };
-// ✅ UnifiedTimeRangePicker inline component – no duplicate imports
-export const UnifiedTimeRangePicker = ({ label, from, to, onChange }) => {
-  return (
-    <div>
-      <label style={{ display: 'block', fontWeight: 600, marginBottom: 4 }}>{label}</label>
-      <div style={{ display: 'flex', gap: 8 }}>
-        <input
-          type="time"
-          value={from}
-          onChange={(e) => onChange({ from: e.target.value, to })}
-          style={{ flex: 1, padding: 6 }}
-        />
-        <input
-          type="time"
-          value={to}
-          onChange={(e) => onChange({ from, to: e.target.value })}
-          style={{ flex: 1, padding: 6 }}
-        />
-      </div>
-    </div>
-  );
+
+// UTF-8 first; Excel on Arabic Windows saves "CSV" as Windows-1256
+const decodeText = (bytes) => {
+  try {
+    return new TextDecoder('utf-8', { fatal: true }).decode(bytes);
+  } catch {
+    return new TextDecoder('windows-1256').decode(bytes);
+  }
 };
 
-import { useState } from 'react';  // استيراد useState
-//import { ChevronUpIcon, ChevronDownIcon } from './icons';
-export const CollapsiblePanel = ({ 
-  title, 
-  children, 
-  isOpen: initialOpen = false,
-  className = '',
-  headerClassName = '',
-  contentClassName = '' 
-}) => {
-  const [isOpen, setIsOpen] = useState(initialOpen);
+/**
+ * Read a CSV or XLSX file (first sheet); the first row holds the column names
+ * @param {File|Blob} file - The file to read
+ * @returns {Promise<object>} { headers, rows } with every cell as a string
+ */
+export const readSpreadsheet = async (file) => {
+  const bytes = new Uint8Array(await file.arrayBuffer());
+  const isZip = bytes[0] === 0x50 && bytes[1] === 0x4b;
+  const [headers = [], ...rows] = isZip ? await readXLSXRows(bytes) : parseCSV(decodeText(bytes));
+  const width = rows.reduce((max, row) => Math.max(max, row.length), headers.length);
+  const pad = (row) => Array.from({ length: width }, (_, index) => String(row[index] ?? '').trim());
+  return { headers: pad(headers), rows: rows.map(pad) };
+};
+
+const toHeaderKey = (text) => normalizeSearchText(text).replace(/[\s_\-./]+/g, '');
+
+/**
+ * Suggest which spreadsheet column feeds each field: exact matches on the field's name,
+ * label or `aliases` first, then the closest fuzzy match; each column is used once
+ * @param {array} headers - Spreadsheet column names
+ * @param {array} fields - Schema fields ({ name, label, aliases })
+ * @returns {object} { [fieldName]: columnIndex }
+ */
+export const suggestColumnMapping = (headers, fields) => {
+  const mapping = {};
+  const used = new Set();
+  const namesOf = (field) => [field.name, field.label, ...(field.aliases || [])].filter(Boolean);
+
+  fields.forEach((field) => {
+    const keys = namesOf(field).map(toHeaderKey);
+    const index = headers.findIndex((header, i) => !used.has(i) && header && keys.includes(toHeaderKey(header)));
+    if (index !== -1) {
+      mapping[field.name] = index;
+      used.add(index);
+    }
+  });
+
+  fields.forEach((field) => {
+    if (field.name in mapping) return;
+    let best = null;
+    headers.forEach((header, index) => {
+      if (used.has(index) || !header) return;
+      namesOf(field).forEach((name) => {
+        const result = fuzzyMatch(name, header) || fuzzyMatch(header, name);
+        if (result && (!best || result.score > best.score)) best = { index, score: result.score };
+      });
+    });
+    if (best) {
+      mapping[field.name] = best.index;
+      used.add(best.index);
+    }
+  });
+  return mapping;
+};
+
+// Spreadsheet text → field value: numbers parsed (Arabic digits too), select options matched by
+// value or label; anything that does not convert stays text so validation can report it
+const coerceImportValue = (field, text) => {
+  const value = String(text ?? '').trim();
+  if (value === '') return null;
+  if (field.type === 'number') {
+    const parsed = parseLocalizedNumber(value);
+    return Number.isNaN(parsed) ? value : parsed;
+  }
+  if (field.type === 'date') return ISO_DATE_PATTERN.test(value.slice(0, 10)) ? value.slice(0, 10) : value;
+  if (field.type === 'select') {
+    const key = normalizeSearchText(value);
+    const option = (field.options || []).find((item) => (
+      normalizeSearchText(getOptionValue(item)) === key || normalizeSearchText(getOptionLabel(item)) === key
+    ));
+    return option ? getOptionValue(option) : value;
+  }
+  return value;
+};
+
+const validateImportRecord = (values, fields, fieldRules, validate, locale) => {
+  const errors = {};
+  fields.forEach((field, index) => {
+    const value = values[field.name];
+    let error;
+    if (!isBlank(value) && field.type === 'date' && !ISO_DATE_PATTERN.test(value)) {
+      error = locale.t('import.invalidDate', { label: field.label });
+    } else if (!isBlank(value) && field.type === 'select'
+      && !(field.options || []).some((option) => getOptionValue(option) === value)) {
+      error = locale.t('import.invalidOption', { label: field.label });
+    } else {
+      error = fieldRules[index](value, values, locale);
+    }
+    // Async rules (server lookups) are left to onImport
+    if (typeof error === 'string') errors[field.name] = error;
+  });
+  if (validate) {
+    Object.entries(validate(values) || {}).forEach(([name, message]) => {
+      if (message && !errors[name]) errors[name] = message;
+    });
+  }
+  return errors;
+};
+
+const IMPORT_STEPS = ['file', 'map', 'review', 'done'];
+
+/**
+ * Import Wizard Component
+ * Modal that bulk-loads records from a spreadsheet: pick or drop a CSV/XLSX file, map its
+ * columns to `fields` (suggested from names, labels and aliases), review every row in a
+ * table with errors marked and fix them in place, then import. Rows that still have errors
+ * are skipped; the counts are reported in the last step and through Toast when a
+ * ToastProvider is mounted.
+ * @param {boolean} isOpen - Modal visibility
+ * @param {function} onClose - Close handler
+ * @param {string} title - Modal title
+ * @param {array} fields - Schema fields ({ name, label, type, required, options, ... }) plus `aliases`,
+ *   other column names to recognise ("Mobile", "الجوال")
+ * @param {function} validate - Cross-field check per row, (values) => ({ [name]: message })
+ * @param {function} onImport - Called with (validRecords, { skipped }); may return a promise, which
+ *   may resolve to { imported, skipped } when the server drops some records
+ */
+export const ImportWizard = ({ isOpen, onClose, title, fields, validate, onImport }) => {
+  const theme = useTheme();
+  const locale = useLocale();
+  const { t } = locale;
+  const formatters = useFormatters();
+  const toast = useContext(ToastContext);
+  const [step, setStep] = useState('file');
+  const [sheet, setSheet] = useState(null);
+  const [mapping, setMapping] = useState({});
+  const [records, setRecords] = useState([]);
+  const [fileError, setFileError] = useState('');
+  const [isReading, setIsReading] = useState(false);
+  const [isDragOver, setIsDragOver] = useState(false);
+  const [errorsOnly, setErrorsOnly] = useState(false);
+  const [isImporting, setIsImporting] = useState(false);
+  const [importError, setImportError] = useState('');
+  const [result, setResult] = useState(null);
+  const [inputId] = useState(() => `import-file-${Math.random().toString(36).slice(2, 9)}`);
+
+  // Every opening starts from the first step
+  useEffect(() => {
+    if (!isOpen) return;
+    setStep('file');
+    setSheet(null);
+    setMapping({});
+    setRecords([]);
+    setFileError('');
+    setIsReading(false);
+    setIsDragOver(false);
+    setErrorsOnly(false);
+    setIsImporting(false);
+    setImportError('');
+    setResult(null);
+  }, [isOpen]);
+
+  const fieldRules = useMemo(() => fields.map(buildSchemaRule), [fields]);
+  const checkRecord = (values) => validateImportRecord(values, fields, fieldRules, validate, locale);
+
+  const readFile = async (file) => {
+    if (!file) return;
+    setIsReading(true);
+    setFileError('');
+    try {
+      const data = await readSpreadsheet(file);
+      if (!data.rows.length) {
+        setFileError(t('import.noRows'));
+        return;
+      }
+      setSheet({ ...data, fileName: file.name });
+      setMapping(suggestColumnMapping(data.headers, fields));
+      setStep('map');
+    } catch {
+      setFileError(t('import.unreadable'));
+    } finally {
+      setIsReading(false);
+    }
+  };
+
+  const buildRecords = () => {
+    setRecords(sheet.rows.map((cells, index) => {
+      const values = {};
+      fields.forEach((field) => {
+        values[field.name] = field.name in mapping ? coerceImportValue(field, cells[mapping[field.name]]) : null;
+      });
+      // Spreadsheet row number, counting the header row
+      return { line: index + 2, values, errors: checkRecord(values) };
+    }));
+    setErrorsOnly(false);
+    setStep('review');
+  };
+
+  const handleCellCommit = (record, name, value) => {
+    const field = fields.find((item) => item.name === name);
+    const values = { ...record.values, [name]: coerceImportValue(field, value) };
+    setRecords((current) => current.map((item) => (
+      item.line === record.line ? { ...item, values, errors: checkRecord(values) } : item
+    )));
+  };
+
+  const validRecords = records.filter((record) => Object.keys(record.errors).length === 0);
+  const invalidCount = records.length - validRecords.length;
+  const unmappedRequired = fields.filter((field) => field.required && !(field.name in mapping));
+
+  const runImport = async () => {
+    setIsImporting(true);
+    setImportError('');
+    try {
+      const skippedRecords = records.filter((record) => Object.keys(record.errors).length > 0).map((record) => record.values);
+      const response = await onImport(validRecords.map((record) => record.values), { skipped: skippedRecords });
+      const summary = {
+        imported: response?.imported ?? validRecords.length,
+        skipped: response?.skipped ?? invalidCount
+      };
+      setResult(summary);
+      setStep('done');
+      if (toast) {
+        const message = t('import.result', {
+          imported: formatters.number(summary.imported),
+          skipped: formatters.number(summary.skipped)
+        });
+        if (summary.skipped) toast.warning(message);
+        else toast.success(message);
+      }
+    } catch (error) {
+      setImportError(error?.message || t('import.failed'));
+      if (toast) toast.error(t('import.failed'));
+    } finally {
+      setIsImporting(false);
+    }
+  };
+
+  const hintStyle = { margin: `0 0 ${theme.spacing.medium}`, color: theme.colors.textMuted, fontSize: theme.typography.fontSize.medium };
+  const errorStyle = { margin: `${theme.spacing.small} 0 0`, color: theme.colors.danger, fontSize: theme.typography.fontSize.small };
+  const stepIndex = IMPORT_STEPS.indexOf(step);
+
+  const columns = [
+    {
+      key: 'line',
+      header: t('import.row'),
+      accessor: 'line',
+      width: '72px',
+      cell: (line, record) => {
+        const count = Object.keys(record.errors).length;
+        return (
+          <span style={{ display: 'inline-flex', alignItems: 'center', gap: theme.spacing.xsmall, color: count ? theme.colors.danger : theme.colors.textMuted }}>
+            {count > 0 && <ExclamationIcon size={14} />}
+            {formatters.number(line)}
+            {count > 0 && <span style={visuallyHidden}>{t('import.rowErrors', { count: formatters.number(count) })}</span>}
+          </span>
+        );
+      }
+    },
+    ...fields.map((field) => ({
+      key: field.name,
+      header: field.label,
+      accessor: (record) => record.values[field.name],
+      editable: true,
+      editor: field.type === 'select'
+        ? { type: 'select', options: field.options, placeholder: t('import.choose') }
+        : { type: ['number', 'date'].includes(field.type) ? field.type : 'text', unit: field.unit },
+      cell: (value, record) => {
+        const error = record.errors[field.name];
+        const option = field.type === 'select' && (field.options || []).find((item) => getOptionValue(item) === value);
+        const text = option ? getOptionLabel(option) : isBlank(value) ? '' : String(value);
+        if (!error) return text;
+        return (
+          <span style={{ display: 'block', color: theme.colors.danger }}>
+            {text || '—'}
+            <span style={{ display: 'block', fontSize: theme.typography.fontSize.xsmall }}>{error}</span>
+          </span>
+        );
+      }
+    }))
+  ];
 
   return (
-    <div className={`collapsible-panel ${className}`}>
-      <div 
-        className={`panel-header ${headerClassName}`}
-        style={{
-          display: 'flex',
-          justifyContent: 'space-between',
-          alignItems: 'center',
-          padding: '12px 16px',
-          backgroundColor: '#f8fafc',
-          border: '1px solid #e2e8f0',
-          borderRadius: '8px',
-          cursor: 'pointer',
-          userSelect: 'none',
-          transition: 'background-color 0.2s'
-        }}
-        onClick={() => setIsOpen(!isOpen)}
-      >
-        <h3 style={{ margin: 0, fontSize: '16px', fontWeight: 600 }}>{title}</h3>
-        {isOpen ? (
-          <ChevronUpIcon size={20} />
-        ) : (
-          <ChevronDownIcon size={20} />
-        )}
-      </div>
-      
-      {isOpen && (
-        <div 
-          className={`panel-content ${contentClassName}`}
-          style={{
-            padding: '16px',
-            border: '1px solid #e2e8f0',
-            borderTop: 'none',
-            borderBottomLeftRadius: '8px',
-            borderBottomRightRadius: '8px',
-            backgroundColor: '#ffffff'
-          }}
-        >
-          {children}
-        </div>
+    <UnifiedModal isOpen={isOpen} onClose={onClose} title={title || t('import.title')} size="xl" closeOnOverlayClick={false}>
+      <ol style={{ display: 'flex', gap: theme.spacing.large, listStyle: 'none', margin: `0 0 ${theme.spacing.large}`, padding: 0, flexWrap: 'wrap' }}>
+        {IMPORT_STEPS.map((name, index) => (
+          <li
+            key={name}
+            aria-current={index === stepIndex ? 'step' : undefined}
+            style={{
+              display: 'flex',
+              alignItems: 'center',
+              gap: theme.spacing.small,
+              fontSize: theme.typography.fontSize.medium,
+              fontWeight: index === stepIndex ? theme.typography.fontWeight.semibold : 'normal',
+              color: index <= stepIndex ? theme.colors.text : theme.colors.textSubtle
+            }}
+          >
+            <span style={{
+              display: 'inline-flex',
+              alignItems: 'center',
+              justifyContent: 'center',
+              width: '22px',
+              height: '22px',
+              borderRadius: '50%',
+              background: index <= stepIndex ? theme.colors.primary : theme.colors.surfaceAlt,
+              color: index <= stepIndex ? theme.colors.onPrimary : theme.colors.textMuted,
+              fontSize: theme.typography.fontSize.xsmall
+            }}>
+              {index < stepIndex ? <CheckIcon size={12} /> : formatters.number(index + 1)}
+            </span>
+            {t(`import.step.${name}`)}
+          </li>
+        ))}
+      </ol>
+
+      {step === 'file' && (
+        <>
+          <label
+            htmlFor={inputId}
+            onDragOver={(e) => {
+              e.preventDefault();
+              setIsDragOver(true);
+            }}
+            onDragLeave={() => setIsDragOver(false)}
+            onDrop={(e) => {
+              e.preventDefault();
+              setIsDragOver(false);
+              readFile(e.dataTransfer.files[0]);
+            }}
+            style={{
+              display: 'block',
+              padding: `${theme.spacing.large} ${theme.spacing.medium}`,
+              border: `2px dashed ${isDragOver ? theme.colors.primary : theme.colors.inputBorder}`,
+              borderRadius: theme.borderRadius.medium,
+              background: isDragOver ? theme.tones.info.background : theme.colors.surfaceAlt,
+              color: theme.colors.textMuted,
+              textAlign: 'center',
+              cursor: 'pointer'
+            }}
+          >
+            <span style={{ display: 'block', color: theme.colors.text, fontWeight: theme.typography.fontWeight.semibold }}>
+              {isReading ? t('import.reading') : t('import.drop')}
+            </span>
+            <span style={{ fontSize: theme.typography.fontSize.small }}>{t('import.formats')}</span>
+          </label>
+          <input
+            id={inputId}
+            type="file"
+            accept=".csv,.xlsx,text/csv,application/vnd.openxmlformats-officedocument.spreadsheetml.sheet"
+            onChange={(e) => {
+              readFile(e.target.files[0]);
+              e.target.value = '';
+            }}
+            style={visuallyHidden}
+          />
+          {fileError && <p role="alert" style={errorStyle}>{fileError}</p>}
+          {/* After "Back" from the mapping step, Next returns to the file already read */}
+          <FormButtons
+            onCancel={onClose}
+            onSubmit={() => setStep('map')}
+            submitText={t('import.next')}
+            disabled={!sheet || isReading}
+          />
+        </>
       )}
-    </div>
+
+      {step === 'map' && (
+        <>
+          <p style={hintStyle}>
+            {t('import.found', { count: formatters.number(sheet.rows.length), file: sheet.fileName })}
+          </p>
+          <div style={{ display: 'grid', gridTemplateColumns: 'minmax(120px, 1fr) minmax(160px, 1.5fr) minmax(120px, 1fr)', gap: theme.spacing.small, alignItems: 'center' }}>
+            {fields.map((field) => {
+              const selectId = `${inputId}-${field.name}`;
+              const columnIndex = mapping[field.name];
+              return (
+                <React.Fragment key={field.name}>
+                  <label htmlFor={selectId} style={{ fontWeight: theme.typography.fontWeight.medium, color: theme.colors.text }}>
+                    {field.label} {field.required && <span style={{ color: theme.colors.danger }}>*</span>}
+                  </label>
+                  <select
+                    id={selectId}
+                    value={columnIndex === undefined ? '' : String(columnIndex)}
+                    onChange={(e) => setMapping(e.target.value === ''
+                      ? omitKey(mapping, field.name)
+                      : { ...mapping, [field.name]: Number(e.target.value) })}
+                    style={getControlStyle(theme)}
+                  >
+                    <option value="">{t('import.skipField')}</option>
+                    {sheet.headers.map((header, index) => (
+                      <option key={index} value={String(index)}>
+                        {header || t('import.column', { number: formatters.number(index + 1) })}
+                      </option>
+                    ))}
+                  </select>
+                  <span style={{ color: theme.colors.textSubtle, fontSize: theme.typography.fontSize.small, overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>
+                    {columnIndex !== undefined && sheet.rows[0][columnIndex]}
+                  </span>
+                </React.Fragment>
+              );
+            })}
+          </div>
+          {unmappedRequired.length > 0 && (
+            <p style={errorStyle}>
+              {t('import.mapRequired', { fields: unmappedRequired.map((field) => field.label).join(', ') })}
+            </p>
+          )}
+          <FormButtons
+            onCancel={() => setStep('file')}
+            onSubmit={buildRecords}
+            cancelText={t('import.back')}
+            submitText={t('import.next')}
+            disabled={unmappedRequired.length > 0}
+          />
+        </>
+      )}
+
+      {step === 'review' && (
+        <>
+          <div style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', gap: theme.spacing.medium, flexWrap: 'wrap', marginBottom: theme.spacing.medium }}>
+            <span role="status" style={{ color: theme.colors.textMuted, fontSize: theme.typography.fontSize.medium }}>
+              {t('import.reviewSummary', { valid: formatters.number(validRecords.length), invalid: formatters.number(invalidCount) })}
+            </span>
+            {(invalidCount > 0 || errorsOnly) && (
+              <label style={{ display: 'flex', alignItems: 'center', gap: theme.spacing.small, fontSize: theme.typography.fontSize.medium }}>
+                <input type="checkbox" checked={errorsOnly} onChange={(e) => setErrorsOnly(e.target.checked)} />
+                {t('import.errorsOnly')}
+              </label>
+            )}
+          </div>
+          <p style={hintStyle}>{t('import.fixHint')}</p>
+          <TableContainer>
+            <UnifiedTable
+              columns={columns}
+              rows={errorsOnly ? records.filter((record) => Object.keys(record.errors).length > 0) : records}
+              rowKey="line"
+              pagination
+              onCellCommit={handleCellCommit}
+            />
+          </TableContainer>
+          {importError && <p role="alert" style={errorStyle}>{importError}</p>}
+          <FormButtons
+            onCancel={() => setStep('map')}
+            onSubmit={runImport}
+            cancelText={t('import.back')}
+            submitText={t('import.submit', { count: formatters.number(validRecords.length) })}
+            loading={isImporting}
+            disabled={validRecords.length === 0}
+          />
+        </>
+      )}
+
+      {step === 'done' && result && (
+        <>
+          <p style={{ margin: 0, color: theme.colors.text, fontSize: theme.typography.fontSize.large }}>
+            {t('import.result', { imported: formatters.number(result.imported), skipped: formatters.number(result.skipped) })}
+          </p>
+          <div style={{ display: 'flex', justifyContent: 'flex-end', marginTop: theme.spacing.large }}>
+            <UnifiedButton onClick={onClose}>{t('import.done')}</UnifiedButton>
+          </div>
+        </>
+      )}
+    </UnifiedModal>
   );
 };
+
+ImportWizard.propTypes = {
+  isOpen: PropTypes.bool.isRequired,
+  onClose: PropTypes.func.isRequired,
+  title: PropTypes.string,
+  fields: PropTypes.arrayOf(schemaFieldShape).isRequired,
+  validate: PropTypes.func,
+  onImport: PropTypes.func.isRequired
+};
+
 // Global styles (can be added to your main CSS file)
 const globalStyles = `
   @keyframes spin {
@@ -1382,6 +10077,11 @@ const globalStyles = `
     0% { opacity: 0; transform: translateY(10px); }
     100% { opacity: 1; transform: translateY(0); }
   }
+
+  @keyframes pulse {
+    0%, 100% { opacity: 1; }
+    50% { opacity: 0.5; }
+  }
 `;
 
 